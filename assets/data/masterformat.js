@@ -0,0 +1,20 @@
+export const divisions = [
+  { id: '01', name: 'General Requirements' },
+  { id: '02', name: 'Existing Conditions' },
+  { id: '03', name: 'Concrete' },
+  { id: '04', name: 'Masonry' },
+  { id: '05', name: 'Metals' },
+  { id: '06', name: 'Wood, Plastics, and Composites' },
+  { id: '07', name: 'Thermal and Moisture Protection' },
+  { id: '08', name: 'Openings' },
+  { id: '09', name: 'Finishes' },
+  { id: '21', name: 'Fire Suppression' },
+  { id: '22', name: 'Plumbing' },
+  { id: '23', name: 'Heating, Ventilating, and Air Conditioning' },
+  { id: '26', name: 'Electrical' },
+  { id: '31', name: 'Earthwork' },
+  { id: '32', name: 'Exterior Improvements' },
+  { id: '33', name: 'Utilities' }
+];
+
+export default { divisions };
@@ -1,15 +1,200 @@
 const pricing = {
   materials: {
     concrete_yd3: 155.0,
-    rebar_ft: 0.85
+    shingle_bundle: 38.0,
+    synthetic_underlayment_roll: 95.0,
+    ice_water_shield_roll: 118.0,
+    drip_edge_lf: 1.1,
+    ridge_cap_bundle: 65.0,
+    starter_strip_bundle: 48.0,
+    tpo_membrane_roll: 620.0,
+    polyiso_board: 42.0,
+    roof_fastener_ea: 0.35,
+    lumber_2x4_bf: 0.92,
+    lumber_2x6_bf: 0.95,
+    lumber_2x8_bf: 1.02,
+    lumber_2x10_bf: 1.1,
+    lumber_2x12_bf: 1.25,
+    osb_sheet: 24.5,
+    gypsum_board_sqft: 0.52,
+    joint_compound_bucket: 19.5,
+    joint_tape_roll: 6.75,
+    drywall_screws_box: 14.0,
+    corner_bead_stick: 4.25,
+    act_main_runner: 9.8,
+    act_cross_tee_4ft: 2.6,
+    act_cross_tee_2ft: 1.4,
+    act_wall_angle: 5.2,
+    act_hanger_wire_ea: 0.45,
+    act_tile_2x2: 3.6,
+    act_tile_2x4: 6.9,
+    primer_gal: 28.0,
+    primer_5gal: 120.0,
+    paint_interior_gal: 38.0,
+    paint_interior_5gal: 165.0,
+    paint_enamel_gal: 52.0,
+    paint_enamel_5gal: 235.0,
+    paint_exterior_gal: 48.0,
+    paint_exterior_5gal: 215.0,
+    paint_sundries_light_sqft: 0.02,
+    paint_sundries_heavy_sqft: 0.06,
+    floor_tile_sqft: 3.25,
+    thinset_bag: 24.0,
+    grout_bag: 22.0,
+    lvp_sqft: 2.85,
+    plank_underlayment_roll: 38.0,
+    flooring_adhesive_pail: 95.0,
+    carpet_sy: 28.0,
+    carpet_pad_sy: 4.5,
+    carpet_seam_tape_lf: 0.45,
+    tack_strip_lf: 0.32,
+    floor_transition_ea: 28.0,
+    rubber_base_lf: 1.35,
+    borrow_fill_lcy: 16.0,
+    soil_disposal_lcy: 8.5,
+    cmu_6_ea: 2.1,
+    cmu_8_ea: 2.45,
+    cmu_12_ea: 3.6,
+    brick_modular_ea: 0.72,
+    brick_utility_ea: 1.45,
+    masonry_cement_bag: 14.5,
+    mortar_sand_ton: 38.0,
+    masonry_grout_cy: 185.0,
+    joint_reinforcement_lf: 0.38,
+    rebar_lb: 0.92,
+    steel_fab_ton: 3800.0,
+    hma_surface_ton: 92.0,
+    hma_intermediate_ton: 88.0,
+    hma_base_ton: 84.0,
+    base_aggregate_ton: 24.0,
+    tack_coat_gal: 4.5,
+    striping_lf: 0.45,
+    pavement_symbol_ea: 65.0,
+    receptacle_ea: 14.0,
+    gfci_receptacle_ea: 32.0,
+    switch_ea: 9.0,
+    dimmer_ea: 38.0,
+    troffer_led_ea: 145.0,
+    downlight_led_ea: 85.0,
+    highbay_led_ea: 265.0,
+    exit_light_ea: 120.0,
+    equipment_connection_ea: 45.0,
+    emt_conduit_lf: 2.4,
+    branch_wire_lf: 0.32,
+    breaker_1p_ea: 18.0,
+    panelboard_ea: 1450.0,
+    feeder_lf: 32.0,
+    sheet_metal_lb: 4.25,
+    supply_diffuser_ea: 95.0,
+    return_grille_ea: 75.0,
+    controls_point_ea: 650.0,
+    fixture_wc_valve_ea: 650.0,
+    fixture_wc_tank_ea: 420.0,
+    fixture_urinal_ea: 560.0,
+    fixture_lavatory_ea: 320.0,
+    fixture_kitchen_sink_ea: 480.0,
+    fixture_service_sink_ea: 620.0,
+    fixture_shower_ea: 950.0,
+    fixture_bathtub_ea: 850.0,
+    fixture_drinking_fountain_ea: 1450.0,
+    fixture_floor_drain_ea: 240.0,
+    fixture_washer_box_ea: 140.0,
+    plumbing_rough_in_ea: 165.0,
+    fixture_carrier_ea: 420.0,
+    dwv_pipe_lf: 9.5,
+    domestic_water_pipe_lf: 7.8,
+    building_drain_lf_per_in: 11.0,
+    water_main_lf_per_in: 14.0,
+    landfill_ton: 75.0,
+    recycle_ton: 30.0,
+    edge_form_lf: 1.1,
+    sawcut_joint_lf: 1.25,
+    detectable_warning_ea: 210.0,
+    door_hm_ea: 650.0,
+    door_wood_ea: 520.0,
+    door_alum_ea: 2400.0,
+    overhead_door_sf: 38.0,
+    window_alum_sf: 65.0,
+    window_vinyl_sf: 42.0,
+    storefront_sf: 85.0,
+    frame_hm_kd_ea: 240.0,
+    frame_hm_welded_ea: 380.0,
+    frame_wood_ea: 180.0,
+    frame_alum_ea: 450.0,
+    hardware_passage_set: 180.0,
+    hardware_lockset_set: 420.0,
+    hardware_storeroom_set: 520.0,
+    hardware_exit_set: 1450.0,
+    hardware_entrance_set: 2200.0,
+    fiberglass_batt_sf_in: 0.14,
+    mineral_wool_sf_in: 0.22,
+    cellulose_bag: 14.0,
+    spray_foam_bdft: 1.1,
+    xps_sf_in: 0.65,
+    polyiso_sf_in: 0.55,
+    eps_sf_in: 0.35,
+    firestop_sealant_tube: 18.0,
+    firestop_collar_in: 9.5,
+    firestop_angle_lf: 4.25,
+    firestop_joint_spray_pail: 245.0,
+    wp_sheet_roll: 265.0,
+    wp_primer_pail: 185.0,
+    wp_fluid_pail: 320.0,
+    wp_bentonite_panel: 38.0,
+    wp_mastic_tube: 16.0,
+    drainage_board_roll: 210.0,
+    protection_board: 28.0,
+    termination_bar_lf: 2.6,
+    vapor_barrier_10mil_roll: 165.0,
+    vapor_barrier_15mil_roll: 240.0,
+    wwm_sheet: 52.0
   },
   labor: {
-    concrete_finisher_hr: 58.0
+    concrete_finisher_hr: 58.0,
+    roofer_hr: 52.0,
+    carpenter_hr: 56.0,
+    drywall_hanger_hr: 54.0,
+    drywall_finisher_hr: 56.0,
+    act_installer_hr: 52.0,
+    painter_hr: 48.0,
+    tile_setter_hr: 58.0,
+    flooring_installer_hr: 50.0,
+    mason_hr: 62.0,
+    mason_tender_hr: 44.0,
+    steel_erect_ton: 1150.0,
+    paving_crew_hr: 385.0,
+    electrician_hr: 88.0,
+    sheet_metal_hr: 82.0,
+    hvac_tech_hr: 92.0,
+    plumber_hr: 95.0,
+    demo_laborer_hr: 52.0,
+    glazier_hr: 68.0,
+    insulation_installer_hr: 48.0,
+    firestop_installer_hr: 62.0,
+    waterproofer_hr: 55.0
   },
   equipment: {
-    concrete_pump_flat: 425.0
+    concrete_pump_flat: 425.0,
+    roofing_hoist_flat: 650.0,
+    excavation_bcy: 4.75,
+    fill_compaction_ccy: 3.4,
+    haul_truck_hr: 115.0,
+    grout_pump_day: 575.0,
+    crane_day: 2200.0,
+    paver_hr: 285.0,
+    roller_hr: 95.0,
+    grader_hr: 165.0,
+    rtu_ton: 1650.0,
+    split_system_ton: 1900.0,
+    vrf_ton: 3200.0,
+    demo_excavator_hr: 195.0,
+    dumpster_10cy_pull: 450.0,
+    dumpster_20cy_pull: 550.0,
+    dumpster_30cy_pull: 650.0,
+    dumpster_40cy_pull: 750.0
   },
   tax_rate: 0.0825,
+  contingency: 0.05,
   markup: 0.1
 };
 
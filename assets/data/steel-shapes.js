@@ -0,0 +1,139 @@
+export const shapes = [
+  { designation: 'W8X10', family: 'W', weight: 10 },
+  { designation: 'W8X13', family: 'W', weight: 13 },
+  { designation: 'W8X15', family: 'W', weight: 15 },
+  { designation: 'W8X18', family: 'W', weight: 18 },
+  { designation: 'W8X21', family: 'W', weight: 21 },
+  { designation: 'W8X24', family: 'W', weight: 24 },
+  { designation: 'W8X28', family: 'W', weight: 28 },
+  { designation: 'W8X31', family: 'W', weight: 31 },
+  { designation: 'W8X35', family: 'W', weight: 35 },
+  { designation: 'W8X40', family: 'W', weight: 40 },
+  { designation: 'W8X48', family: 'W', weight: 48 },
+  { designation: 'W10X12', family: 'W', weight: 12 },
+  { designation: 'W10X15', family: 'W', weight: 15 },
+  { designation: 'W10X17', family: 'W', weight: 17 },
+  { designation: 'W10X19', family: 'W', weight: 19 },
+  { designation: 'W10X22', family: 'W', weight: 22 },
+  { designation: 'W10X26', family: 'W', weight: 26 },
+  { designation: 'W10X30', family: 'W', weight: 30 },
+  { designation: 'W10X33', family: 'W', weight: 33 },
+  { designation: 'W10X39', family: 'W', weight: 39 },
+  { designation: 'W10X45', family: 'W', weight: 45 },
+  { designation: 'W10X49', family: 'W', weight: 49 },
+  { designation: 'W10X54', family: 'W', weight: 54 },
+  { designation: 'W10X60', family: 'W', weight: 60 },
+  { designation: 'W10X68', family: 'W', weight: 68 },
+  { designation: 'W10X77', family: 'W', weight: 77 },
+  { designation: 'W12X14', family: 'W', weight: 14 },
+  { designation: 'W12X16', family: 'W', weight: 16 },
+  { designation: 'W12X19', family: 'W', weight: 19 },
+  { designation: 'W12X22', family: 'W', weight: 22 },
+  { designation: 'W12X26', family: 'W', weight: 26 },
+  { designation: 'W12X30', family: 'W', weight: 30 },
+  { designation: 'W12X35', family: 'W', weight: 35 },
+  { designation: 'W12X40', family: 'W', weight: 40 },
+  { designation: 'W12X45', family: 'W', weight: 45 },
+  { designation: 'W12X50', family: 'W', weight: 50 },
+  { designation: 'W12X53', family: 'W', weight: 53 },
+  { designation: 'W12X58', family: 'W', weight: 58 },
+  { designation: 'W12X65', family: 'W', weight: 65 },
+  { designation: 'W12X72', family: 'W', weight: 72 },
+  { designation: 'W12X79', family: 'W', weight: 79 },
+  { designation: 'W12X87', family: 'W', weight: 87 },
+  { designation: 'W12X96', family: 'W', weight: 96 },
+  { designation: 'W14X22', family: 'W', weight: 22 },
+  { designation: 'W14X26', family: 'W', weight: 26 },
+  { designation: 'W14X30', family: 'W', weight: 30 },
+  { designation: 'W14X34', family: 'W', weight: 34 },
+  { designation: 'W14X38', family: 'W', weight: 38 },
+  { designation: 'W14X43', family: 'W', weight: 43 },
+  { designation: 'W14X48', family: 'W', weight: 48 },
+  { designation: 'W14X53', family: 'W', weight: 53 },
+  { designation: 'W14X61', family: 'W', weight: 61 },
+  { designation: 'W14X68', family: 'W', weight: 68 },
+  { designation: 'W14X74', family: 'W', weight: 74 },
+  { designation: 'W14X82', family: 'W', weight: 82 },
+  { designation: 'W14X90', family: 'W', weight: 90 },
+  { designation: 'W14X99', family: 'W', weight: 99 },
+  { designation: 'W14X109', family: 'W', weight: 109 },
+  { designation: 'W14X120', family: 'W', weight: 120 },
+  { designation: 'W16X26', family: 'W', weight: 26 },
+  { designation: 'W16X31', family: 'W', weight: 31 },
+  { designation: 'W16X36', family: 'W', weight: 36 },
+  { designation: 'W16X40', family: 'W', weight: 40 },
+  { designation: 'W16X45', family: 'W', weight: 45 },
+  { designation: 'W16X50', family: 'W', weight: 50 },
+  { designation: 'W16X57', family: 'W', weight: 57 },
+  { designation: 'W16X67', family: 'W', weight: 67 },
+  { designation: 'W16X77', family: 'W', weight: 77 },
+  { designation: 'W18X35', family: 'W', weight: 35 },
+  { designation: 'W18X40', family: 'W', weight: 40 },
+  { designation: 'W18X46', family: 'W', weight: 46 },
+  { designation: 'W18X50', family: 'W', weight: 50 },
+  { designation: 'W18X55', family: 'W', weight: 55 },
+  { designation: 'W18X60', family: 'W', weight: 60 },
+  { designation: 'W18X65', family: 'W', weight: 65 },
+  { designation: 'W18X71', family: 'W', weight: 71 },
+  { designation: 'W18X76', family: 'W', weight: 76 },
+  { designation: 'W18X86', family: 'W', weight: 86 },
+  { designation: 'W18X97', family: 'W', weight: 97 },
+  { designation: 'W21X44', family: 'W', weight: 44 },
+  { designation: 'W21X50', family: 'W', weight: 50 },
+  { designation: 'W21X57', family: 'W', weight: 57 },
+  { designation: 'W21X62', family: 'W', weight: 62 },
+  { designation: 'W21X68', family: 'W', weight: 68 },
+  { designation: 'W21X73', family: 'W', weight: 73 },
+  { designation: 'W21X83', family: 'W', weight: 83 },
+  { designation: 'W21X93', family: 'W', weight: 93 },
+  { designation: 'W24X55', family: 'W', weight: 55 },
+  { designation: 'W24X62', family: 'W', weight: 62 },
+  { designation: 'W24X68', family: 'W', weight: 68 },
+  { designation: 'W24X76', family: 'W', weight: 76 },
+  { designation: 'W24X84', family: 'W', weight: 84 },
+  { designation: 'W24X94', family: 'W', weight: 94 },
+  { designation: 'W24X104', family: 'W', weight: 104 },
+  { designation: 'W24X117', family: 'W', weight: 117 },
+  { designation: 'W27X84', family: 'W', weight: 84 },
+  { designation: 'W27X94', family: 'W', weight: 94 },
+  { designation: 'W27X102', family: 'W', weight: 102 },
+  { designation: 'W27X114', family: 'W', weight: 114 },
+  { designation: 'W30X90', family: 'W', weight: 90 },
+  { designation: 'W30X99', family: 'W', weight: 99 },
+  { designation: 'W30X108', family: 'W', weight: 108 },
+  { designation: 'W30X116', family: 'W', weight: 116 },
+  { designation: 'W33X118', family: 'W', weight: 118 },
+  { designation: 'W33X130', family: 'W', weight: 130 },
+  { designation: 'W36X135', family: 'W', weight: 135 },
+  { designation: 'W36X150', family: 'W', weight: 150 },
+  { designation: 'HP10X42', family: 'HP', weight: 42 },
+  { designation: 'HP12X53', family: 'HP', weight: 53 },
+  { designation: 'HP14X73', family: 'HP', weight: 73 },
+  { designation: 'C8X11.5', family: 'C', weight: 11.5 },
+  { designation: 'C10X15.3', family: 'C', weight: 15.3 },
+  { designation: 'C12X20.7', family: 'C', weight: 20.7 },
+  { designation: 'C12X25', family: 'C', weight: 25 },
+  { designation: 'C15X33.9', family: 'C', weight: 33.9 },
+  { designation: 'MC12X31', family: 'MC', weight: 31 },
+  { designation: 'HSS3X3X1/4', family: 'HSS', weight: 8.81 },
+  { designation: 'HSS4X4X1/4', family: 'HSS', weight: 12.21 },
+  { designation: 'HSS4X4X3/8', family: 'HSS', weight: 17.27 },
+  { designation: 'HSS4X4X1/2', family: 'HSS', weight: 21.63 },
+  { designation: 'HSS5X5X1/4', family: 'HSS', weight: 15.62 },
+  { designation: 'HSS5X5X3/8', family: 'HSS', weight: 22.37 },
+  { designation: 'HSS6X6X1/4', family: 'HSS', weight: 19.02 },
+  { designation: 'HSS6X6X3/8', family: 'HSS', weight: 27.48 },
+  { designation: 'HSS6X6X1/2', family: 'HSS', weight: 35.24 },
+  { designation: 'HSS8X8X3/8', family: 'HSS', weight: 37.69 },
+  { designation: 'HSS8X8X1/2', family: 'HSS', weight: 48.85 },
+  { designation: 'L3X3X1/4', family: 'L', weight: 4.9 },
+  { designation: 'L3-1/2X3-1/2X1/4', family: 'L', weight: 5.8 },
+  { designation: 'L4X4X1/4', family: 'L', weight: 6.6 },
+  { designation: 'L4X4X3/8', family: 'L', weight: 9.8 },
+  { designation: 'L4X4X1/2', family: 'L', weight: 12.8 },
+  { designation: 'L5X5X3/8', family: 'L', weight: 12.3 },
+  { designation: 'L6X6X3/8', family: 'L', weight: 14.9 },
+  { designation: 'L6X6X1/2', family: 'L', weight: 19.6 }
+];
+
+export default { shapes };
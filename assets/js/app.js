@@ -1,5 +1,7 @@
 import { bindCalculator } from './core/ui.js';
 import { initFeedbackWidget } from './core/feedback.js';
+import { initEstimateWorkspace } from './core/workspace.js';
+import { formatDivision } from './core/costcodes.js';
 import { calculator as concreteSlab } from './calculators/concrete-slab-pro.js';
 import { calculator as framing } from './calculators/framing-takeoff.js';
 import { calculator as drywall } from './calculators/drywall-act.js';
@@ -120,7 +122,7 @@ function renderCalculatorDirectory() {
   if (!container) return;
   container.innerHTML = calculatorCatalog
     .map(
-      (entry) => `<article class="card"><header class="card__header"><h2 class="card__title">${registry.get(entry.id).name}</h2><span class="card__meta">${entry.category}</span></header><p>${entry.headline}</p><a class="button" href="/calculators/${entry.id}.html">Open calculator</a></article>`
+      (entry) => `<article class="card"><header class="card__header"><h2 class="card__title">${registry.get(entry.id).name}</h2><span class="card__meta">${entry.category} · ${formatDivision(registry.get(entry.id).costCode)}</span></header><p>${entry.headline}</p><a class="button" href="/calculators/${entry.id}.html">Open calculator</a></article>`
     )
     .join('');
 }
@@ -149,6 +151,7 @@ window.addEventListener('DOMContentLoaded', () => {
   renderCalculatorDirectory();
   initCalculatorLinks();
   initCalculatorPage();
+  initEstimateWorkspace();
   initFeedbackWidget();
 });
 
@@ -0,0 +1,92 @@
+import { formatCurrency, formatNumber } from '../core/units.js';
+import { applyModifiers } from '../core/pricing.js';
+
+const BUCKET_TOTALS = {
+  material: 'materialCost',
+  labor: 'laborCost',
+  equipment: 'equipmentCost'
+};
+
+export function createLine({ code, item, quantity, unit, rate, bucket = 'material' }) {
+  return { code, item, quantity, unit, rate, amount: quantity * rate, bucket };
+}
+
+export function summarizeLines(lines, state) {
+  const totals = { materialCost: 0, laborCost: 0, equipmentCost: 0 };
+  for (const line of lines) {
+    totals[BUCKET_TOTALS[line.bucket]] += line.amount;
+  }
+  const subtotal = totals.materialCost + totals.laborCost + totals.equipmentCost;
+  const { markupRate, markupAmount, taxRate, taxAmount, total } = applyModifiers(subtotal, state);
+  return { ...totals, subtotal, markupRate, markupAmount, taxRate, taxAmount, total };
+}
+
+export function formatQuantity(value, unit, digits = 2) {
+  return `${formatNumber(value, { maximumFractionDigits: digits })} ${unit}`;
+}
+
+export function linesCostTable(lines, totals) {
+  return [
+    ...lines.map((line) => ({
+      label: `${line.item} (${formatQuantity(line.quantity, line.unit)})`,
+      value: formatCurrency(line.amount),
+      code: line.code
+    })),
+    { label: 'GC / Markup', value: formatCurrency(totals.markupAmount) },
+    { label: 'Sales Tax', value: formatCurrency(totals.taxAmount) },
+    { label: 'ROM Total', value: formatCurrency(totals.total) }
+  ];
+}
+
+export function cutListDetail(title, plan) {
+  const fmt = (value) => formatNumber(value, { maximumFractionDigits: 2 });
+  const describeCuts = (cuts) => {
+    const counts = new Map();
+    for (const cut of cuts) counts.set(cut, (counts.get(cut) ?? 0) + 1);
+    return [...counts.entries()].map(([length, count]) => `${count} × ${fmt(length)} ft`).join(' + ');
+  };
+  return {
+    title,
+    columns: ['Stock', 'Cuts per piece', 'Qty', 'Drop each (ft)'],
+    rows: [
+      ...plan.patterns.map((pattern) => [`${fmt(pattern.stock)} ft`, describeCuts(pattern.cuts), pattern.count, fmt(pattern.drop)]),
+      [
+        'Total',
+        `${fmt(plan.requiredLength)} ft required of ${fmt(plan.purchasedLength)} ft bought`,
+        plan.bars,
+        `${fmt(plan.dropLength)} (${formatNumber(plan.wastePercent, { maximumFractionDigits: 1 })}%)`
+      ]
+    ]
+  };
+}
+
+function detailRows(details = []) {
+  return details.flatMap((detail) => [[], [detail.title], detail.columns, ...detail.rows]);
+}
+
+export function linesExport(id, lines, totals, details = []) {
+  const rows = [
+    ['Cost Code', 'Item', 'Quantity', 'Unit', 'Rate', 'Amount'],
+    ...lines.map((line) => [
+      line.code,
+      line.item,
+      formatNumber(line.quantity, { maximumFractionDigits: 2 }),
+      line.unit,
+      `$${formatNumber(line.rate, { maximumFractionDigits: 2 })}`,
+      `$${formatNumber(line.amount, { maximumFractionDigits: 2 })}`
+    ]),
+    ['', 'Subtotal', '-', '-', '-', `$${formatNumber(totals.subtotal, { maximumFractionDigits: 2 })}`],
+    ['', 'Markup', '-', '-', '-', `$${formatNumber(totals.markupAmount, { maximumFractionDigits: 2 })}`],
+    ['', 'Tax', '-', '-', '-', `$${formatNumber(totals.taxAmount, { maximumFractionDigits: 2 })}`],
+    ['', 'Total', '-', '-', '-', `$${formatNumber(totals.total, { maximumFractionDigits: 2 })}`],
+    ...detailRows(details)
+  ];
+
+  const pdfLines = rows.map((row) => row.filter((cell) => cell !== '').join(' \u2022 ')).filter(Boolean);
+
+  return {
+    csv: { rows, filename: `${id}.csv` },
+    xlsx: { rows, filename: `${id}.xlsx` },
+    pdf: { lines: pdfLines, filename: `${id}.pdf` }
+  };
+}
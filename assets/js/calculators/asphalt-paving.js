@@ -1,7 +1,270 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const POUNDS_PER_TON = 2000;
+const SQFT_PER_SY = 9;
+const BASE_TONS_PER_HOUR = 120;
+const ROLLERS = 2;
+
+const MIXES = {
+  surface: { label: 'Surface course', pricePath: 'materials.hma_surface_ton' },
+  intermediate: { label: 'Intermediate course', pricePath: 'materials.hma_intermediate_ton' },
+  base: { label: 'Base course', pricePath: 'materials.hma_base_ton' }
+};
+
+const LIFT_COLUMNS = [
+  { key: 'name', label: 'Lift', type: 'text', required: true },
+  { key: 'mix', label: 'Mix', type: 'select', options: Object.keys(MIXES), default: 'surface' },
+  { key: 'thickness_in', label: 'Compacted thickness (in)', type: 'number', min: 0.75, max: 6, required: true },
+  { key: 'density_pcf', label: 'Density (pcf)', type: 'number', min: 100, max: 170, default: 145 }
+];
+
+export const calculator = {
   id: 'asphalt-paving',
   name: 'Asphalt Paving',
-  description: 'Layer asphalt lifts, tack coat, and striping allowances for site paving.'
-});
+  costCode: '32 12 00',
+  defaults: {
+    area_sqft: 24000,
+    paving_type: 'new',
+    lifts: [
+      { name: 'Base lift', mix: 'base', thickness_in: 2.5, density_pcf: 145 },
+      { name: 'Surface lift', mix: 'surface', thickness_in: 1.5, density_pcf: 145 }
+    ],
+    mix_waste_percent: 3,
+    base_thickness_in: 8,
+    base_density_pcf: 140,
+    tack_rate_gsy: 0.05,
+    stalls: 60,
+    stripe_lf_per_stall: 20,
+    extra_stripe_lf: 400,
+    symbols: 4,
+    truck_capacity_tons: 20,
+    truck_cycle_min: 45,
+    trucks: 6,
+    paver_tph: 150,
+    region: 'national'
+  },
+  schema: {
+    area_sqft: { type: 'number', min: 1, required: true },
+    paving_type: { type: 'select', options: ['new', 'overlay'], required: true },
+    lifts: { type: 'table', columns: LIFT_COLUMNS, required: true, maxRows: 6 },
+    mix_waste_percent: { type: 'number', min: 0, max: 25, required: true },
+    base_thickness_in: { type: 'number', min: 0, max: 24, required: true },
+    base_density_pcf: { type: 'number', min: 90, max: 160, required: true },
+    tack_rate_gsy: { type: 'number', min: 0, max: 0.2, required: true },
+    stalls: { type: 'number', min: 0, max: 5000, required: true },
+    stripe_lf_per_stall: { type: 'number', min: 0, max: 60, required: true },
+    extra_stripe_lf: { type: 'number', min: 0, required: true },
+    symbols: { type: 'number', min: 0, max: 500, required: true },
+    truck_capacity_tons: { type: 'number', min: 5, max: 40, required: true },
+    truck_cycle_min: { type: 'number', min: 5, max: 240, required: true },
+    trucks: { type: 'number', min: 1, max: 50, required: true },
+    paver_tph: { type: 'number', min: 10, max: 600, required: true },
+    mix_price_ton: { type: 'number', min: 0, required: false },
+    truck_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  init(root) {
+    const typeSelect = root.querySelector('select[name="paving_type"]');
+    const groups = root.querySelectorAll('[data-paving-type]');
+    function syncType() {
+      groups.forEach((group) => {
+        group.hidden = group.getAttribute('data-paving-type') !== typeSelect.value;
+      });
+    }
+    typeSelect.addEventListener('change', syncType);
+    syncType();
+  },
+  compute(state) {
+    const overrides = {
+      'materials.hma_surface_ton': state.mix_price_ton,
+      'materials.hma_intermediate_ton': state.mix_price_ton,
+      'materials.hma_base_ton': state.mix_price_ton,
+      'equipment.haul_truck_hr': state.truck_rate
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+    const areaSy = state.area_sqft / SQFT_PER_SY;
+    const wasteFactor = 1 + state.mix_waste_percent / 100;
+
+    const lifts = state.lifts.map((lift) => {
+      const cf = state.area_sqft * (lift.thickness_in / 12);
+      const tons = ((cf * lift.density_pcf) / POUNDS_PER_TON) * wasteFactor;
+      return {
+        name: lift.name,
+        mix: lift.mix,
+        thicknessIn: lift.thickness_in,
+        densityPcf: lift.density_pcf,
+        tons,
+        loads: roundUp(tons / state.truck_capacity_tons)
+      };
+    });
+    const mixTons = lifts.reduce((sum, lift) => sum + lift.tons, 0);
+    const totalThicknessIn = lifts.reduce((sum, lift) => sum + lift.thicknessIn, 0);
+
+    const includeBase = state.paving_type === 'new' && state.base_thickness_in > 0;
+    const baseCy = includeBase ? (state.area_sqft * (state.base_thickness_in / 12)) / 27 : 0;
+    const baseTons = (baseCy * 27 * state.base_density_pcf) / POUNDS_PER_TON;
+
+    // Tack between lifts, plus on the existing surface for an overlay.
+    const tackCoats = Math.max(lifts.length - 1, 0) + (state.paving_type === 'overlay' ? 1 : 0);
+    const tackGallons = areaSy * state.tack_rate_gsy * tackCoats;
+
+    const stallStripeLf = state.stalls * state.stripe_lf_per_stall;
+    const stripeLf = stallStripeLf + state.extra_stripe_lf;
+
+    // Trucks cap what the paver can lay: tons delivered per hour by the whole fleet.
+    const truckSupplyTph = state.trucks * state.truck_capacity_tons * (60 / state.truck_cycle_min);
+    const pavingTph = Math.min(state.paver_tph, truckSupplyTph);
+    const baseTph = Math.min(BASE_TONS_PER_HOUR, truckSupplyTph);
+    const pavingHours = mixTons / pavingTph;
+    const baseHours = baseTons / baseTph;
+    const crewHours = round(pavingHours + baseHours, 2);
+    const truckHours = round(state.trucks * (pavingHours + baseHours), 2);
+    const mixLoads = lifts.reduce((sum, lift) => sum + lift.loads, 0);
+    const baseLoads = roundUp(baseTons / state.truck_capacity_tons);
+
+    const tonsByMix = new Map();
+    for (const lift of lifts) {
+      tonsByMix.set(lift.mix, (tonsByMix.get(lift.mix) ?? 0) + lift.tons);
+    }
+
+    const lines = [
+      ...[...tonsByMix].map(([mix, tons]) =>
+        createLine({ code: '32 12 16', item: `HMA ${MIXES[mix].label.toLowerCase()}`, quantity: tons, unit: 'tons', rate: price(MIXES[mix].pricePath) })
+      ),
+      createLine({ code: '32 11 23', item: 'Aggregate base course', quantity: baseTons, unit: 'tons', rate: price('materials.base_aggregate_ton') }),
+      createLine({ code: '32 12 13', item: 'Tack coat', quantity: tackGallons, unit: 'gal', rate: price('materials.tack_coat_gal') }),
+      createLine({ code: '32 17 23', item: 'Pavement striping', quantity: stripeLf, unit: 'LF', rate: price('materials.striping_lf') }),
+      createLine({ code: '32 17 23', item: 'Pavement symbols', quantity: state.symbols, unit: 'ea', rate: price('materials.pavement_symbol_ea') }),
+      createLine({ code: '32 12 16', item: 'Paving crew', quantity: crewHours, unit: 'hrs', rate: price('labor.paving_crew_hr'), bucket: 'labor' }),
+      createLine({ code: '32 12 16', item: 'Paver', quantity: round(pavingHours, 2), unit: 'hrs', rate: price('equipment.paver_hr'), bucket: 'equipment' }),
+      createLine({ code: '32 11 23', item: 'Motor grader', quantity: round(baseHours, 2), unit: 'hrs', rate: price('equipment.grader_hr'), bucket: 'equipment' }),
+      createLine({ code: '32 12 16', item: `Rollers (${ROLLERS})`, quantity: round(ROLLERS * (pavingHours + baseHours), 2), unit: 'hrs', rate: price('equipment.roller_hr'), bucket: 'equipment' }),
+      createLine({ code: '32 12 16', item: `Haul trucks (${state.trucks})`, quantity: truckHours, unit: 'hrs', rate: price('equipment.haul_truck_hr'), bucket: 'equipment' })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      lifts,
+      metrics: {
+        areaSy,
+        mixTons,
+        totalThicknessIn,
+        baseCy,
+        baseTons,
+        tackCoats,
+        tackGallons,
+        stallStripeLf,
+        stripeLf,
+        truckSupplyTph,
+        pavingTph,
+        baseTph,
+        pavingHours,
+        baseHours,
+        crewHours,
+        truckHours,
+        mixLoads,
+        baseLoads,
+        truckLimited: truckSupplyTph < state.paver_tph
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Asphalt Paving Total · ${formatNumber(result.metrics.mixTons, { maximumFractionDigits: 0 })} tons HMA`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    return [
+      {
+        title: 'Lift schedule',
+        columns: ['Lift', 'Mix', 'Thickness (in)', 'Density (pcf)', 'Tons', 'Loads'],
+        rows: result.lifts.map((lift) => [lift.name, MIXES[lift.mix].label, fmt(lift.thicknessIn, 2), fmt(lift.densityPcf, 0), fmt(lift.tons), lift.loads])
+      },
+      {
+        title: 'Trucking and production',
+        columns: ['Item', 'Value'],
+        rows: [
+          ['Truck supply (tons/hr)', fmt(metrics.truckSupplyTph)],
+          ['Paving rate (tons/hr)', fmt(metrics.pavingTph)],
+          ['HMA loads', metrics.mixLoads],
+          ['Base loads', metrics.baseLoads],
+          ['Paving hours', fmt(metrics.pavingHours, 2)],
+          ['Base placement hours', fmt(metrics.baseHours, 2)]
+        ]
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs, metrics } = result;
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const warnings = [];
+    if (metrics.truckLimited) {
+      warnings.push(
+        `Warning: ${inputs.trucks} trucks deliver ${fmt(metrics.truckSupplyTph)} tons/hr, below the ${inputs.paver_tph} tons/hr paver rate; add trucks to keep the paver moving`
+      );
+    }
+    return [
+      ...warnings,
+      `Mix tons = area × compacted thickness × density ÷ 2000, plus ${inputs.mix_waste_percent}% waste`,
+      inputs.paving_type === 'new'
+        ? `${inputs.base_thickness_in} in aggregate base at ${inputs.base_density_pcf} pcf compacted, placed at up to ${BASE_TONS_PER_HOUR} tons/hr`
+        : 'Overlay on existing pavement; no aggregate base, tack coat on the existing surface',
+      `Tack coat at ${inputs.tack_rate_gsy} gal/SY × ${metrics.tackCoats} application(s)`,
+      `Striping: ${inputs.stalls} stalls × ${inputs.stripe_lf_per_stall} LF + ${fmt(inputs.extra_stripe_lf, 0)} LF other markings, ${inputs.symbols} symbols`,
+      `${inputs.trucks} trucks × ${inputs.truck_capacity_tons} tons on a ${inputs.truck_cycle_min} min cycle, held for the full paving and base duration`,
+      `Paving crew and ${ROLLERS} rollers run for paving plus base hours; paver for paving hours only`,
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${formatNumber(result.metrics.areaSy, { maximumFractionDigits: 0 })} SY, ${formatNumber(result.metrics.totalThicknessIn, { maximumFractionDigits: 2 })} in HMA`,
+      quantity: result.metrics.mixTons,
+      unit: 'tons',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    const lines = result.lifts.map(
+      (lift) =>
+        `**${lift.name}** = ${fmt(state.area_sqft, 0)} SF × ${fmt(lift.thicknessIn)} in ÷ 12 × ${fmt(lift.densityPcf, 0)} pcf ÷ ${POUNDS_PER_TON} × ${fmt(1 + state.mix_waste_percent / 100, 3)} = ${fmt(lift.tons)} tons (${lift.loads} loads)`
+    );
+    if (metrics.baseTons > 0) {
+      lines.push(`**Aggregate base** = ${fmt(metrics.baseCy)} CY × 27 × ${state.base_density_pcf} pcf ÷ ${POUNDS_PER_TON} = ${fmt(metrics.baseTons)} tons`);
+    }
+    lines.push(
+      `Tack = ${fmt(metrics.areaSy)} SY × ${state.tack_rate_gsy} gal/SY × ${metrics.tackCoats} = ${fmt(metrics.tackGallons)} gal`,
+      `Striping = ${state.stalls} × ${state.stripe_lf_per_stall} LF + ${fmt(state.extra_stripe_lf, 0)} LF = ${fmt(metrics.stripeLf, 0)} LF`,
+      `Truck supply = ${state.trucks} × ${state.truck_capacity_tons} tons × 60 ÷ ${state.truck_cycle_min} min = ${fmt(metrics.truckSupplyTph)} tons/hr`,
+      `Paving hours = ${fmt(metrics.mixTons)} tons ÷ min(${state.paver_tph}, ${fmt(metrics.truckSupplyTph)}) = ${fmt(metrics.pavingHours)}`,
+      `Base hours = ${fmt(metrics.baseTons)} tons ÷ min(${BASE_TONS_PER_HOUR}, ${fmt(metrics.truckSupplyTph)}) = ${fmt(metrics.baseHours)}`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('asphalt-paving', result.lines, result.totals, calculator.details(result));
+  }
+};
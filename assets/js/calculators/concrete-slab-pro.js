@@ -1,28 +1,98 @@
-import { applyWaste, cubicFeetToCubicYards, formatNumber, inchesToFeet, volumeFt3 } from '../core/units.js';
+import { applyWaste, cubicFeetToCubicYards, formatCurrency, formatNumber, inchesToFeet, rectangleGeometry, round, roundUp, scanlineRuns, volumeFt3 } from '../core/units.js';
 import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { splitRun, optimizeCuts } from '../core/cutlist.js';
+import { createLine, cutListDetail, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
 const GRID_OPTIONS = [12, 18, 24];
+const STOCK_LENGTHS = ['20', '40', '60'];
+const POUNDS_PER_TON = 2000;
+const BASE_DENSITY_PCF = 140;
+const VAPOR_ROLL = { widthFt: 12, lengthFt: 100, lapIn: 6 };
+const WWM_SHEET = { widthFt: 8, lengthFt: 20, lapIn: 6 };
+
+const BAR_SIZES = {
+  '#3': { lbPerFt: 0.376 },
+  '#4': { lbPerFt: 0.668 },
+  '#5': { lbPerFt: 1.043 },
+  '#6': { lbPerFt: 1.502 }
+};
+
+const FINISHES = {
+  broom: { label: 'Broom', sfPerHour: 300 },
+  float: { label: 'Float', sfPerHour: 350 },
+  'steel-trowel': { label: 'Hard steel trowel', sfPerHour: 200 },
+  burnished: { label: 'Burnished', sfPerHour: 150 }
+};
+
+const VAPOR_BARRIERS = {
+  none: null,
+  '10-mil': { label: '10 mil vapor retarder', pricePath: 'materials.vapor_barrier_10mil_roll' },
+  '15-mil': { label: '15 mil vapor retarder', pricePath: 'materials.vapor_barrier_15mil_roll' }
+};
+
+const FOOTING_COLUMNS = [
+  { key: 'description', label: 'Description', type: 'text', required: true },
+  { key: 'length_ft', label: 'Length (ft)', type: 'number', min: 0.5, required: true },
+  { key: 'width_ft', label: 'Width (ft)', type: 'number', min: 0.5, required: true },
+  { key: 'depth_in', label: 'Depth below slab (in)', type: 'number', min: 1, required: true },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 1, default: 1 }
+];
+
+function groupRuns(label, runs) {
+  const counts = new Map();
+  for (const run of runs) {
+    const runFt = round(run, 2);
+    counts.set(runFt, (counts.get(runFt) ?? 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[0] - a[0]).map(([runFt, bars]) => ({ label, bars, runFt }));
+}
 
 export const calculator = {
   id: 'concrete-slab-pro',
   name: 'Concrete Slab Pro',
+  costCode: '03 30 00',
   defaults: {
     length_ft: 20,
     width_ft: 10,
     thickness_in: 4,
     waste_percent: 5,
+    edge_lf: 0,
+    edge_width_in: 12,
+    edge_depth_in: 12,
+    edge_bars: 2,
+    footings: [],
+    base_thickness_in: 0,
+    vapor_barrier: 'none',
+    finish_type: 'steel-trowel',
+    reinforcement: 'rebar',
+    bar_size: '#4',
     rebar_grid_in: 12,
+    stock_length_ft: '20',
     rebar_lap_in: 24,
+    pour_count: 1,
     productivity_yd3_hr: 3,
     region: 'national'
   },
   schema: {
-    length_ft: { type: 'number', min: 1, required: true },
-    width_ft: { type: 'number', min: 1, required: true },
+    length_ft: { type: 'number', min: 1, required: true, unlessFilled: 'shape' },
+    width_ft: { type: 'number', min: 1, required: true, unlessFilled: 'shape' },
+    shape: { type: 'polygon', required: false },
     thickness_in: { type: 'number', min: 1, required: true },
     waste_percent: { type: 'number', min: 0, max: 50, required: true },
+    edge_lf: { type: 'number', min: 0, required: false },
+    edge_width_in: { type: 'number', min: 6, required: true },
+    edge_depth_in: { type: 'number', min: 1, required: true },
+    edge_bars: { type: 'number', min: 0, max: 8, required: true },
+    footings: { type: 'table', columns: FOOTING_COLUMNS, required: false, maxRows: 50 },
+    base_thickness_in: { type: 'number', min: 0, max: 24, required: true },
+    vapor_barrier: { type: 'select', options: Object.keys(VAPOR_BARRIERS), required: true },
+    finish_type: { type: 'select', options: Object.keys(FINISHES), required: true },
+    reinforcement: { type: 'select', options: ['rebar', 'wwm'], required: true },
+    bar_size: { type: 'select', options: Object.keys(BAR_SIZES), required: true },
     rebar_grid_in: { type: 'number', required: true },
-    rebar_lap_in: { type: 'number', min: 0, required: true },
+    stock_length_ft: { type: 'select', options: STOCK_LENGTHS, required: true },
+    rebar_lap_in: { type: 'number', min: 0, max: 120, required: true },
+    pour_count: { type: 'number', min: 1, max: 50, required: true },
     concrete_unit_price: { type: 'number', min: 0, required: false },
     labor_rate: { type: 'number', min: 0, required: false },
     productivity_yd3_hr: { type: 'number', min: 0.1, required: true },
@@ -33,147 +103,294 @@ export const calculator = {
   },
   init(root) {
     const gridSelect = root.querySelector('select[name="rebar_grid_in"]');
-    gridSelect.innerHTML = GRID_OPTIONS.map((value) => `<option value="${value}">${value}\u2033 OC</option>`).join('');
+    gridSelect.innerHTML = GRID_OPTIONS.map((value) => `<option value="${value}">${value}″ OC</option>`).join('');
+    const reinforcementSelect = root.querySelector('select[name="reinforcement"]');
+    const groups = root.querySelectorAll('[data-reinforcement]');
+    function syncReinforcement() {
+      groups.forEach((group) => {
+        group.hidden = group.getAttribute('data-reinforcement') !== reinforcementSelect.value;
+      });
+    }
+    reinforcementSelect.addEventListener('change', syncReinforcement);
+    syncReinforcement();
   },
   compute(state) {
-    const lengthFt = state.length_ft;
-    const widthFt = state.width_ft;
+    const geometry = state.shape ?? rectangleGeometry(state.length_ft, state.width_ft);
+    const { lengthFt, widthFt } = geometry;
     const thicknessIn = state.thickness_in;
-    const wastePercent = state.waste_percent;
-    const gridIn = state.rebar_grid_in;
-    const lapIn = state.rebar_lap_in;
-    const productivity = state.productivity_yd3_hr;
-
     const overrides = {
       'materials.concrete_yd3': state.concrete_unit_price,
       'labor.concrete_finisher_hr': state.labor_rate,
       'equipment.concrete_pump_flat': state.equipment_flat
     };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+    const warnings = [];
+
+    const areaSqFt = geometry.areaSqFt;
+    const perimeterFt = geometry.perimeterFt + geometry.voidPerimeterFt;
+    const slabFt3 = areaSqFt * inchesToFeet(thicknessIn);
+
+    const edgeLf = state.edge_lf ?? perimeterFt;
+    const edgeDropIn = state.edge_depth_in - thicknessIn;
+    if (edgeLf > 0 && edgeDropIn <= 0) {
+      warnings.push(`Edge depth ${state.edge_depth_in} in is not deeper than the ${thicknessIn} in slab; no thickened edge carried`);
+    }
+    const thickenedLf = edgeDropIn > 0 ? edgeLf : 0;
+    const edgeFt3 = thickenedLf * inchesToFeet(state.edge_width_in) * inchesToFeet(Math.max(edgeDropIn, 0));
+
+    const footings = state.footings.map((row) => ({
+      description: row.description,
+      lengthFt: row.length_ft,
+      widthFt: row.width_ft,
+      depthIn: row.depth_in,
+      quantity: row.quantity,
+      volumeFt3: volumeFt3(row.length_ft, row.width_ft, row.depth_in) * row.quantity
+    }));
+    const footingFt3 = footings.reduce((sum, footing) => sum + footing.volumeFt3, 0);
+
+    const totalFt3 = slabFt3 + edgeFt3 + footingFt3;
+    const volumeYd3 = cubicFeetToCubicYards(totalFt3);
+    const volumeYd3Waste = applyWaste(volumeYd3, state.waste_percent);
+
+    const pourCount = roundUp(state.pour_count);
+    const pours = Array.from({ length: pourCount }, (_, index) => ({
+      pour: index + 1,
+      lengthFt: lengthFt / pourCount,
+      areaSqFt: areaSqFt / pourCount,
+      volumeYd3: volumeYd3Waste / pourCount
+    }));
+    const constructionJointLf = (pourCount - 1) * widthFt;
+
+    const stockFt = Number(state.stock_length_ft);
+    const lapFt = inchesToFeet(state.rebar_lap_in);
+    const bar = BAR_SIZES[state.bar_size];
+    const gridFt = inchesToFeet(state.rebar_grid_in);
+    const runsX = scanlineRuns(geometry, gridFt, 'x').runs;
+    const runsY = scanlineRuns(geometry, gridFt, 'y').runs;
+    const barsX = runsX.length;
+    const barsY = runsY.length;
+    const rebarGroups = [
+      ...(state.reinforcement === 'rebar' ? [...groupRuns('Length direction', runsX), ...groupRuns('Width direction', runsY)] : []),
+      { label: 'Thickened edge', bars: thickenedLf > 0 ? state.edge_bars : 0, runFt: thickenedLf }
+    ]
+      .filter((group) => group.bars > 0 && group.runFt > 0)
+      .map((group) => {
+        const pieces = splitRun(group.runFt, stockFt, lapFt);
+        return {
+          ...group,
+          pieces,
+          piecesPerBar: pieces.length,
+          lapsPerBar: pieces.length - 1,
+          lf: group.bars * (group.runFt + (pieces.length - 1) * lapFt)
+        };
+      });
+    const rebarFt = rebarGroups.reduce((sum, group) => sum + group.lf, 0);
+    const rebarLb = rebarFt * bar.lbPerFt;
+    const rebarTons = rebarLb / POUNDS_PER_TON;
+    const cutPlan = optimizeCuts(
+      rebarGroups.flatMap((group) => group.pieces.map((length) => ({ length, quantity: group.bars }))),
+      STOCK_LENGTHS.map(Number).filter((length) => length <= stockFt)
+    );
+    const purchasedTons = (cutPlan.purchasedLength * bar.lbPerFt) / POUNDS_PER_TON;
+
+    const wwmNetSf = (WWM_SHEET.widthFt - inchesToFeet(WWM_SHEET.lapIn)) * (WWM_SHEET.lengthFt - inchesToFeet(WWM_SHEET.lapIn));
+    const wwmSheets = state.reinforcement === 'wwm' ? roundUp(areaSqFt / wwmNetSf) : 0;
+
+    const vaporBarrier = VAPOR_BARRIERS[state.vapor_barrier];
+    const vaporNetSf = (VAPOR_ROLL.widthFt - inchesToFeet(VAPOR_ROLL.lapIn)) * VAPOR_ROLL.lengthFt;
+    const vaporRolls = vaporBarrier ? roundUp(areaSqFt / vaporNetSf) : 0;
+    const baseTons = (areaSqFt * inchesToFeet(state.base_thickness_in) * BASE_DENSITY_PCF) / POUNDS_PER_TON;
 
-    const { value: concreteUnit, overridden: concreteOverridden } = resolvePrice('materials.concrete_yd3', overrides, state.region);
-    const { value: rebarUnit } = resolvePrice('materials.rebar_ft', overrides, state.region);
-    const { value: laborRate, overridden: laborOverridden } = resolvePrice('labor.concrete_finisher_hr', overrides, state.region);
-    const { value: equipmentFlat, overridden: equipmentOverridden } = resolvePrice('equipment.concrete_pump_flat', overrides, state.region);
-
-    const volumeFt3Raw = volumeFt3(lengthFt, widthFt, thicknessIn);
-    const volumeYd3 = cubicFeetToCubicYards(volumeFt3Raw);
-    const volumeYd3Waste = applyWaste(volumeYd3, wastePercent);
-
-    const barsX = Math.ceil((widthFt * 12) / gridIn) + 1;
-    const barsY = Math.ceil((lengthFt * 12) / gridIn) + 1;
-    const lapFt = (barsX + barsY) * inchesToFeet(lapIn);
-    const totalRebarFt = barsX * lengthFt + barsY * widthFt + lapFt;
-
-    const materialCost = volumeYd3Waste * concreteUnit + totalRebarFt * rebarUnit;
-    const laborHours = volumeYd3Waste / productivity;
-    const laborCost = laborHours * laborRate;
-    const equipmentCost = state.equipment_flat ?? equipmentFlat;
-
-    const subtotal = materialCost + laborCost + equipmentCost;
-    const markupRate = state.include_markup ? 0.1 : 0;
-    const markupAmount = subtotal * markupRate;
-    const taxableBase = subtotal + markupAmount;
-    const taxRate = state.include_tax ? 0.0825 : 0;
-    const taxAmount = taxableBase * taxRate;
-    const total = subtotal + markupAmount + taxAmount;
+    const finish = FINISHES[state.finish_type];
+    const placementHours = volumeYd3Waste / state.productivity_yd3_hr;
+    const finishingHours = areaSqFt / finish.sfPerHour;
+    const laborRate = price('labor.concrete_finisher_hr');
+    const pumpRate = price('equipment.concrete_pump_flat');
+
+    const lines = [
+      createLine({ code: '03 30 00', item: 'Ready-mix concrete', quantity: round(volumeYd3Waste, 2), unit: 'yd³', rate: price('materials.concrete_yd3') }),
+      createLine({ code: '03 21 00', item: `${state.bar_size} reinforcing bar (${cutPlan.bars} stock bars)`, quantity: round(purchasedTons, 3), unit: 'tons', rate: price('materials.rebar_lb') * POUNDS_PER_TON }),
+      createLine({ code: '03 22 00', item: 'Welded wire mesh (8×20 sheets)', quantity: wwmSheets, unit: 'sheets', rate: price('materials.wwm_sheet') }),
+      createLine({ code: '31 05 16', item: 'Aggregate base', quantity: round(baseTons, 2), unit: 'tons', rate: price('materials.base_aggregate_ton') }),
+      ...(vaporBarrier
+        ? [createLine({ code: '07 26 00', item: `${vaporBarrier.label} (12×100 rolls)`, quantity: vaporRolls, unit: 'rolls', rate: price(vaporBarrier.pricePath) })]
+        : []),
+      createLine({ code: '03 31 00', item: 'Placement labor', quantity: round(placementHours, 2), unit: 'hrs', rate: laborRate, bucket: 'labor' }),
+      createLine({ code: '03 35 00', item: `${finish.label} finish labor`, quantity: round(finishingHours, 2), unit: 'hrs', rate: laborRate, bucket: 'labor' }),
+      createLine({ code: '03 31 00', item: 'Concrete pump (per pour)', quantity: pourCount, unit: 'pours', rate: pumpRate, bucket: 'equipment' })
+    ].filter((line) => line.quantity > 0);
 
     return {
       inputs: state,
+      geometry,
+      footings,
+      pours,
+      rebarGroups,
+      cutPlan,
+      warnings,
       metrics: {
-        volumeFt3: volumeFt3Raw,
+        areaSqFt,
+        perimeterFt,
+        volumeFt3: totalFt3,
+        slabFt3,
+        edgeFt3,
+        footingFt3,
+        thickenedLf,
         volumeYd3,
         volumeYd3Waste,
-        rebarFt: totalRebarFt,
+        rebarFt,
+        rebarLb,
+        rebarTons,
+        purchasedTons,
         barsX,
         barsY,
-        laborHours
-      },
-      pricing: {
-        concreteUnit,
-        concreteOverridden,
-        rebarUnit,
-        laborRate,
-        laborOverridden,
-        equipmentCost,
-        equipmentOverridden
-      },
-      totals: {
-        materialCost,
-        laborCost,
-        equipmentCost,
-        markupAmount,
-        taxAmount,
-        subtotal,
-        total
+        wwmSheets,
+        vaporRolls,
+        baseTons,
+        placementHours,
+        finishingHours,
+        laborHours: placementHours + finishingHours,
+        pourCount,
+        pumpRate,
+        constructionJointLf
       },
+      lines,
+      totals: summarizeLines(lines, state),
       overrides: describeOverrides(overrides)
     };
   },
   summarize(result) {
     return {
       label: 'ROM Total Installed Cost',
-      value: `$${formatNumber(result.totals.total, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}`
+      value: formatCurrency(result.totals.total)
     };
   },
   costTable(result) {
-    return [
-      { label: 'Material', value: `$${formatNumber(result.totals.materialCost, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}` },
-      { label: 'Labor', value: `$${formatNumber(result.totals.laborCost, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}` },
-      { label: 'Equipment', value: `$${formatNumber(result.totals.equipmentCost, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}` },
-      { label: 'GC / Markup', value: `$${formatNumber(result.totals.markupAmount, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}` },
-      { label: 'Sales Tax', value: `$${formatNumber(result.totals.taxAmount, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}` },
-      { label: 'ROM Total', value: `$${formatNumber(result.totals.total, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}` }
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const details = [
+      {
+        title: 'Pours',
+        columns: ['Pour', 'Length (ft)', 'Area (SF)', 'Concrete (yd³)', 'Pump'],
+        rows: result.pours.map((pour) => [pour.pour, fmt(pour.lengthFt, 1), fmt(pour.areaSqFt, 0), fmt(pour.volumeYd3), formatCurrency(result.metrics.pumpRate)])
+      }
     ];
+    if (result.rebarGroups.length) {
+      details.push({
+        title: `Reinforcement (${result.inputs.bar_size}, ${result.inputs.stock_length_ft} ft stock)`,
+        columns: ['Run', 'Bars', 'Run length (ft)', 'Stock pieces per bar', 'Laps per bar', 'LF incl. laps', 'Tons'],
+        rows: result.rebarGroups.map((group) => [
+          group.label,
+          group.bars,
+          fmt(group.runFt, 1),
+          group.piecesPerBar,
+          group.lapsPerBar,
+          fmt(group.lf, 0),
+          fmt((group.lf * BAR_SIZES[result.inputs.bar_size].lbPerFt) / POUNDS_PER_TON, 3)
+        ])
+      });
+      details.push(cutListDetail(`Rebar cut list (${result.inputs.bar_size})`, result.cutPlan));
+    }
+    if (result.footings.length) {
+      details.push({
+        title: 'Interior footings',
+        columns: ['Footing', 'Size', 'Depth below slab (in)', 'Qty', 'Concrete (ft³)'],
+        rows: result.footings.map((footing) => [
+          footing.description,
+          `${fmt(footing.lengthFt, 1)} × ${fmt(footing.widthFt, 1)} ft`,
+          fmt(footing.depthIn, 1),
+          footing.quantity,
+          fmt(footing.volumeFt3, 1)
+        ])
+      });
+    }
+    return details;
   },
   assumptions(result) {
+    const { inputs, metrics } = result;
     const overrides = result.overrides.length
       ? [`Manual overrides: ${result.overrides.join(', ')}`]
       : [];
+    const reinforcement =
+      inputs.reinforcement === 'rebar'
+        ? `Rebar grid ${metrics.barsX}×${metrics.barsY} ${inputs.bar_size} at ${inputs.rebar_grid_in}″ OC, ${formatNumber(metrics.rebarFt, { maximumFractionDigits: 0 })} LF (${formatNumber(metrics.rebarTons, { maximumFractionDigits: 2 })} tons) with ${inputs.rebar_lap_in}″ laps from ${inputs.stock_length_ft} ft stock`
+        : `Welded wire mesh in 8×20 sheets lapped ${WWM_SHEET.lapIn}″ both ways: ${metrics.wwmSheets} sheets`;
+    const edge =
+      metrics.thickenedLf > 0
+        ? `Thickened edge ${formatNumber(metrics.thickenedLf, { maximumFractionDigits: 1 })} LF, ${inputs.edge_width_in}″ wide to ${inputs.edge_depth_in}″ deep with ${inputs.edge_bars} continuous bars`
+        : 'No thickened edge';
+    const { geometry } = result;
+    const shape = inputs.shape
+      ? [
+          `Slab shape ${formatNumber(geometry.areaSqFt, { maximumFractionDigits: 1 })} SF net of ${geometry.voids.length} void${geometry.voids.length === 1 ? '' : 's'}, ${formatNumber(metrics.perimeterFt, { maximumFractionDigits: 1 })} LF of edge; pours split along its ${formatNumber(geometry.lengthFt, { maximumFractionDigits: 1 })} ft length`
+        ]
+      : [];
     return [
-      `Rebar grid ${result.metrics.barsX}×${result.metrics.barsY} with ${formatNumber(result.metrics.rebarFt, { maximumFractionDigits: 0 })} LF`,
-      `Waste factor ${result.inputs.waste_percent}% applied`,
-      `Productivity ${formatNumber(result.inputs.productivity_yd3_hr, { maximumFractionDigits: 2 })} yd³/hr`,
+      ...result.warnings.map((warning) => `Warning: ${warning}`),
+      ...shape,
+      reinforcement,
+      edge,
+      ...(result.cutPlan.bars
+        ? [
+            `Rebar bought as ${result.cutPlan.purchases.map((entry) => `${entry.count} × ${entry.stock} ft`).join(' + ')} bars (${formatNumber(metrics.purchasedTons, { maximumFractionDigits: 2 })} tons); cut drop ${formatNumber(result.cutPlan.dropLength, { maximumFractionDigits: 1 })} LF`
+          ]
+        : []),
+      `Waste factor ${inputs.waste_percent}% applied to concrete`,
+      inputs.base_thickness_in > 0 ? `${inputs.base_thickness_in}″ aggregate base at ${BASE_DENSITY_PCF} pcf compacted` : 'No aggregate base',
+      VAPOR_BARRIERS[inputs.vapor_barrier] ? `${VAPOR_BARRIERS[inputs.vapor_barrier].label} in rolls lapped ${VAPOR_ROLL.lapIn}″` : 'No vapor retarder',
+      `Productivity ${formatNumber(inputs.productivity_yd3_hr, { maximumFractionDigits: 2 })} yd³/hr placing; ${FINISHES[inputs.finish_type].label.toLowerCase()} finish at ${FINISHES[inputs.finish_type].sfPerHour} SF/hr`,
+      `${metrics.pourCount} pour${metrics.pourCount === 1 ? '' : 's'}, each with its own pump charge${metrics.constructionJointLf ? `; ${formatNumber(metrics.constructionJointLf, { maximumFractionDigits: 1 })} LF of construction joints` : ''}`,
       ...overrides
     ];
   },
+  estimateLine(state, result) {
+    const pours = result.metrics.pourCount > 1 ? `, ${result.metrics.pourCount} pours` : '';
+    const size = state.shape
+      ? `${formatNumber(result.metrics.areaSqFt, { maximumFractionDigits: 0 })} SF shaped`
+      : `${state.length_ft} ft × ${state.width_ft} ft`;
+    return {
+      description: `${size} slab, ${state.thickness_in}″ thick${pours}`,
+      quantity: result.metrics.volumeYd3Waste,
+      unit: 'yd³',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
   explain(state, result) {
-    const lines = [
-      `**Volume** = ${state.length_ft} ft × ${state.width_ft} ft × ${state.thickness_in}/12 ft = ${formatNumber(result.metrics.volumeFt3, { maximumFractionDigits: 2 })} ft³`,
-      `Convert to yd³ → ${formatNumber(result.metrics.volumeYd3, { maximumFractionDigits: 2 })} yd³`,
-      `Waste (${state.waste_percent}%): ${formatNumber(result.metrics.volumeYd3Waste, { maximumFractionDigits: 2 })} yd³`,
-      `Rebar bars: ${result.metrics.barsX} L-direction + ${result.metrics.barsY} W-direction`,
-      `Rebar total: ${formatNumber(result.metrics.rebarFt, { maximumFractionDigits: 0 })} LF × $${formatNumber(result.pricing.rebarUnit, { maximumFractionDigits: 2 })}`,
-      `Material = Concrete ${formatNumber(result.metrics.volumeYd3Waste, { maximumFractionDigits: 2 })} × $${formatNumber(result.pricing.concreteUnit, { maximumFractionDigits: 2 })}`,
-      `Labor hours = ${formatNumber(result.metrics.volumeYd3Waste, { maximumFractionDigits: 2 })} ÷ ${formatNumber(state.productivity_yd3_hr, { maximumFractionDigits: 2 })} = ${formatNumber(result.metrics.laborHours, { maximumFractionDigits: 2 })}`,
-      `Labor cost = ${formatNumber(result.metrics.laborHours, { maximumFractionDigits: 2 })} × $${formatNumber(result.pricing.laborRate, { maximumFractionDigits: 2 })}`,
-      `Equipment flat = $${formatNumber(result.totals.equipmentCost, { maximumFractionDigits: 2 })}`,
-      `Subtotal = $${formatNumber(result.totals.subtotal, { maximumFractionDigits: 2 })}`,
-      `Markup (${state.include_markup ? '10%' : '0%'}) = $${formatNumber(result.totals.markupAmount, { maximumFractionDigits: 2 })}`,
-      `Tax (${state.include_tax ? '8.25%' : '0%'}) = $${formatNumber(result.totals.taxAmount, { maximumFractionDigits: 2 })}`,
-      `Total = $${formatNumber(result.totals.total, { maximumFractionDigits: 2 })}`
-    ];
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    const lines = state.shape
+      ? [
+          `Shape area = ${fmt(result.geometry.grossAreaSqFt)} SF outline − ${fmt(result.geometry.voidAreaSqFt)} SF voids = ${fmt(metrics.areaSqFt)} SF; edge ${fmt(metrics.perimeterFt)} LF`,
+          `**Volume** = ${fmt(metrics.areaSqFt)} SF × ${state.thickness_in}/12 ft = ${fmt(metrics.slabFt3)} ft³`
+        ]
+      : [`**Volume** = ${state.length_ft} ft × ${state.width_ft} ft × ${state.thickness_in}/12 ft = ${fmt(metrics.slabFt3)} ft³`];
+    if (metrics.edgeFt3 > 0) {
+      lines.push(`Thickened edge = ${fmt(metrics.thickenedLf)} LF × ${state.edge_width_in}/12 ft × (${state.edge_depth_in} − ${state.thickness_in})/12 ft = ${fmt(metrics.edgeFt3)} ft³`);
+    }
+    if (metrics.footingFt3 > 0) {
+      lines.push(`Interior footings = ${fmt(metrics.footingFt3)} ft³`);
+    }
+    lines.push(
+      `Convert to yd³ → ${fmt(metrics.volumeYd3)} yd³`,
+      `Waste (${state.waste_percent}%): ${fmt(metrics.volumeYd3Waste)} yd³ over ${metrics.pourCount} pour${metrics.pourCount === 1 ? '' : 's'}`,
+      ...result.rebarGroups.map(
+        (group) => `Rebar ${group.label.toLowerCase()}: ${group.bars} bars × (${fmt(group.runFt)} ft + ${group.lapsPerBar} laps × ${state.rebar_lap_in}/12 ft) = ${fmt(group.lf)} LF`
+      ),
+      ...(metrics.rebarFt > 0 ? [`Rebar weight = ${fmt(metrics.rebarFt)} LF × ${BAR_SIZES[state.bar_size].lbPerFt} lb/ft ÷ ${POUNDS_PER_TON} = ${fmt(metrics.rebarTons, 3)} tons placed; ${fmt(result.cutPlan.purchasedLength)} LF bought = ${fmt(metrics.purchasedTons, 3)} tons`] : []),
+      `Labor hours = ${fmt(metrics.volumeYd3Waste)} ÷ ${fmt(state.productivity_yd3_hr)} + ${fmt(metrics.areaSqFt)} SF ÷ ${FINISHES[state.finish_type].sfPerHour} SF/hr = ${fmt(metrics.laborHours)}`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity, 3)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
     return lines.join('\n');
   },
   export(state, result) {
-    const headers = ['Item', 'Quantity', 'Unit', 'Rate', 'Amount'];
-    const rows = [
-      headers,
-      ['Concrete Volume', formatNumber(result.metrics.volumeYd3Waste, { maximumFractionDigits: 2 }), 'yd³', `$${formatNumber(result.pricing.concreteUnit, { maximumFractionDigits: 2 })}`, `$${formatNumber(result.metrics.volumeYd3Waste * result.pricing.concreteUnit, { maximumFractionDigits: 2 })}`],
-      ['Rebar Length', formatNumber(result.metrics.rebarFt, { maximumFractionDigits: 0 }), 'LF', `$${formatNumber(result.pricing.rebarUnit, { maximumFractionDigits: 2 })}`, `$${formatNumber(result.metrics.rebarFt * result.pricing.rebarUnit, { maximumFractionDigits: 2 })}`],
-      ['Labor Hours', formatNumber(result.metrics.laborHours, { maximumFractionDigits: 2 }), 'hrs', `$${formatNumber(result.pricing.laborRate, { maximumFractionDigits: 2 })}`, `$${formatNumber(result.totals.laborCost, { maximumFractionDigits: 2 })}`],
-      ['Equipment', '-', '-', '-', `$${formatNumber(result.totals.equipmentCost, { maximumFractionDigits: 2 })}`],
-      ['Subtotal', '-', '-', '-', `$${formatNumber(result.totals.subtotal, { maximumFractionDigits: 2 })}`],
-      ['Markup', '-', '-', '-', `$${formatNumber(result.totals.markupAmount, { maximumFractionDigits: 2 })}`],
-      ['Tax', '-', '-', '-', `$${formatNumber(result.totals.taxAmount, { maximumFractionDigits: 2 })}`],
-      ['Total', '-', '-', '-', `$${formatNumber(result.totals.total, { maximumFractionDigits: 2 })}`]
-    ];
-
-    const pdfLines = rows.map((row) => row.join(' \u2022 '));
-
-    return {
-      csv: { rows, filename: 'concrete-slab-pro.csv' },
-      xlsx: { rows, filename: 'concrete-slab-pro.xlsx' },
-      pdf: { lines: pdfLines, filename: 'concrete-slab-pro.pdf' }
-    };
+    return linesExport('concrete-slab-pro', result.lines, result.totals, calculator.details(result));
   }
 };
@@ -1,7 +1,200 @@
-import { createStubCalculator } from './_stub.js';
+import basePricing from '../../data/pricing.base.js';
+import { formatCurrency, formatNumber, round } from '../core/units.js';
 
-export const calculator = createStubCalculator({
+const STEP_KINDS = {
+  contingency: 'Design contingency',
+  escalation: 'Escalation to midpoint',
+  fee: 'GC fee',
+  bond: 'Bond',
+  insurance: 'Insurance',
+  tax: 'Sales tax',
+  other: 'Other'
+};
+
+// Estimate modifier each step kind folds into when the stack is applied to an estimate.
+const MODIFIER_FOR_KIND = {
+  contingency: 'contingencyRate',
+  escalation: 'contingencyRate',
+  other: 'contingencyRate',
+  fee: 'markupRate',
+  bond: 'markupRate',
+  insurance: 'markupRate',
+  tax: 'taxRate'
+};
+
+// running compounds on everything above; direct uses the base cost only; after-<kind> freezes the subtotal after that step.
+const BASES = ['running', 'direct', ...Object.keys(STEP_KINDS).map((kind) => `after-${kind}`)];
+
+const STEP_COLUMNS = [
+  { key: 'kind', label: 'Step', type: 'select', options: Object.keys(STEP_KINDS), required: true },
+  { key: 'rate_percent', label: 'Rate (%)', type: 'number', min: 0, max: 100, required: true },
+  { key: 'basis', label: 'Basis', type: 'select', options: BASES, default: 'running' },
+  { key: 'label', label: 'Label', type: 'text' }
+];
+
+const percent = (rate) => round(rate * 100, 4);
+
+export const calculator = {
   id: 'contingency-fees',
   name: 'Contingency & Fees',
-  description: 'Model markup, contingency, and fee structures across program and trade budgets.'
-});
+  costCode: '01 21 00',
+  defaults: {
+    base_cost: 1000000,
+    escalation_months: 18,
+    steps: [
+      { kind: 'contingency', rate_percent: percent(basePricing.contingency), basis: 'running' },
+      { kind: 'escalation', rate_percent: 4, basis: 'running' },
+      { kind: 'fee', rate_percent: percent(basePricing.markup), basis: 'running' },
+      { kind: 'bond', rate_percent: 1.2, basis: 'running' },
+      { kind: 'insurance', rate_percent: 1.5, basis: 'running' },
+      { kind: 'tax', rate_percent: percent(basePricing.tax_rate), basis: 'direct' }
+    ]
+  },
+  schema: {
+    base_cost: { type: 'number', min: 1, required: true },
+    escalation_months: { type: 'number', min: 0, max: 120, required: true },
+    steps: { type: 'table', columns: STEP_COLUMNS, required: true, maxRows: 20 }
+  },
+  compute(state) {
+    const afterKind = new Map();
+    const warnings = [];
+    let running = state.base_cost;
+
+    const steps = state.steps.map((row, index) => {
+      let basis = row.basis;
+      if (basis.startsWith('after-') && !afterKind.has(basis.slice(6))) {
+        warnings.push(`Step ${index + 1}: no ${STEP_KINDS[basis.slice(6)].toLowerCase()} step precedes it; compounded on the running subtotal instead`);
+        basis = 'running';
+      }
+      const basisAmount = basis === 'direct' ? state.base_cost : basis === 'running' ? running : afterKind.get(basis.slice(6));
+      // Escalation rates are annual, compounded to the construction midpoint.
+      const rate =
+        row.kind === 'escalation'
+          ? Math.pow(1 + row.rate_percent / 100, state.escalation_months / 12) - 1
+          : row.rate_percent / 100;
+      const amount = basisAmount * rate;
+      running += amount;
+      afterKind.set(row.kind, running);
+      return {
+        kind: row.kind,
+        label: row.label || STEP_KINDS[row.kind],
+        ratePercent: row.rate_percent,
+        rate,
+        basis,
+        basisAmount,
+        amount,
+        runningTotal: running
+      };
+    });
+
+    const addOns = running - state.base_cost;
+    return {
+      inputs: state,
+      steps,
+      warnings,
+      totals: {
+        baseCost: state.base_cost,
+        addOns,
+        total: running,
+        multiplier: running / state.base_cost
+      }
+    };
+  },
+  summarize(result) {
+    return {
+      label: `Total with Contingency & Fees · ${formatNumber(result.totals.multiplier, { maximumFractionDigits: 3 })}× direct cost`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return [
+      { label: 'Direct cost', value: formatCurrency(result.totals.baseCost), code: '01 21 00' },
+      ...result.steps.map((step) => ({
+        label: `${step.label} (${formatNumber(step.rate * 100, { maximumFractionDigits: 3 })}%)`,
+        value: formatCurrency(step.amount)
+      })),
+      { label: 'Total add-ons', value: formatCurrency(result.totals.addOns) },
+      { label: 'Total', value: formatCurrency(result.totals.total) }
+    ];
+  },
+  details(result) {
+    return [
+      {
+        title: 'Markup stack',
+        columns: ['#', 'Step', 'Basis', 'Basis amount', 'Rate', 'Amount', 'Running subtotal'],
+        rows: result.steps.map((step, index) => [
+          index + 1,
+          step.label,
+          step.basis,
+          formatCurrency(step.basisAmount),
+          `${formatNumber(step.rate * 100, { maximumFractionDigits: 3 })}%`,
+          formatCurrency(step.amount),
+          formatCurrency(step.runningTotal)
+        ])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs } = result;
+    const escalation = result.steps.find((step) => step.kind === 'escalation');
+    return [
+      ...result.warnings.map((warning) => `Warning: ${warning}`),
+      'Steps apply in the order entered; each adds to the running subtotal',
+      'Basis “running” compounds on all prior steps, “direct” applies to the direct cost only, and “after-…” uses the subtotal right after that step',
+      escalation
+        ? `Escalation compounds ${escalation.ratePercent}% per year over ${inputs.escalation_months} months to construction midpoint`
+        : 'No escalation step in the stack',
+      'Applying to an estimate replaces its contingency, markup, and tax rates with the equivalent of this stack (contingency, escalation, and other as contingency; fee, bond, and insurance as markup); no line item is added'
+    ];
+  },
+  // Workspace modifiers compound contingency → markup → tax, so each rate is taken on the subtotal before it; the estimate then reproduces this stack's total on the same direct cost.
+  estimateModifiers(state, result) {
+    const amounts = { contingencyRate: 0, markupRate: 0, taxRate: 0 };
+    for (const step of result.steps) {
+      amounts[MODIFIER_FOR_KIND[step.kind]] += step.amount;
+    }
+    const base = result.totals.baseCost;
+    const contingencyRate = amounts.contingencyRate / base;
+    const markupRate = amounts.markupRate / (base + amounts.contingencyRate);
+    const taxRate = amounts.taxRate / (base + amounts.contingencyRate + amounts.markupRate);
+    return { contingencyRate, markupRate, taxRate };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const lines = [`**Direct cost** = $${fmt(state.base_cost)}`];
+    for (const step of result.steps) {
+      const rate =
+        step.kind === 'escalation'
+          ? `((1 + ${fmt(step.ratePercent, 3)}%)^(${state.escalation_months}/12) − 1) = ${fmt(step.rate * 100, 3)}%`
+          : `${fmt(step.ratePercent, 3)}%`;
+      lines.push(
+        `**${step.label}** = $${fmt(step.basisAmount)} (${step.basis}) × ${rate} = $${fmt(step.amount)} → running $${fmt(step.runningTotal)}`
+      );
+    }
+    lines.push(`Total = $${fmt(result.totals.total)} (${fmt(result.totals.multiplier, 4)}× direct cost)`);
+    return lines.join('\n');
+  },
+  export(state, result) {
+    const money = (value) => `$${formatNumber(value, { maximumFractionDigits: 2 })}`;
+    const rows = [
+      ['Cost Code', 'Step', 'Basis', 'Basis Amount', 'Rate', 'Amount', 'Running Subtotal'],
+      ['01 21 00', 'Direct cost', '-', '-', '-', money(result.totals.baseCost), money(result.totals.baseCost)],
+      ...result.steps.map((step) => [
+        '01 21 00',
+        step.label,
+        step.basis,
+        money(step.basisAmount),
+        `${formatNumber(step.rate * 100, { maximumFractionDigits: 3 })}%`,
+        money(step.amount),
+        money(step.runningTotal)
+      ]),
+      ['', 'Total', '-', '-', '-', money(result.totals.addOns), money(result.totals.total)]
+    ];
+
+    return {
+      csv: { rows, filename: 'contingency-fees.csv' },
+      xlsx: { rows, filename: 'contingency-fees.xlsx' },
+      pdf: { lines: rows.map((row) => row.filter((cell) => cell !== '').join(' • ')), filename: 'contingency-fees.pdf' }
+    };
+  }
+};
@@ -1,7 +1,282 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const CUBIC_FEET_PER_CY = 27;
+const STRUCTURAL_CREW = 4;
+
+// bulking = loose CY per in-place CY; tonsPerLcy = loose density.
+const MATERIALS = {
+  concrete: { label: 'Concrete and masonry', bulking: 1.5, tonsPerLcy: 1.2 },
+  metal: { label: 'Metals', bulking: 3, tonsPerLcy: 0.4 },
+  wood: { label: 'Wood', bulking: 1.7, tonsPerLcy: 0.25 },
+  gypsum: { label: 'Gypsum', bulking: 1.6, tonsPerLcy: 0.45 },
+  mixed: { label: 'Mixed C&D', bulking: 1.6, tonsPerLcy: 0.35 }
+};
+
+// cfPerUnit = in-place debris per SF; hoursPerUnit = laborer hours per SF.
+const SELECTIVE = {
+  'wall-gyp': { label: 'Gypsum partitions (wall SF)', material: 'gypsum', cfPerUnit: 0.12, hoursPerUnit: 0.02 },
+  'wall-cmu': { label: 'CMU walls (wall SF)', material: 'concrete', cfPerUnit: 0.45, hoursPerUnit: 0.08 },
+  'ceiling-act': { label: 'Acoustical ceilings', material: 'mixed', cfPerUnit: 0.04, hoursPerUnit: 0.012 },
+  'ceiling-gyp': { label: 'Gypsum ceilings', material: 'gypsum', cfPerUnit: 0.06, hoursPerUnit: 0.02 },
+  'floor-carpet': { label: 'Carpet and resilient flooring', material: 'mixed', cfPerUnit: 0.03, hoursPerUnit: 0.01 },
+  'floor-tile': { label: 'Ceramic tile and setting bed', material: 'concrete', cfPerUnit: 0.06, hoursPerUnit: 0.03 },
+  'floor-wood': { label: 'Wood flooring', material: 'wood', cfPerUnit: 0.07, hoursPerUnit: 0.02 },
+  'mep-strip': { label: 'MEP strip-out (floor SF)', material: 'metal', cfPerUnit: 0.05, hoursPerUnit: 0.03 },
+  'slab-on-grade': { label: 'Slab on grade, 4 in', material: 'concrete', cfPerUnit: 0.333, hoursPerUnit: 0.05 },
+  roofing: { label: 'Roofing tear-off', material: 'mixed', cfPerUnit: 0.1, hoursPerUnit: 0.02 }
+};
+
+// solidFraction = in-place debris as a share of gross building volume; crewHoursPer1000Cf for a 4-person crew with excavator.
+const STRUCTURES = {
+  none: { label: 'No structural demolition', material: 'mixed', solidFraction: 0, crewHoursPer1000Cf: 0 },
+  'wood-frame': { label: 'Wood frame', material: 'wood', solidFraction: 0.05, crewHoursPer1000Cf: 0.8 },
+  'steel-frame': { label: 'Steel frame', material: 'metal', solidFraction: 0.04, crewHoursPer1000Cf: 1 },
+  'concrete-frame': { label: 'Concrete frame', material: 'concrete', solidFraction: 0.12, crewHoursPer1000Cf: 2 },
+  'masonry-bearing': { label: 'Masonry bearing wall', material: 'concrete', solidFraction: 0.1, crewHoursPer1000Cf: 1.5 }
+};
+
+const CONTAINERS = {
+  10: { cy: 10, maxTons: 8, pricePath: 'equipment.dumpster_10cy_pull' },
+  20: { cy: 20, maxTons: 10, pricePath: 'equipment.dumpster_20cy_pull' },
+  30: { cy: 30, maxTons: 10, pricePath: 'equipment.dumpster_30cy_pull' },
+  40: { cy: 40, maxTons: 10, pricePath: 'equipment.dumpster_40cy_pull' }
+};
+
+const ITEM_COLUMNS = [
+  { key: 'type', label: 'Item', type: 'select', options: Object.keys(SELECTIVE), required: true },
+  { key: 'quantity', label: 'Quantity (SF)', type: 'number', min: 1, required: true }
+];
+
+export const calculator = {
   id: 'demolition',
   name: 'Demolition',
-  description: 'Rough-order demolition quantities by square footage, structure type, and haul-off weight.'
-});
+  costCode: '02 41 00',
+  defaults: {
+    items: [
+      { type: 'wall-gyp', quantity: 4800 },
+      { type: 'ceiling-act', quantity: 6000 },
+      { type: 'floor-carpet', quantity: 6000 },
+      { type: 'mep-strip', quantity: 6000 }
+    ],
+    structure_type: 'none',
+    building_volume_cf: 0,
+    container_cy: '30',
+    truck_capacity_cy: 14,
+    truck_cycle_hr: 1.5,
+    diversion_concrete: 90,
+    diversion_metal: 95,
+    diversion_wood: 50,
+    diversion_gypsum: 30,
+    diversion_mixed: 10,
+    region: 'national'
+  },
+  schema: {
+    items: { type: 'table', columns: ITEM_COLUMNS, required: false, maxRows: 50 },
+    structure_type: { type: 'select', options: Object.keys(STRUCTURES), required: true },
+    building_volume_cf: { type: 'number', min: 0, required: true },
+    container_cy: { type: 'select', options: Object.keys(CONTAINERS), required: true },
+    truck_capacity_cy: { type: 'number', min: 5, max: 40, required: true },
+    truck_cycle_hr: { type: 'number', min: 0.25, max: 8, required: true },
+    diversion_concrete: { type: 'number', min: 0, max: 100, required: true },
+    diversion_metal: { type: 'number', min: 0, max: 100, required: true },
+    diversion_wood: { type: 'number', min: 0, max: 100, required: true },
+    diversion_gypsum: { type: 'number', min: 0, max: 100, required: true },
+    diversion_mixed: { type: 'number', min: 0, max: 100, required: true },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = { 'labor.demo_laborer_hr': state.labor_rate };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+    const container = CONTAINERS[state.container_cy];
+    const structure = STRUCTURES[state.structure_type];
+
+    const debris = (material, inPlaceCf) => {
+      const bankCy = inPlaceCf / CUBIC_FEET_PER_CY;
+      const looseCy = bankCy * MATERIALS[material].bulking;
+      return { material, bankCy, looseCy, tons: looseCy * MATERIALS[material].tonsPerLcy };
+    };
+
+    const items = state.items.map((row) => {
+      const type = SELECTIVE[row.type];
+      return {
+        type: row.type,
+        label: type.label,
+        quantity: row.quantity,
+        laborHours: row.quantity * type.hoursPerUnit,
+        ...debris(type.material, row.quantity * type.cfPerUnit)
+      };
+    });
+    const structural = {
+      label: structure.label,
+      crewHours: (state.building_volume_cf / 1000) * structure.crewHoursPer1000Cf,
+      ...debris(structure.material, state.building_volume_cf * structure.solidFraction)
+    };
+
+    const byMaterial = new Map(Object.keys(MATERIALS).map((key) => [key, { material: key, looseCy: 0, tons: 0 }]));
+    for (const entry of [...items, structural]) {
+      const bucket = byMaterial.get(entry.material);
+      bucket.looseCy += entry.looseCy;
+      bucket.tons += entry.tons;
+    }
+    const materials = [...byMaterial.values()]
+      .filter((entry) => entry.tons > 0)
+      .map((entry) => {
+        const diversionPercent = state[`diversion_${entry.material}`];
+        const divertedTons = entry.tons * (diversionPercent / 100);
+        return { ...entry, diversionPercent, divertedTons, landfillTons: entry.tons - divertedTons };
+      });
+
+    const sum = (list, key) => list.reduce((total, entry) => total + entry[key], 0);
+    const selectiveLcy = sum(items, 'looseCy');
+    const selectiveTons = sum(items, 'tons');
+    const selectiveHours = sum(items, 'laborHours');
+    // Dumpsters fill by volume or hit the hauler's weight limit, whichever comes first.
+    const dumpsters = Math.max(roundUp(selectiveLcy / container.cy), roundUp(selectiveTons / container.maxTons));
+    const truckLoads = roundUp(structural.looseCy / state.truck_capacity_cy);
+    const truckHours = truckLoads * state.truck_cycle_hr;
+    const totalTons = sum(materials, 'tons');
+    const divertedTons = sum(materials, 'divertedTons');
+    const landfillTons = totalTons - divertedTons;
+
+    const lines = [
+      createLine({ code: '02 41 19', item: 'Selective demolition labor', quantity: round(selectiveHours, 2), unit: 'hrs', rate: price('labor.demo_laborer_hr'), bucket: 'labor' }),
+      createLine({
+        code: '02 41 16',
+        item: `Structural demolition crew (${STRUCTURAL_CREW})`,
+        quantity: round(structural.crewHours * STRUCTURAL_CREW, 2),
+        unit: 'hrs',
+        rate: price('labor.demo_laborer_hr'),
+        bucket: 'labor'
+      }),
+      createLine({ code: '02 41 16', item: 'Demolition excavator', quantity: round(structural.crewHours, 2), unit: 'hrs', rate: price('equipment.demo_excavator_hr'), bucket: 'equipment' }),
+      createLine({ code: '02 41 19', item: `${container.cy} CY dumpster pulls`, quantity: dumpsters, unit: 'ea', rate: price(container.pricePath), bucket: 'equipment' }),
+      createLine({ code: '02 41 16', item: 'Debris haul trucks', quantity: truckHours, unit: 'hrs', rate: price('equipment.haul_truck_hr'), bucket: 'equipment' }),
+      createLine({ code: '01 74 19', item: 'Landfill disposal', quantity: round(landfillTons, 2), unit: 'tons', rate: price('materials.landfill_ton') }),
+      createLine({ code: '01 74 19', item: 'Recycling and salvage', quantity: round(divertedTons, 2), unit: 'tons', rate: price('materials.recycle_ton') })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      items,
+      structural,
+      materials,
+      metrics: {
+        selectiveLcy,
+        selectiveTons,
+        selectiveHours,
+        structuralLcy: structural.looseCy,
+        totalLcy: selectiveLcy + structural.looseCy,
+        totalTons,
+        divertedTons,
+        landfillTons,
+        diversionRate: totalTons > 0 ? divertedTons / totalTons : 0,
+        dumpsters,
+        truckLoads,
+        truckHours
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Demolition Total · ${formatNumber(result.metrics.totalLcy, { maximumFractionDigits: 0 })} LCY debris`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    const rows = result.items.map((item) => [item.label, fmt(item.quantity, 0), MATERIALS[item.material].label, fmt(item.bankCy), fmt(item.looseCy), fmt(item.tons)]);
+    if (result.structural.looseCy > 0) {
+      const { structural } = result;
+      rows.push([`${structural.label} structure`, `${fmt(result.inputs.building_volume_cf, 0)} CF`, MATERIALS[structural.material].label, fmt(structural.bankCy), fmt(structural.looseCy), fmt(structural.tons)]);
+    }
+    return [
+      {
+        title: 'Debris by item',
+        columns: ['Item', 'Quantity', 'Material', 'In-place CY', 'Loose CY', 'Tons'],
+        rows
+      },
+      {
+        title: 'Diversion by material',
+        columns: ['Material', 'Loose CY', 'Tons', 'Diversion', 'Diverted tons', 'Landfill tons'],
+        rows: [
+          ...result.materials.map((entry) => [
+            MATERIALS[entry.material].label,
+            fmt(entry.looseCy),
+            fmt(entry.tons),
+            `${entry.diversionPercent}%`,
+            fmt(entry.divertedTons),
+            fmt(entry.landfillTons)
+          ]),
+          ['Total', fmt(result.metrics.totalLcy), fmt(result.metrics.totalTons), `${fmt(result.metrics.diversionRate * 100)}%`, fmt(result.metrics.divertedTons), fmt(result.metrics.landfillTons)]
+        ]
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs, metrics } = result;
+    const container = CONTAINERS[inputs.container_cy];
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    return [
+      `Bulking: ${Object.values(MATERIALS).map((material) => `${material.label.toLowerCase()} ${material.bulking}×`).join(', ')}`,
+      `Selective debris in ${container.cy} CY dumpsters, limited to ${container.maxTons} tons per pull`,
+      inputs.structure_type === 'none'
+        ? 'No structural demolition'
+        : `Structural debris at ${STRUCTURES[inputs.structure_type].solidFraction * 100}% of building volume, hauled in ${inputs.truck_capacity_cy} LCY trucks on a ${inputs.truck_cycle_hr} hr cycle`,
+      `Overall diversion ${formatNumber(metrics.diversionRate * 100, { maximumFractionDigits: 1 })}% by weight; diverted tons priced at the recycling fee`,
+      'Hazardous materials abatement excluded',
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${formatNumber(result.metrics.totalLcy, { maximumFractionDigits: 0 })} LCY debris, ${formatNumber(result.metrics.diversionRate * 100, { maximumFractionDigits: 0 })}% diverted`,
+      quantity: result.metrics.totalTons,
+      unit: 'tons',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics, structural } = result;
+    const container = CONTAINERS[state.container_cy];
+    const lines = result.items.map((item) => {
+      const type = SELECTIVE[item.type];
+      const material = MATERIALS[item.material];
+      return `**${item.label}** = ${fmt(item.quantity, 0)} SF × ${type.cfPerUnit} CF ÷ 27 × ${material.bulking} bulking = ${fmt(item.looseCy)} LCY × ${material.tonsPerLcy} = ${fmt(item.tons)} tons`;
+    });
+    if (structural.looseCy > 0) {
+      const material = MATERIALS[structural.material];
+      lines.push(
+        `**${structural.label} structure** = ${fmt(state.building_volume_cf, 0)} CF × ${STRUCTURES[state.structure_type].solidFraction} ÷ 27 × ${material.bulking} = ${fmt(structural.looseCy)} LCY; ${metrics.truckLoads} loads`
+      );
+    }
+    lines.push(
+      `Dumpsters = max(⌈${fmt(metrics.selectiveLcy)} ÷ ${container.cy}⌉, ⌈${fmt(metrics.selectiveTons)} tons ÷ ${container.maxTons}⌉) = ${metrics.dumpsters}`,
+      ...result.materials.map(
+        (entry) => `${MATERIALS[entry.material].label}: ${fmt(entry.tons)} tons × ${entry.diversionPercent}% = ${fmt(entry.divertedTons)} tons diverted`
+      ),
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('demolition', result.lines, result.totals, calculator.details(result));
+  }
+};
@@ -1,7 +1,279 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const MAX_SINGLE_LEAF_IN = 48;
+
+// Doors price per leaf; windows, storefront, and overhead doors per SF of opening.
+const TYPES = {
+  hm: { label: 'Hollow metal door', kind: 'door', unit: 'leaf', pricePath: 'materials.door_hm_ea', laborPath: 'labor.carpenter_hr', installHours: 1.5 },
+  wood: { label: 'Solid-core wood door', kind: 'door', unit: 'leaf', pricePath: 'materials.door_wood_ea', laborPath: 'labor.carpenter_hr', installHours: 1.25 },
+  'alum-glass': { label: 'Aluminum entrance door', kind: 'door', unit: 'leaf', pricePath: 'materials.door_alum_ea', laborPath: 'labor.glazier_hr', installHours: 4 },
+  overhead: { label: 'Overhead coiling door', kind: 'door', unit: 'sf', pricePath: 'materials.overhead_door_sf', laborPath: 'labor.carpenter_hr', installHours: 0.25 },
+  'window-alum': { label: 'Aluminum window', kind: 'window', unit: 'sf', pricePath: 'materials.window_alum_sf', laborPath: 'labor.glazier_hr', installHours: 0.12 },
+  'window-vinyl': { label: 'Vinyl window', kind: 'window', unit: 'sf', pricePath: 'materials.window_vinyl_sf', laborPath: 'labor.glazier_hr', installHours: 0.1 },
+  storefront: { label: 'Storefront glazing', kind: 'window', unit: 'sf', pricePath: 'materials.storefront_sf', laborPath: 'labor.glazier_hr', installHours: 0.15 }
+};
+
+const FRAMES = {
+  none: { label: 'No frame', pricePath: null, installHours: 0 },
+  'hm-kd': { label: 'Hollow metal knock-down frame', pricePath: 'materials.frame_hm_kd_ea', installHours: 1 },
+  'hm-welded': { label: 'Hollow metal welded frame', pricePath: 'materials.frame_hm_welded_ea', installHours: 1.5 },
+  wood: { label: 'Wood frame', pricePath: 'materials.frame_wood_ea', installHours: 1 },
+  alum: { label: 'Aluminum frame', pricePath: 'materials.frame_alum_ea', installHours: 2 }
+};
+
+const HARDWARE_SETS = {
+  none: { label: 'No hardware', pricePath: null, installHours: 0 },
+  passage: { label: 'Passage set', pricePath: 'materials.hardware_passage_set', installHours: 1 },
+  lockset: { label: 'Office lockset', pricePath: 'materials.hardware_lockset_set', installHours: 1.5 },
+  storeroom: { label: 'Storeroom lockset', pricePath: 'materials.hardware_storeroom_set', installHours: 1.5 },
+  exit: { label: 'Exit device set', pricePath: 'materials.hardware_exit_set', installHours: 3 },
+  entrance: { label: 'Entrance set', pricePath: 'materials.hardware_entrance_set', installHours: 4 }
+};
+
+// Accepts door shorthand 3070 / 2868 (3'-0" × 7'-0", 2'-8" × 6'-8"), 36x84 (inches), or 3'-0" x 7'-0".
+function parseOpeningSize(value) {
+  const text = String(value ?? '').trim().replace(/×/g, 'x');
+  const compact = text.match(/^(\d)(\d)(\d)(\d)$/);
+  if (compact) {
+    return { widthIn: Number(compact[1]) * 12 + Number(compact[2]), heightIn: Number(compact[3]) * 12 + Number(compact[4]) };
+  }
+  const inches = text.match(/^(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)$/i);
+  if (inches) {
+    return { widthIn: Number(inches[1]), heightIn: Number(inches[2]) };
+  }
+  const feet = text.match(/^(\d+)'\s*-?\s*(\d+(?:\.\d+)?)"?\s*x\s*(\d+)'\s*-?\s*(\d+(?:\.\d+)?)"?$/i);
+  if (feet) {
+    return { widthIn: Number(feet[1]) * 12 + Number(feet[2]), heightIn: Number(feet[3]) * 12 + Number(feet[4]) };
+  }
+  return null;
+}
+
+const OPENING_COLUMNS = [
+  { key: 'mark', label: 'Mark', type: 'text', required: true },
+  { key: 'type', label: 'Type', type: 'select', options: Object.keys(TYPES), required: true },
+  {
+    key: 'size',
+    label: 'Size',
+    type: 'text',
+    required: true,
+    check: (value) => (parseOpeningSize(value) ? undefined : `“${value}” is not a size; use 3070, 36x84, or 3'-0" x 7'-0"`)
+  },
+  { key: 'frame', label: 'Frame', type: 'select', options: Object.keys(FRAMES), default: 'none' },
+  { key: 'hardware', label: 'Hardware set', type: 'select', options: Object.keys(HARDWARE_SETS), default: 'none' },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 1, default: 1 }
+];
+
+export const calculator = {
   id: 'doors-windows',
   name: 'Doors & Windows',
-  description: 'Summarize openings, frame types, glazing, and hardware for door and window packages.'
-});
+  costCode: '08 10 00',
+  defaults: {
+    openings: [
+      { mark: '101', type: 'alum-glass', size: '6070', frame: 'alum', hardware: 'entrance', quantity: 1 },
+      { mark: '102', type: 'hm', size: '3070', frame: 'hm-welded', hardware: 'exit', quantity: 2 },
+      { mark: '110', type: 'wood', size: '3070', frame: 'hm-kd', hardware: 'lockset', quantity: 14 },
+      { mark: '120', type: 'wood', size: '3070', frame: 'hm-kd', hardware: 'passage', quantity: 6 },
+      { mark: '130', type: 'hm', size: '3070', frame: 'hm-kd', hardware: 'storeroom', quantity: 3 },
+      { mark: 'W1', type: 'window-alum', size: '48x60', frame: 'none', hardware: 'none', quantity: 18 },
+      { mark: 'SF1', type: 'storefront', size: "20'-0\" x 10'-0\"", frame: 'none', hardware: 'none', quantity: 1 }
+    ],
+    region: 'national'
+  },
+  schema: {
+    openings: { type: 'table', columns: OPENING_COLUMNS, required: true, maxRows: 300 },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = {
+      'labor.carpenter_hr': state.labor_rate,
+      'labor.glazier_hr': state.labor_rate
+    };
+    const price = (path) => (path ? resolvePrice(path, overrides, state.region).value : 0);
+
+    const openings = state.openings.map((row) => {
+      const type = TYPES[row.type];
+      const frame = FRAMES[row.frame];
+      const hardware = HARDWARE_SETS[row.hardware];
+      const { widthIn, heightIn } = parseOpeningSize(row.size);
+      const areaSf = (widthIn * heightIn) / 144;
+      // Wide swinging doors are pairs: two leaves in one frame with one hardware set.
+      const leaves = type.unit === 'leaf' && widthIn > MAX_SINGLE_LEAF_IN ? 2 : 1;
+      const unitQuantity = type.unit === 'leaf' ? leaves : areaSf;
+      const unitCost = unitQuantity * price(type.pricePath);
+      const frameCost = price(frame.pricePath);
+      const hardwareCost = price(hardware.pricePath);
+      const installHours = unitQuantity * type.installHours;
+      const laborEach = installHours * price(type.laborPath) + (frame.installHours + hardware.installHours) * price('labor.carpenter_hr');
+      return {
+        mark: row.mark,
+        type: row.type,
+        frame: row.frame,
+        hardware: row.hardware,
+        size: row.size,
+        widthIn,
+        heightIn,
+        areaSf,
+        leaves,
+        quantity: row.quantity,
+        unitQuantity,
+        installHours,
+        eachCost: unitCost + frameCost + hardwareCost + laborEach,
+        extended: (unitCost + frameCost + hardwareCost + laborEach) * row.quantity
+      };
+    });
+
+    const rollUp = (key, source) => {
+      const groups = new Map();
+      for (const opening of openings) {
+        const entry = groups.get(opening[key]) ?? { key: opening[key], openings: 0, quantity: 0, areaSf: 0, hours: 0, cost: 0 };
+        entry.openings += opening.quantity;
+        entry.quantity += opening.unitQuantity * opening.quantity;
+        entry.areaSf += opening.areaSf * opening.quantity;
+        entry.hours += source[opening[key]].installHours * (key === 'type' ? opening.unitQuantity : 1) * opening.quantity;
+        entry.cost += opening.extended;
+        groups.set(opening[key], entry);
+      }
+      return [...groups.values()];
+    };
+    const byType = rollUp('type', TYPES);
+    const byFrame = rollUp('frame', FRAMES).filter((entry) => entry.key !== 'none');
+    const byHardware = rollUp('hardware', HARDWARE_SETS).filter((entry) => entry.key !== 'none');
+
+    const laborByTrade = new Map();
+    const addHours = (path, hours) => laborByTrade.set(path, (laborByTrade.get(path) ?? 0) + hours);
+    for (const entry of byType) addHours(TYPES[entry.key].laborPath, entry.hours);
+    for (const entry of [...byFrame, ...byHardware]) addHours('labor.carpenter_hr', entry.hours);
+
+    const lines = [
+      ...byType.map((entry) => {
+        const type = TYPES[entry.key];
+        return createLine({
+          code: type.kind === 'door' ? '08 11 00' : '08 51 00',
+          item: type.label,
+          quantity: round(entry.quantity, 2),
+          unit: type.unit === 'leaf' ? 'leaves' : 'SF',
+          rate: price(type.pricePath)
+        });
+      }),
+      ...byFrame.map((entry) => createLine({ code: '08 12 00', item: FRAMES[entry.key].label, quantity: entry.openings, unit: 'ea', rate: price(FRAMES[entry.key].pricePath) })),
+      ...byHardware.map((entry) =>
+        createLine({ code: '08 71 00', item: `Hardware: ${HARDWARE_SETS[entry.key].label.toLowerCase()}`, quantity: entry.openings, unit: 'sets', rate: price(HARDWARE_SETS[entry.key].pricePath) })
+      ),
+      ...[...laborByTrade].map(([path, hours]) =>
+        createLine({
+          code: path === 'labor.glazier_hr' ? '08 80 00' : '08 71 00',
+          item: path === 'labor.glazier_hr' ? 'Glazier installation' : 'Carpenter installation (doors, frames, hardware)',
+          quantity: round(hours, 2),
+          unit: 'hrs',
+          rate: price(path),
+          bucket: 'labor'
+        })
+      )
+    ].filter((line) => line.quantity > 0);
+
+    const sum = (list, key) => list.reduce((total, entry) => total + entry[key], 0);
+    const doorOpenings = openings.filter((opening) => TYPES[opening.type].kind === 'door');
+    const windowOpenings = openings.filter((opening) => TYPES[opening.type].kind === 'window');
+
+    return {
+      inputs: state,
+      openings,
+      byType,
+      byHardware,
+      metrics: {
+        openings: sum(openings, 'quantity'),
+        doors: sum(doorOpenings, 'quantity'),
+        pairs: doorOpenings.filter((opening) => opening.leaves === 2).reduce((total, opening) => total + opening.quantity, 0),
+        windows: sum(windowOpenings, 'quantity'),
+        glazingSf: windowOpenings.reduce((total, opening) => total + opening.areaSf * opening.quantity, 0)
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Doors & Windows Total · ${result.metrics.doors} doors, ${result.metrics.windows} windows`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    return [
+      {
+        title: 'Opening schedule',
+        columns: ['Mark', 'Type', 'Size', 'Frame', 'Hardware', 'Qty', 'Each', 'Extended'],
+        rows: result.openings.map((opening) => [
+          opening.mark,
+          `${TYPES[opening.type].label}${opening.leaves === 2 ? ' (pair)' : ''}`,
+          `${fmt(opening.widthIn)}×${fmt(opening.heightIn)} in`,
+          FRAMES[opening.frame].label,
+          HARDWARE_SETS[opening.hardware].label,
+          opening.quantity,
+          formatCurrency(opening.eachCost),
+          formatCurrency(opening.extended)
+        ])
+      },
+      {
+        title: 'Roll-up by type',
+        columns: ['Type', 'Openings', 'Area (SF)', 'Install hrs', 'Installed cost'],
+        rows: result.byType.map((entry) => [TYPES[entry.key].label, entry.openings, fmt(entry.areaSf), fmt(entry.hours), formatCurrency(entry.cost)])
+      },
+      {
+        title: 'Hardware sets',
+        columns: ['Set', 'Count'],
+        rows: result.byHardware.map((entry) => [HARDWARE_SETS[entry.key].label, entry.openings])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { metrics } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    return [
+      `${metrics.openings} openings: ${metrics.doors} doors (${metrics.pairs} pairs) and ${metrics.windows} windows totaling ${formatNumber(metrics.glazingSf, { maximumFractionDigits: 0 })} SF`,
+      `Swinging doors wider than ${MAX_SINGLE_LEAF_IN} in are priced as pairs with one frame and one hardware set`,
+      'Windows, storefront, and overhead doors priced per SF of opening; door leaves, frames, and hardware sets each',
+      'Glazier installs windows, storefront, and aluminum entrances; carpenters hang doors, frames, and hardware',
+      'Installed cost per opening in the schedule includes its frame, hardware, and labor',
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.metrics.doors} doors, ${result.metrics.windows} windows`,
+      quantity: result.metrics.openings,
+      unit: 'openings',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const lines = result.openings.map((opening) => {
+      const type = TYPES[opening.type];
+      const unit = type.unit === 'leaf' ? `${opening.leaves} leaf` : `${fmt(opening.areaSf)} SF`;
+      return `**${opening.mark}** ${type.label} ${unit} + ${FRAMES[opening.frame].label.toLowerCase()} + ${HARDWARE_SETS[opening.hardware].label.toLowerCase()} = $${fmt(opening.eachCost)} × ${opening.quantity} = $${fmt(opening.extended)}`;
+    });
+    lines.push(
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('doors-windows', result.lines, result.totals, calculator.details(result));
+  }
+};
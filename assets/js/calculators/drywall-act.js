@@ -1,7 +1,281 @@
-import { createStubCalculator } from './_stub.js';
+import { applyWaste, formatCurrency, formatNumber, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const SHEET_SIZES = {
+  '4x8': 32,
+  '4x10': 40,
+  '4x12': 48
+};
+const TILE_SIZES = {
+  '2x2': 4,
+  '2x4': 8
+};
+
+const FINISH_LEVELS = [
+  { level: 0, compound: 0, tape: false, hoursPer1000: 0, description: 'no taping or finishing' },
+  { level: 1, compound: 0.25, tape: true, hoursPer1000: 3, description: 'tape embedded in joint compound' },
+  { level: 2, compound: 0.5, tape: true, hoursPer1000: 5, description: 'tape plus one coat over joints and fasteners' },
+  { level: 3, compound: 0.75, tape: true, hoursPer1000: 7, description: 'tape plus two coats' },
+  { level: 4, compound: 1, tape: true, hoursPer1000: 9, description: 'tape plus three coats, sanded' },
+  { level: 5, compound: 1.35, tape: true, hoursPer1000: 13, description: 'level 4 plus full skim coat' }
+];
+
+const COMPOUND_BUCKETS_PER_1000 = 2.3;
+const TAPE_LF_PER_1000 = 370;
+const TAPE_ROLL_LF = 500;
+const SCREWS_PER_SQFT = { wall: 1, ceiling: 1.25 };
+const SCREWS_PER_BOX = 1000;
+const CORNER_BEAD_STICK_FT = 10;
+const HANG_HOURS_PER_1000 = 7;
+const CEILING_HANG_FACTOR = 1.25;
+
+const MAIN_SPACING_FT = 4;
+const GRID_STICK_FT = 12;
+const HANGER_SQFT = 16;
+const ACT_HOURS_PER_SQFT = { '2x2': 0.022, '2x4': 0.018 };
+
+const ROOM_COLUMNS = [
+  { key: 'name', label: 'Room', type: 'text', required: true },
+  { key: 'perimeter_ft', label: 'Perimeter (ft)', type: 'number', min: 1 },
+  { key: 'height_ft', label: 'Height (ft)', type: 'number', min: 1, max: 40, required: true },
+  { key: 'ceiling_sqft', label: 'Ceiling (sq ft)', type: 'number', min: 0 },
+  { key: 'openings_sqft', label: 'Openings (sq ft)', type: 'number', min: 0, default: 0 },
+  { key: 'ceiling', label: 'Ceiling type', type: 'select', options: ['act', 'gyp', 'none'], default: 'act' },
+  { key: 'layers', label: 'Layers', type: 'number', min: 1, max: 3, default: 1 },
+  { key: 'outside_corners', label: 'Outside corners', type: 'number', min: 0, default: 0 },
+  { key: 'shape', label: 'Shape', type: 'polygon' }
+];
+
+function checkRoom(row) {
+  if (row.perimeter_ft === null && !row.shape) return 'enter a perimeter or a shape';
+  if (row.ceiling !== 'none' && row.ceiling_sqft === null && !row.shape) return `enter a ceiling area or a shape for the ${row.ceiling} ceiling`;
+  return null;
+}
+
+// A shape fills in whichever of perimeter and ceiling area were left blank; walls run around voids too.
+function takeoffRoom(room) {
+  const perimeterFt = room.perimeter_ft ?? room.shape.perimeterFt + room.shape.voidPerimeterFt;
+  const planSqFt = room.ceiling_sqft ?? room.shape?.areaSqFt ?? 0;
+  const grossWallSqFt = perimeterFt * room.height_ft;
+  const wallSqFt = Math.max(grossWallSqFt - room.openings_sqft, 0);
+  const ceilingSqFt = room.ceiling === 'gyp' ? planSqFt : 0;
+  const actSqFt = room.ceiling === 'act' ? planSqFt : 0;
+  return {
+    name: room.name,
+    perimeterFt,
+    planSqFt,
+    layers: room.layers,
+    ceiling: room.ceiling,
+    wallBoardSqFt: wallSqFt * room.layers,
+    ceilingBoardSqFt: ceilingSqFt * room.layers,
+    finishSqFt: wallSqFt + ceilingSqFt,
+    actSqFt,
+    actPerimeterFt: actSqFt > 0 ? perimeterFt : 0,
+    cornerBeadLf: room.outside_corners * room.height_ft,
+    overOpened: room.openings_sqft > grossWallSqFt
+  };
+}
+
+function sum(rooms, key) {
+  return rooms.reduce((total, room) => total + room[key], 0);
+}
+
+export const calculator = {
   id: 'drywall-act',
   name: 'Drywall & ACT',
-  description: 'Plan gypsum board, tape, mud, and acoustical ceiling tile coverage with waste and joints.'
-});
+  costCode: '09 29 00',
+  defaults: {
+    rooms: [
+      { name: 'Office 101', perimeter_ft: 48, height_ft: 9, ceiling_sqft: 140, openings_sqft: 21, ceiling: 'act', layers: 1, outside_corners: 0 },
+      { name: 'Corridor', perimeter_ft: 130, height_ft: 9, ceiling_sqft: 300, openings_sqft: 84, ceiling: 'gyp', layers: 1, outside_corners: 2 },
+      { name: 'Stair', perimeter_ft: 44, height_ft: 24, ceiling_sqft: 0, openings_sqft: 21, ceiling: 'none', layers: 2, outside_corners: 0 }
+    ],
+    sheet_size: '4x12',
+    finish_level: 4,
+    act_layout: '2x4',
+    waste_percent: 10,
+    region: 'national'
+  },
+  schema: {
+    rooms: { type: 'table', columns: ROOM_COLUMNS, required: true, rowCheck: checkRoom },
+    sheet_size: { type: 'select', options: Object.keys(SHEET_SIZES), required: true },
+    finish_level: { type: 'number', min: 0, max: 5, required: true },
+    act_layout: { type: 'select', options: Object.keys(TILE_SIZES), required: true },
+    waste_percent: { type: 'number', min: 0, max: 50, required: true },
+    board_price_sqft: { type: 'number', min: 0, required: false },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = {
+      'materials.gypsum_board_sqft': state.board_price_sqft,
+      'labor.drywall_hanger_hr': state.labor_rate,
+      'labor.drywall_finisher_hr': state.labor_rate
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+    const finish = FINISH_LEVELS[Math.round(state.finish_level)];
+    const sheetSqFt = SHEET_SIZES[state.sheet_size];
+    const tileSqFt = TILE_SIZES[state.act_layout];
+
+    const rooms = state.rooms.map(takeoffRoom);
+    const wallBoardSqFt = sum(rooms, 'wallBoardSqFt');
+    const ceilingBoardSqFt = sum(rooms, 'ceilingBoardSqFt');
+    const boardSqFt = wallBoardSqFt + ceilingBoardSqFt;
+    const finishSqFt = sum(rooms, 'finishSqFt');
+    const cornerBeadLf = sum(rooms, 'cornerBeadLf');
+    const actSqFt = sum(rooms, 'actSqFt');
+    const actPerimeterFt = sum(rooms, 'actPerimeterFt');
+
+    const sheets = roundUp(applyWaste(boardSqFt, state.waste_percent) / sheetSqFt);
+    const compoundBuckets = roundUp((finishSqFt / 1000) * COMPOUND_BUCKETS_PER_1000 * finish.compound);
+    const tapeRolls = finish.tape ? roundUp(((finishSqFt / 1000) * TAPE_LF_PER_1000) / TAPE_ROLL_LF) : 0;
+    const screws = wallBoardSqFt * SCREWS_PER_SQFT.wall + ceilingBoardSqFt * SCREWS_PER_SQFT.ceiling;
+    const screwBoxes = roundUp(screws / SCREWS_PER_BOX);
+    const cornerBeadSticks = roundUp(applyWaste(cornerBeadLf, state.waste_percent) / CORNER_BEAD_STICK_FT);
+    const hangHours = ((wallBoardSqFt + ceilingBoardSqFt * CEILING_HANG_FACTOR) / 1000) * HANG_HOURS_PER_1000;
+    const finishHours = (finishSqFt / 1000) * finish.hoursPer1000;
+
+    const mainsLf = actSqFt / MAIN_SPACING_FT;
+    const mains = roundUp(applyWaste(mainsLf, state.waste_percent) / GRID_STICK_FT);
+    const crossTees4 = roundUp(applyWaste(actSqFt / 8, state.waste_percent));
+    const crossTees2 = state.act_layout === '2x2' ? crossTees4 : 0;
+    const wallAngle = roundUp(applyWaste(actPerimeterFt, state.waste_percent) / GRID_STICK_FT);
+    const hangerWires = roundUp(actSqFt / HANGER_SQFT);
+    const tiles = roundUp(applyWaste(actSqFt, state.waste_percent) / tileSqFt);
+    const actHours = actSqFt * ACT_HOURS_PER_SQFT[state.act_layout];
+
+    const lines = [
+      createLine({ code: '09 29 00', item: `Gypsum board ${state.sheet_size} sheets`, quantity: sheets, unit: 'sheets', rate: price('materials.gypsum_board_sqft') * sheetSqFt }),
+      createLine({ code: '09 29 00', item: 'Joint compound (4.5 gal)', quantity: compoundBuckets, unit: 'buckets', rate: price('materials.joint_compound_bucket') }),
+      createLine({ code: '09 29 00', item: 'Joint tape (500 ft)', quantity: tapeRolls, unit: 'rolls', rate: price('materials.joint_tape_roll') }),
+      createLine({ code: '09 29 00', item: 'Drywall screws (1,000 ct)', quantity: screwBoxes, unit: 'boxes', rate: price('materials.drywall_screws_box') }),
+      createLine({ code: '09 29 00', item: 'Corner bead (10 ft)', quantity: cornerBeadSticks, unit: 'sticks', rate: price('materials.corner_bead_stick') }),
+      createLine({ code: '09 29 00', item: 'Hanging labor', quantity: hangHours, unit: 'hrs', rate: price('labor.drywall_hanger_hr'), bucket: 'labor' }),
+      createLine({ code: '09 29 00', item: `Finishing labor (Level ${finish.level})`, quantity: finishHours, unit: 'hrs', rate: price('labor.drywall_finisher_hr'), bucket: 'labor' }),
+      createLine({ code: '09 51 00', item: 'ACT main runners (12 ft)', quantity: mains, unit: 'pcs', rate: price('materials.act_main_runner') }),
+      createLine({ code: '09 51 00', item: 'ACT cross tees (4 ft)', quantity: crossTees4, unit: 'pcs', rate: price('materials.act_cross_tee_4ft') }),
+      createLine({ code: '09 51 00', item: 'ACT cross tees (2 ft)', quantity: crossTees2, unit: 'pcs', rate: price('materials.act_cross_tee_2ft') }),
+      createLine({ code: '09 51 00', item: 'ACT wall angle (12 ft)', quantity: wallAngle, unit: 'pcs', rate: price('materials.act_wall_angle') }),
+      createLine({ code: '09 51 00', item: 'ACT hanger wires', quantity: hangerWires, unit: 'ea', rate: price('materials.act_hanger_wire_ea') }),
+      createLine({ code: '09 51 00', item: `ACT tiles ${state.act_layout}`, quantity: tiles, unit: 'tiles', rate: price(`materials.act_tile_${state.act_layout}`) }),
+      createLine({ code: '09 51 00', item: 'ACT installer labor', quantity: actHours, unit: 'hrs', rate: price('labor.act_installer_hr'), bucket: 'labor' })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      rooms,
+      finish,
+      metrics: {
+        wallBoardSqFt,
+        ceilingBoardSqFt,
+        boardSqFt,
+        finishSqFt,
+        sheets,
+        compoundBuckets,
+        tapeRolls,
+        screws,
+        screwBoxes,
+        cornerBeadLf,
+        cornerBeadSticks,
+        hangHours,
+        finishHours,
+        actSqFt,
+        actPerimeterFt,
+        mainsLf,
+        mains,
+        crossTees4,
+        crossTees2,
+        wallAngle,
+        hangerWires,
+        tiles,
+        actHours
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Drywall & ACT Total · ${formatNumber(result.metrics.boardSqFt, { maximumFractionDigits: 0 })} sq ft board`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value) => formatNumber(value, { maximumFractionDigits: 0 });
+    return [
+      {
+        title: 'Per-room breakdown',
+        columns: ['Room', 'Layers', 'Wall board (sq ft)', 'Ceiling board (sq ft)', 'Finished (sq ft)', 'ACT (sq ft)', 'Corner bead (LF)'],
+        rows: result.rooms.map((room) => [
+          room.name,
+          room.layers,
+          fmt(room.wallBoardSqFt),
+          fmt(room.ceilingBoardSqFt),
+          fmt(room.finishSqFt),
+          fmt(room.actSqFt),
+          fmt(room.cornerBeadLf)
+        ])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs, finish, rooms } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const overOpened = rooms.filter((room) => room.overOpened).map((room) => room.name);
+    return [
+      `${inputs.sheet_size} sheets (${SHEET_SIZES[inputs.sheet_size]} sq ft); room-side face only, multiplied by layer count`,
+      `Level ${finish.level} finish: ${finish.description}; tape and compound on the face layer only`,
+      `Compound ${COMPOUND_BUCKETS_PER_1000} buckets and tape ${TAPE_LF_PER_1000} LF per 1,000 sq ft at Level 4, scaled by finish level`,
+      `Screws ${SCREWS_PER_SQFT.wall}/sq ft on walls and ${SCREWS_PER_SQFT.ceiling}/sq ft on ceilings`,
+      `Hanging ${HANG_HOURS_PER_1000} hrs per 1,000 sq ft; ceilings ${CEILING_HANG_FACTOR}× slower`,
+      `ACT ${inputs.act_layout} layout: mains ${MAIN_SPACING_FT} ft o.c., hanger every ${HANGER_SQFT} sq ft, wall angle at ACT room perimeters`,
+      `Waste factor ${inputs.waste_percent}% applied to board, corner bead, grid, and tile`,
+      ...(overOpened.length ? [`Openings exceed gross wall area: ${overOpened.join(', ')}`] : []),
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${state.rooms.length} room(s), Level ${result.finish.level} finish, ${state.act_layout} ACT`,
+      quantity: result.metrics.boardSqFt + result.metrics.actSqFt,
+      unit: 'sq ft',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics, finish } = result;
+    const lines = state.rooms.map((room, index) => {
+      const takeoff = result.rooms[index];
+      return `**${room.name}** walls = (${fmt(takeoff.perimeterFt)} × ${room.height_ft} − ${room.openings_sqft}) × ${room.layers} layer(s) = ${fmt(takeoff.wallBoardSqFt)} sq ft; ceiling (${room.ceiling}) = ${fmt(takeoff.planSqFt)} sq ft`;
+    });
+    lines.push(
+      `Sheets = (${fmt(metrics.boardSqFt)} sq ft + ${state.waste_percent}%) ÷ ${SHEET_SIZES[state.sheet_size]} = ${metrics.sheets}`,
+      `Compound = ${fmt(metrics.finishSqFt)} ÷ 1,000 × ${COMPOUND_BUCKETS_PER_1000} × ${finish.compound} (Level ${finish.level}) = ${metrics.compoundBuckets} buckets`,
+      `Tape = ${fmt(metrics.finishSqFt)} ÷ 1,000 × ${TAPE_LF_PER_1000} LF ÷ ${TAPE_ROLL_LF} = ${metrics.tapeRolls} rolls`,
+      `Screws = ${fmt(metrics.screws, 0)} ÷ ${fmt(SCREWS_PER_BOX)} = ${metrics.screwBoxes} boxes`,
+      `Hanging = (${fmt(metrics.wallBoardSqFt)} + ${fmt(metrics.ceilingBoardSqFt)} × ${CEILING_HANG_FACTOR}) ÷ 1,000 × ${HANG_HOURS_PER_1000} = ${fmt(metrics.hangHours)} hrs`,
+      `Finishing = ${fmt(metrics.finishSqFt)} ÷ 1,000 × ${finish.hoursPer1000} = ${fmt(metrics.finishHours)} hrs`,
+      `ACT mains = ${fmt(metrics.actSqFt)} ÷ ${MAIN_SPACING_FT} = ${fmt(metrics.mainsLf)} LF + ${state.waste_percent}% ÷ ${GRID_STICK_FT} = ${metrics.mains} pcs`,
+      `ACT tiles = (${fmt(metrics.actSqFt)} + ${state.waste_percent}%) ÷ ${TILE_SIZES[state.act_layout]} = ${metrics.tiles}`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('drywall-act', result.lines, result.totals, calculator.details(result));
+  }
+};
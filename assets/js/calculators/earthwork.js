@@ -1,7 +1,308 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const CUBIC_FEET_PER_YARD = 27;
+const MAX_POINTS = 2500;
+
+const POINT_COLUMNS = [
+  { key: 'x', label: 'X (ft)', type: 'number', required: true },
+  { key: 'y', label: 'Y (ft)', type: 'number', required: true },
+  { key: 'existing', label: 'Existing elev', type: 'number', required: true },
+  { key: 'proposed', label: 'Proposed elev', type: 'number', required: true }
+];
+
+function sampleGrid() {
+  const points = [];
+  for (const y of [0, 50, 100, 150]) {
+    for (const x of [0, 50, 100, 150]) {
+      points.push({ x, y, existing: 100 + x * 0.02 + y * 0.01, proposed: 102 });
+    }
+  }
+  return points;
+}
+
+function buildGrid(points) {
+  const xs = [...new Set(points.map((point) => point.x))].sort((a, b) => a - b);
+  const ys = [...new Set(points.map((point) => point.y))].sort((a, b) => a - b);
+  const depths = new Map();
+  for (const point of points) {
+    depths.set(`${point.x}|${point.y}`, point.existing - point.proposed);
+  }
+  return {
+    xs,
+    ys,
+    duplicates: points.length - depths.size,
+    depthAt: (x, y) => depths.get(`${x}|${y}`)
+  };
+}
+
+function splitDepths(depths) {
+  const cut = depths.filter((depth) => depth > 0).reduce((sum, depth) => sum + depth, 0);
+  const fill = depths.filter((depth) => depth < 0).reduce((sum, depth) => sum - depth, 0);
+  return { cut, fill };
+}
+
+function gridCells(grid) {
+  const cells = [];
+  for (let j = 0; j < grid.ys.length - 1; j += 1) {
+    for (let i = 0; i < grid.xs.length - 1; i += 1) {
+      const [x0, x1, y0, y1] = [grid.xs[i], grid.xs[i + 1], grid.ys[j], grid.ys[j + 1]];
+      const corners = [grid.depthAt(x0, y0), grid.depthAt(x1, y0), grid.depthAt(x1, y1), grid.depthAt(x0, y1)];
+      const areaSqFt = (x1 - x0) * (y1 - y0);
+      if (corners.some((depth) => depth === undefined)) {
+        cells.push({ i, j, areaSqFt, missing: true, averageDepth: null, cutFt3: 0, fillFt3: 0 });
+        continue;
+      }
+      const { cut, fill } = splitDepths(corners);
+      let cutFt3 = 0;
+      let fillFt3 = 0;
+      if (fill === 0) {
+        cutFt3 = (areaSqFt * cut) / 4;
+      } else if (cut === 0) {
+        fillFt3 = (areaSqFt * fill) / 4;
+      } else {
+        cutFt3 = (areaSqFt * cut ** 2) / (4 * (cut + fill));
+        fillFt3 = (areaSqFt * fill ** 2) / (4 * (cut + fill));
+      }
+      cells.push({ i, j, areaSqFt, missing: false, averageDepth: (cut - fill) / 4, cutFt3, fillFt3 });
+    }
+  }
+  return cells;
+}
+
+function segmentAreas(d0, d1, width) {
+  if (d0 >= 0 && d1 >= 0) return { cut: ((d0 + d1) / 2) * width, fill: 0 };
+  if (d0 <= 0 && d1 <= 0) return { cut: 0, fill: (-(d0 + d1) / 2) * width };
+  const span = Math.abs(d0) + Math.abs(d1);
+  const positive = d0 > 0 ? d0 : d1;
+  const negative = d0 > 0 ? d1 : d0;
+  return { cut: (positive ** 2 * width) / (2 * span), fill: (negative ** 2 * width) / (2 * span) };
+}
+
+function endAreaSections(grid) {
+  const sections = grid.ys.map((y) => {
+    let cutSqFt = 0;
+    let fillSqFt = 0;
+    let complete = true;
+    for (let i = 0; i < grid.xs.length - 1; i += 1) {
+      const d0 = grid.depthAt(grid.xs[i], y);
+      const d1 = grid.depthAt(grid.xs[i + 1], y);
+      if (d0 === undefined || d1 === undefined) {
+        complete = false;
+        continue;
+      }
+      const areas = segmentAreas(d0, d1, grid.xs[i + 1] - grid.xs[i]);
+      cutSqFt += areas.cut;
+      fillSqFt += areas.fill;
+    }
+    return { y, cutSqFt, fillSqFt, complete };
+  });
+  let cutFt3 = 0;
+  let fillFt3 = 0;
+  for (let j = 0; j < sections.length - 1; j += 1) {
+    const spacing = sections[j + 1].y - sections[j].y;
+    cutFt3 += ((sections[j].cutSqFt + sections[j + 1].cutSqFt) / 2) * spacing;
+    fillFt3 += ((sections[j].fillSqFt + sections[j + 1].fillSqFt) / 2) * spacing;
+  }
+  return { sections, cutFt3, fillFt3 };
+}
+
+export const calculator = {
   id: 'earthwork',
   name: 'Earthwork Cut/Fill',
-  description: 'Compare existing and proposed grades to forecast cut/fill volumes and truckloads.'
-});
+  costCode: '31 20 00',
+  defaults: {
+    points: sampleGrid(),
+    method: 'grid',
+    swell_percent: 25,
+    shrink_percent: 10,
+    truck_capacity_lcy: 14,
+    cycle_minutes: 35,
+    truck_count: 4,
+    region: 'national'
+  },
+  schema: {
+    points: { type: 'table', columns: POINT_COLUMNS, required: true, maxRows: MAX_POINTS },
+    method: { type: 'select', options: ['grid', 'average-end-area'], required: true },
+    swell_percent: { type: 'number', min: 0, max: 100, required: true },
+    shrink_percent: { type: 'number', min: 0, max: 50, required: true },
+    truck_capacity_lcy: { type: 'number', min: 1, max: 40, required: true },
+    cycle_minutes: { type: 'number', min: 1, required: true },
+    truck_count: { type: 'number', min: 1, required: true },
+    truck_rate: { type: 'number', min: 0, required: false },
+    borrow_price: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  init(root) {
+    const upload = root.querySelector('[data-grid-upload]');
+    const textarea = root.querySelector('textarea[name="points"]');
+    if (!upload || !textarea) return;
+    upload.addEventListener('change', async () => {
+      const [file] = upload.files;
+      if (!file) return;
+      textarea.value = await file.text();
+      textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+  },
+  compute(state) {
+    const overrides = {
+      'equipment.haul_truck_hr': state.truck_rate,
+      'materials.borrow_fill_lcy': state.borrow_price
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const grid = buildGrid(state.points);
+    const cells = gridCells(grid);
+    const endAreas = endAreaSections(grid);
+    const volumes =
+      state.method === 'grid'
+        ? {
+            cutFt3: cells.reduce((sum, cell) => sum + cell.cutFt3, 0),
+            fillFt3: cells.reduce((sum, cell) => sum + cell.fillFt3, 0)
+          }
+        : { cutFt3: endAreas.cutFt3, fillFt3: endAreas.fillFt3 };
+
+    const cutBcy = volumes.cutFt3 / CUBIC_FEET_PER_YARD;
+    const fillCcy = volumes.fillFt3 / CUBIC_FEET_PER_YARD;
+    const fillBcy = fillCcy / (1 - state.shrink_percent / 100);
+    const netBcy = cutBcy - fillBcy;
+    const swell = 1 + state.swell_percent / 100;
+    const exportLcy = netBcy > 0 ? netBcy * swell : 0;
+    const importLcy = netBcy < 0 ? -netBcy * swell : 0;
+    const haulLcy = exportLcy + importLcy;
+    const loads = roundUp(haulLcy / state.truck_capacity_lcy);
+    const truckHours = (loads * state.cycle_minutes) / 60;
+    const haulDays = truckHours / state.truck_count / 8;
+
+    const lines = [
+      createLine({ code: '31 23 16', item: 'Excavate and load cut', quantity: cutBcy, unit: 'BCY', rate: price('equipment.excavation_bcy'), bucket: 'equipment' }),
+      createLine({ code: '31 23 23', item: 'Place and compact fill', quantity: fillCcy, unit: 'CCY', rate: price('equipment.fill_compaction_ccy'), bucket: 'equipment' }),
+      createLine({ code: '31 23 23', item: 'Imported borrow', quantity: importLcy, unit: 'LCY', rate: price('materials.borrow_fill_lcy') }),
+      createLine({ code: '31 23 16', item: 'Export disposal fee', quantity: exportLcy, unit: 'LCY', rate: price('materials.soil_disposal_lcy') }),
+      createLine({ code: '31 23 00', item: `Haul trucks (${loads} loads)`, quantity: truckHours, unit: 'hrs', rate: price('equipment.haul_truck_hr'), bucket: 'equipment' })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      grid: { xs: grid.xs, ys: grid.ys, duplicates: grid.duplicates },
+      cells,
+      sections: endAreas.sections,
+      metrics: {
+        cutBcy,
+        fillCcy,
+        fillBcy,
+        netBcy,
+        exportLcy,
+        importLcy,
+        haulLcy,
+        loads,
+        truckHours,
+        haulDays,
+        missingCells: cells.filter((cell) => cell.missing).length
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    const { netBcy } = result.metrics;
+    const direction = netBcy >= 0 ? 'export' : 'import';
+    return {
+      label: `ROM Earthwork Total · net ${direction} ${formatNumber(Math.abs(netBcy), { maximumFractionDigits: 0 })} BCY`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { xs, ys } = result.grid;
+    const signed = (depth) => (depth > 0 ? `+${fmt(depth)}` : depth < 0 ? `−${fmt(-depth)}` : '0');
+    const maxDepth = Math.max(...result.cells.filter((cell) => !cell.missing).map((cell) => Math.abs(cell.averageDepth)), 0);
+    const rowIndexes = ys.slice(0, -1).map((_, j) => j).reverse();
+    const cellAt = (i, j) => result.cells.find((cell) => cell.i === i && cell.j === j);
+    const details = [
+      {
+        title: 'Cut (+) / fill (−) depth by grid cell (ft, north up)',
+        columns: ['Y \\ X', ...xs.slice(0, -1).map((x, i) => `${fmt(x, 1)}–${fmt(xs[i + 1], 1)}`)],
+        rows: rowIndexes.map((j) => [
+          `${fmt(ys[j], 1)}–${fmt(ys[j + 1], 1)}`,
+          ...xs.slice(0, -1).map((_, i) => {
+            const cell = cellAt(i, j);
+            return cell.missing ? '—' : signed(cell.averageDepth);
+          })
+        ]),
+        heat: rowIndexes.map((j) =>
+          xs.slice(0, -1).map((_, i) => {
+            const cell = cellAt(i, j);
+            return cell.missing || maxDepth === 0 ? 0 : cell.averageDepth / maxDepth;
+          })
+        )
+      }
+    ];
+    if (result.inputs.method === 'average-end-area') {
+      details.push({
+        title: 'End-area cross sections',
+        columns: ['Section Y (ft)', 'Cut area (sq ft)', 'Fill area (sq ft)'],
+        rows: result.sections.map((section) => [`${fmt(section.y, 1)}${section.complete ? '' : ' *'}`, fmt(section.cutSqFt, 1), fmt(section.fillSqFt, 1)])
+      });
+    }
+    return details;
+  },
+  assumptions(result) {
+    const { inputs, metrics, grid } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const method =
+      inputs.method === 'grid'
+        ? 'Grid method: four-corner average depth per cell; mixed cells split by Σcut² ÷ (Σcut + Σfill)'
+        : 'Average end area: cut and fill areas per Y section, linear grade between points';
+    return [
+      `${method}; ${grid.xs.length} × ${grid.ys.length} points`,
+      `Depth = existing − proposed; positive is cut`,
+      `Swell ${inputs.swell_percent}% bank to loose; shrink ${inputs.shrink_percent}% bank to compacted`,
+      `On-site cut balances fill first; only net import/export is trucked`,
+      `${inputs.truck_capacity_lcy} LCY trucks on a ${inputs.cycle_minutes} min cycle; ${inputs.truck_count} truck(s) ≈ ${formatNumber(metrics.haulDays, { maximumFractionDigits: 1 })} 8-hr day(s)`,
+      ...(metrics.missingCells ? [`${metrics.missingCells} grid cell(s) skipped for missing corner elevations`] : []),
+      ...(grid.duplicates ? [`${grid.duplicates} duplicate point(s) ignored; the last elevation was used`] : []),
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `Cut ${formatNumber(result.metrics.cutBcy, { maximumFractionDigits: 0 })} BCY / fill ${formatNumber(result.metrics.fillCcy, { maximumFractionDigits: 0 })} CCY`,
+      quantity: result.metrics.cutBcy,
+      unit: 'BCY',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    const swell = 1 + state.swell_percent / 100;
+    const lines = [
+      `**Cut** = ${fmt(metrics.cutBcy)} BCY; **fill** = ${fmt(metrics.fillCcy)} CCY (${state.method})`,
+      `Fill in bank = ${fmt(metrics.fillCcy)} ÷ (1 − ${state.shrink_percent}%) = ${fmt(metrics.fillBcy)} BCY`,
+      `Net = ${fmt(metrics.cutBcy)} − ${fmt(metrics.fillBcy)} = ${fmt(metrics.netBcy)} BCY`,
+      metrics.netBcy >= 0
+        ? `Export = ${fmt(metrics.netBcy)} × ${fmt(swell)} = ${fmt(metrics.exportLcy)} LCY`
+        : `Import = ${fmt(-metrics.netBcy)} × ${fmt(swell)} = ${fmt(metrics.importLcy)} LCY`,
+      `Loads = ⌈${fmt(metrics.haulLcy)} ÷ ${state.truck_capacity_lcy}⌉ = ${metrics.loads}; truck hours = ${metrics.loads} × ${state.cycle_minutes} ÷ 60 = ${fmt(metrics.truckHours)}`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    ];
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('earthwork', result.lines, result.totals, calculator.details(result));
+  }
+};
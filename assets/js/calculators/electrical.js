@@ -1,7 +1,276 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round, roundUp } from '../core/units.js';
+import { resolvePrice, resolveRegionFactor, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const WIRES_PER_BRANCH_RUN = 3;
+const PANEL_SPACES = 42;
+const CONDUIT_HOURS_PER_100LF = 4.5;
+const WIRE_HOURS_PER_100LF = 0.6;
+const BREAKER_HOURS = 0.2;
+const PANEL_HOURS = 8;
+const FEEDER_HOURS_PER_LF = 0.12;
+
+// perCircuit 0 means the device rides on another circuit (switches on lighting).
+const DEVICES = {
+  receptacle: { label: 'Duplex receptacle', perCircuit: 8, laborHours: 0.35, pricePath: 'materials.receptacle_ea' },
+  gfci: { label: 'GFCI receptacle', perCircuit: 6, laborHours: 0.5, pricePath: 'materials.gfci_receptacle_ea' },
+  switch: { label: 'Switch', perCircuit: 0, laborHours: 0.3, pricePath: 'materials.switch_ea' },
+  dimmer: { label: 'Dimmer', perCircuit: 0, laborHours: 0.4, pricePath: 'materials.dimmer_ea' },
+  troffer: { label: 'LED troffer 2×4', perCircuit: 20, laborHours: 1, pricePath: 'materials.troffer_led_ea' },
+  downlight: { label: 'LED downlight', perCircuit: 25, laborHours: 0.75, pricePath: 'materials.downlight_led_ea' },
+  highbay: { label: 'LED high bay', perCircuit: 8, laborHours: 1.5, pricePath: 'materials.highbay_led_ea' },
+  exit: { label: 'Exit / emergency light', perCircuit: 15, laborHours: 0.75, pricePath: 'materials.exit_light_ea' },
+  equipment: { label: 'Equipment connection', perCircuit: 1, laborHours: 1, pricePath: 'materials.equipment_connection_ea' }
+};
+
+// National power and lighting $/SF ranges (before markup), scaled by the region factor for the check.
+const OCCUPANCIES = {
+  office: { label: 'Office', low: 10, high: 20 },
+  retail: { label: 'Retail', low: 9, high: 18 },
+  school: { label: 'School', low: 9, high: 16 },
+  warehouse: { label: 'Warehouse', low: 5, high: 11 },
+  healthcare: { label: 'Healthcare', low: 24, high: 42 },
+  multifamily: { label: 'Multifamily', low: 9, high: 16 }
+};
+
+const DEVICE_COLUMNS = [
+  { key: 'type', label: 'Device', type: 'select', options: Object.keys(DEVICES), required: true },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 1, required: true },
+  { key: 'labor_hours', label: 'Labor hr/ea', type: 'number', min: 0, max: 16 }
+];
+
+export const calculator = {
   id: 'electrical',
   name: 'Electrical Distribution',
-  description: 'Develop circuiting, receptacle densities, lighting fixtures, and conduit layouts.'
-});
+  costCode: '26 05 00',
+  defaults: {
+    area_sqft: 12000,
+    occupancy: 'office',
+    devices: [
+      { type: 'receptacle', quantity: 180 },
+      { type: 'gfci', quantity: 12 },
+      { type: 'switch', quantity: 60 },
+      { type: 'troffer', quantity: 140 },
+      { type: 'downlight', quantity: 40 },
+      { type: 'exit', quantity: 14 },
+      { type: 'equipment', quantity: 8 }
+    ],
+    circuits_per_home_run: 3,
+    home_run_ft: 75,
+    branch_ft: 15,
+    spare_percent: 20,
+    feeder_ft: 120,
+    region: 'national'
+  },
+  schema: {
+    area_sqft: { type: 'number', min: 1, required: true },
+    occupancy: { type: 'select', options: Object.keys(OCCUPANCIES), required: true },
+    devices: { type: 'table', columns: DEVICE_COLUMNS, required: true, maxRows: 50 },
+    circuits_per_home_run: { type: 'number', min: 1, max: 6, required: true },
+    home_run_ft: { type: 'number', min: 1, max: 500, required: true },
+    branch_ft: { type: 'number', min: 1, max: 100, required: true },
+    spare_percent: { type: 'number', min: 0, max: 100, required: true },
+    feeder_ft: { type: 'number', min: 0, max: 2000, required: true },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = { 'labor.electrician_hr': state.labor_rate };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+    const electricianRate = price('labor.electrician_hr');
+
+    // Rows of one type merge into a single line; each row keeps its own labor unit, so hr/ea is a weighted average.
+    const byType = new Map();
+    for (const row of state.devices) {
+      const entry = byType.get(row.type) ?? { type: row.type, quantity: 0, laborHours: 0 };
+      entry.quantity += row.quantity;
+      entry.laborHours += row.quantity * (row.labor_hours ?? DEVICES[row.type].laborHours);
+      byType.set(row.type, entry);
+    }
+    const devices = [...byType.values()].map((entry) => {
+      const device = DEVICES[entry.type];
+      const materialEach = price(device.pricePath);
+      const laborHoursEach = entry.laborHours / entry.quantity;
+      return {
+        ...entry,
+        label: device.label,
+        circuits: device.perCircuit > 0 ? roundUp(entry.quantity / device.perCircuit) : 0,
+        laborHoursEach,
+        materialEach,
+        installedEach: materialEach + laborHoursEach * electricianRate
+      };
+    });
+
+    const deviceCount = devices.reduce((sum, device) => sum + device.quantity, 0);
+    const circuits = devices.reduce((sum, device) => sum + device.circuits, 0);
+    const homeRuns = roundUp(circuits / state.circuits_per_home_run);
+    const homeRunLf = homeRuns * state.home_run_ft;
+    const branchLf = deviceCount * state.branch_ft;
+    const conduitLf = homeRunLf + branchLf;
+    // Home runs carry a hot and neutral per circuit plus one ground per run.
+    const homeRunWireLf = state.home_run_ft * (2 * circuits + homeRuns);
+    const branchWireLf = branchLf * WIRES_PER_BRANCH_RUN;
+    const wireLf = homeRunWireLf + branchWireLf;
+    const breakers = circuits;
+    const panelSpaces = roundUp(circuits * (1 + state.spare_percent / 100));
+    const panels = Math.max(roundUp(panelSpaces / PANEL_SPACES), circuits > 0 ? 1 : 0);
+    const feederLf = panels * state.feeder_ft;
+
+    const lines = [
+      ...devices.map((device) =>
+        createLine({ code: '26 27 26', item: device.label, quantity: device.quantity, unit: 'ea', rate: device.materialEach })
+      ),
+      ...devices.map((device) =>
+        createLine({ code: '26 27 26', item: `${device.label} labor`, quantity: round(device.laborHours, 2), unit: 'hrs', rate: electricianRate, bucket: 'labor' })
+      ),
+      createLine({ code: '26 05 33', item: 'EMT conduit and fittings', quantity: conduitLf, unit: 'LF', rate: price('materials.emt_conduit_lf') }),
+      createLine({ code: '26 05 19', item: 'Branch wire (#12 THHN)', quantity: wireLf, unit: 'LF', rate: price('materials.branch_wire_lf') }),
+      createLine({ code: '26 24 16', item: `Panelboards (${PANEL_SPACES} space)`, quantity: panels, unit: 'ea', rate: price('materials.panelboard_ea') }),
+      createLine({ code: '26 24 16', item: 'Branch breakers (1-pole)', quantity: breakers, unit: 'ea', rate: price('materials.breaker_1p_ea') }),
+      createLine({ code: '26 05 19', item: 'Panel feeders', quantity: feederLf, unit: 'LF', rate: price('materials.feeder_lf') }),
+      createLine({
+        code: '26 05 33',
+        item: 'Conduit and wire labor',
+        quantity: round((conduitLf / 100) * CONDUIT_HOURS_PER_100LF + (wireLf / 100) * WIRE_HOURS_PER_100LF, 2),
+        unit: 'hrs',
+        rate: electricianRate,
+        bucket: 'labor'
+      }),
+      createLine({
+        code: '26 24 16',
+        item: 'Panel, breaker, and feeder labor',
+        quantity: round(panels * PANEL_HOURS + breakers * BREAKER_HOURS + feederLf * FEEDER_HOURS_PER_LF, 2),
+        unit: 'hrs',
+        rate: electricianRate,
+        bucket: 'labor'
+      })
+    ].filter((line) => line.quantity > 0);
+
+    const totals = summarizeLines(lines, state);
+    const occupancy = OCCUPANCIES[state.occupancy];
+    const factor = resolveRegionFactor(state.region);
+    const costPerSqft = totals.subtotal / state.area_sqft;
+    const range = { low: occupancy.low * factor, high: occupancy.high * factor };
+
+    return {
+      inputs: state,
+      devices,
+      metrics: {
+        deviceCount,
+        circuits,
+        homeRuns,
+        homeRunLf,
+        branchLf,
+        conduitLf,
+        homeRunWireLf,
+        branchWireLf,
+        wireLf,
+        breakers,
+        panelSpaces,
+        panels,
+        feederLf,
+        costPerSqft,
+        range,
+        check: costPerSqft < range.low ? 'low' : costPerSqft > range.high ? 'high' : 'within'
+      },
+      lines,
+      totals,
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Electrical Total · ${result.metrics.circuits} circuits, ${formatCurrency(result.metrics.costPerSqft)}/SF`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    return [
+      {
+        title: 'Device labor units',
+        columns: ['Device', 'Qty', 'Circuits', 'Labor hr/ea', 'Labor hrs', 'Installed $/ea'],
+        rows: result.devices.map((device) => [
+          device.label,
+          device.quantity,
+          device.circuits,
+          fmt(device.laborHoursEach, 2),
+          fmt(device.laborHours),
+          formatCurrency(device.installedEach)
+        ])
+      },
+      {
+        title: 'Circuiting',
+        columns: ['Item', 'Value'],
+        rows: [
+          ['Circuits / breakers', metrics.circuits],
+          ['Home runs', metrics.homeRuns],
+          ['Home-run conduit (LF)', fmt(metrics.homeRunLf, 0)],
+          ['Branch conduit (LF)', fmt(metrics.branchLf, 0)],
+          ['Home-run wire (LF)', fmt(metrics.homeRunWireLf, 0)],
+          ['Branch wire (LF)', fmt(metrics.branchWireLf, 0)],
+          ['Panel spaces with spares', metrics.panelSpaces],
+          ['Panels', metrics.panels]
+        ]
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs, metrics } = result;
+    const occupancy = OCCUPANCIES[inputs.occupancy];
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const rangeText = `${formatCurrency(metrics.range.low)}–${formatCurrency(metrics.range.high)}/SF`;
+    const rangeCheck =
+      metrics.check === 'within'
+        ? `${formatCurrency(metrics.costPerSqft)}/SF is within the typical ${occupancy.label.toLowerCase()} range of ${rangeText}`
+        : `Warning: ${formatCurrency(metrics.costPerSqft)}/SF is ${metrics.check === 'low' ? 'below' : 'above'} the typical ${occupancy.label.toLowerCase()} range of ${rangeText}; review device counts`;
+    return [
+      rangeCheck,
+      'Circuits from devices per 20 A circuit by type; switches and dimmers ride on lighting circuits',
+      `${inputs.circuits_per_home_run} circuits per home run at ${inputs.home_run_ft} LF; ${inputs.branch_ft} LF of branch conduit per device`,
+      `Home runs pull a hot and neutral per circuit plus a ground; branch runs carry ${WIRES_PER_BRANCH_RUN} conductors`,
+      `${inputs.spare_percent}% spare breaker spaces in ${PANEL_SPACES}-space panels, each fed by ${inputs.feeder_ft} LF of feeder`,
+      'Device labor units are editable per row to match sub quote breakouts',
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.metrics.deviceCount} devices, ${result.metrics.circuits} circuits, ${result.metrics.panels} panel(s)`,
+      quantity: state.area_sqft,
+      unit: 'sq ft',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    const lines = result.devices.map((device) => {
+      const perCircuit = DEVICES[device.type].perCircuit;
+      const circuits = perCircuit > 0 ? `⌈${device.quantity} ÷ ${perCircuit}⌉ = ${device.circuits} circuits` : 'no dedicated circuits';
+      return `**${device.label}** ${device.quantity} ea: ${circuits}; labor ${device.quantity} × ${fmt(device.laborHoursEach)} hr = ${fmt(device.laborHours)} hrs`;
+    });
+    lines.push(
+      `Home runs = ⌈${metrics.circuits} ÷ ${state.circuits_per_home_run}⌉ = ${metrics.homeRuns}; conduit ${metrics.homeRuns} × ${state.home_run_ft} + ${metrics.deviceCount} × ${state.branch_ft} = ${fmt(metrics.conduitLf, 0)} LF`,
+      `Wire = ${state.home_run_ft} × (2 × ${metrics.circuits} + ${metrics.homeRuns}) + ${fmt(metrics.branchLf, 0)} × ${WIRES_PER_BRANCH_RUN} = ${fmt(metrics.wireLf, 0)} LF`,
+      `Panels = ⌈${metrics.circuits} × ${fmt(1 + state.spare_percent / 100)} ÷ ${PANEL_SPACES}⌉ = ${metrics.panels}`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)} ÷ ${fmt(state.area_sqft, 0)} SF = $${fmt(metrics.costPerSqft)}/SF`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('electrical', result.lines, result.totals, calculator.details(result));
+  }
+};
@@ -1,7 +1,267 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const TUBE_IN3 = 18.2;
+const PAIL_IN3 = 1155;
+const JOINT_WIDTH_IN = 0.75;
+const JOINT_HOURS_PER_LF = 0.02;
+
+// UL system numbering: the assembly sets the letters, the penetrant sets the number series.
+const ASSEMBLIES = {
+  '1hr-wall': { label: '1-hr gypsum wall', prefix: 'W-L', rating: 1, sides: 2, sealantDepthIn: 0.625, laborFactor: 1.5 },
+  '2hr-wall': { label: '2-hr gypsum wall', prefix: 'W-L', rating: 2, sides: 2, sealantDepthIn: 1.25, laborFactor: 1.5 },
+  floor: { label: '2-hr concrete floor', prefix: 'C-AJ', rating: 2, sides: 1, sealantDepthIn: 0.5, laborFactor: 1 }
+};
+
+const PENETRANTS = {
+  'metallic-pipe': { label: 'Metallic pipe', series: '1xxx', annularIn: 0.5, maxIn: 12, baseHours: 0.25, hoursPerIn: 0.03 },
+  'plastic-pipe': { label: 'Plastic pipe', series: '2xxx', annularIn: 0.5, maxIn: 6, collar: true, baseHours: 0.35, hoursPerIn: 0.04 },
+  'cable-bundle': { label: 'Cable bundle', series: '3xxx', annularIn: 1, maxIn: 6, baseHours: 0.3, hoursPerIn: 0.05 },
+  duct: { label: 'Duct', series: '7xxx', annularIn: 1, maxIn: 36, angles: true, baseHours: 0.5, hoursPerIn: 0.03 },
+  blank: { label: 'Blank opening', series: '0xxx', annularIn: 0, maxIn: 24, baseHours: 0.2, hoursPerIn: 0.02 }
+};
+
+const PENETRATION_COLUMNS = [
+  { key: 'type', label: 'Penetrant', type: 'select', options: Object.keys(PENETRANTS), required: true },
+  { key: 'size_in', label: 'Size (in)', type: 'number', min: 0.25, max: 60, required: true },
+  { key: 'assembly', label: 'Rated assembly', type: 'select', options: Object.keys(ASSEMBLIES), required: true },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 1, default: 1 }
+];
+
+const systemFor = (type, assembly) => `${ASSEMBLIES[assembly].prefix}-${PENETRANTS[type].series}`;
+
+export const calculator = {
   id: 'firestopping',
   name: 'Firestopping',
-  description: 'Capture penetrations by type to assign UL systems, sealants, and hourly ratings.'
-});
+  costCode: '07 84 00',
+  defaults: {
+    penetrations: [
+      { type: 'metallic-pipe', size_in: 2, assembly: '1hr-wall', quantity: 48 },
+      { type: 'metallic-pipe', size_in: 4, assembly: 'floor', quantity: 16 },
+      { type: 'plastic-pipe', size_in: 3, assembly: 'floor', quantity: 22 },
+      { type: 'plastic-pipe', size_in: 1.5, assembly: '2hr-wall', quantity: 12 },
+      { type: 'cable-bundle', size_in: 2, assembly: '1hr-wall', quantity: 30 },
+      { type: 'duct', size_in: 14, assembly: '2hr-wall', quantity: 6 },
+      { type: 'blank', size_in: 4, assembly: 'floor', quantity: 8 }
+    ],
+    head_of_wall_1hr_lf: 1200,
+    head_of_wall_2hr_lf: 420,
+    region: 'national'
+  },
+  schema: {
+    penetrations: { type: 'table', columns: PENETRATION_COLUMNS, required: true, maxRows: 100 },
+    head_of_wall_1hr_lf: { type: 'number', min: 0, required: true },
+    head_of_wall_2hr_lf: { type: 'number', min: 0, required: true },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = { 'labor.firestop_installer_hr': state.labor_rate };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const penetrations = state.penetrations.map((row) => {
+      const assembly = ASSEMBLIES[row.assembly];
+      const penetrant = PENETRANTS[row.type];
+      const openingIn = row.size_in + 2 * penetrant.annularIn;
+      const sealantAreaIn2 = row.type === 'blank' ? (Math.PI / 4) * row.size_in ** 2 : (Math.PI / 4) * (openingIn ** 2 - row.size_in ** 2);
+      return {
+        type: row.type,
+        sizeIn: row.size_in,
+        assembly: row.assembly,
+        quantity: row.quantity,
+        system: systemFor(row.type, row.assembly),
+        sealantIn3: sealantAreaIn2 * assembly.sealantDepthIn * assembly.sides * row.quantity,
+        collars: penetrant.collar ? assembly.sides * row.quantity : 0,
+        angleLf: penetrant.angles ? ((Math.PI * openingIn) / 12) * assembly.sides * row.quantity : 0,
+        laborHours: (penetrant.baseHours + penetrant.hoursPerIn * row.size_in) * assembly.laborFactor * row.quantity,
+        oversize: row.size_in > penetrant.maxIn
+      };
+    });
+
+    const joints = [
+      { assembly: '1hr-wall', lf: state.head_of_wall_1hr_lf },
+      { assembly: '2hr-wall', lf: state.head_of_wall_2hr_lf }
+    ]
+      .filter((joint) => joint.lf > 0)
+      .map((joint) => {
+        const assembly = ASSEMBLIES[joint.assembly];
+        return {
+          ...joint,
+          system: `HW-D-${assembly.rating === 1 ? '0xxx' : '1xxx'}`,
+          sprayIn3: JOINT_WIDTH_IN * assembly.sealantDepthIn * 12 * assembly.sides * joint.lf,
+          laborHours: joint.lf * JOINT_HOURS_PER_LF * assembly.laborFactor
+        };
+      });
+
+    const systemMap = new Map();
+    for (const entry of penetrations) {
+      const key = `${entry.system}|${entry.type}|${entry.assembly}`;
+      const group = systemMap.get(key) ?? { system: entry.system, type: entry.type, assembly: entry.assembly, sizes: [], quantity: 0 };
+      group.sizes.push(entry.sizeIn);
+      group.quantity += entry.quantity;
+      systemMap.set(key, group);
+    }
+    const systems = [...systemMap.values()].sort((a, b) => a.system.localeCompare(b.system));
+
+    const collarsBySize = new Map();
+    for (const entry of penetrations.filter((item) => item.collars > 0)) {
+      collarsBySize.set(entry.sizeIn, (collarsBySize.get(entry.sizeIn) ?? 0) + entry.collars);
+    }
+
+    const sealantIn3 = penetrations.reduce((sum, entry) => sum + entry.sealantIn3, 0);
+    const sprayIn3 = joints.reduce((sum, joint) => sum + joint.sprayIn3, 0);
+    const lines = [
+      createLine({ code: '07 84 13', item: 'Firestop sealant (10.1 oz tubes)', quantity: roundUp(sealantIn3 / TUBE_IN3), unit: 'tubes', rate: price('materials.firestop_sealant_tube') }),
+      ...[...collarsBySize.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([sizeIn, count]) =>
+          createLine({
+            code: '07 84 13',
+            item: `Intumescent collar, ${formatNumber(sizeIn)} in pipe`,
+            quantity: count,
+            unit: 'ea',
+            rate: price('materials.firestop_collar_in') * sizeIn
+          })
+        ),
+      createLine({
+        code: '07 84 13',
+        item: 'Duct retaining angle',
+        quantity: round(penetrations.reduce((sum, entry) => sum + entry.angleLf, 0), 2),
+        unit: 'LF',
+        rate: price('materials.firestop_angle_lf')
+      }),
+      createLine({ code: '07 84 43', item: 'Head-of-wall joint spray (5 gal pails)', quantity: roundUp(sprayIn3 / PAIL_IN3), unit: 'pails', rate: price('materials.firestop_joint_spray_pail') }),
+      createLine({
+        code: '07 84 13',
+        item: 'Penetration firestopping labor',
+        quantity: round(penetrations.reduce((sum, entry) => sum + entry.laborHours, 0), 2),
+        unit: 'hrs',
+        rate: price('labor.firestop_installer_hr'),
+        bucket: 'labor'
+      }),
+      createLine({
+        code: '07 84 43',
+        item: 'Head-of-wall joint labor',
+        quantity: round(joints.reduce((sum, joint) => sum + joint.laborHours, 0), 2),
+        unit: 'hrs',
+        rate: price('labor.firestop_installer_hr'),
+        bucket: 'labor'
+      })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      penetrations,
+      joints,
+      systems,
+      metrics: {
+        penetrationCount: penetrations.reduce((sum, entry) => sum + entry.quantity, 0),
+        jointLf: joints.reduce((sum, joint) => sum + joint.lf, 0),
+        sealantIn3,
+        sprayIn3
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Firestopping Total · ${formatNumber(result.metrics.penetrationCount)} penetrations, ${formatNumber(result.metrics.jointLf)} LF joints`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const sizes = (values) => {
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      return min === max ? `${formatNumber(min)} in` : `${formatNumber(min)}–${formatNumber(max)} in`;
+    };
+    return [
+      {
+        title: 'Submittal log by system',
+        columns: ['System', 'Penetrant', 'Rated assembly', 'F rating', 'Sizes', 'Count'],
+        rows: [
+          ...result.systems.map((group) => [
+            group.system,
+            PENETRANTS[group.type].label,
+            ASSEMBLIES[group.assembly].label,
+            `${ASSEMBLIES[group.assembly].rating} hr`,
+            sizes(group.sizes),
+            group.quantity
+          ]),
+          ...result.joints.map((joint) => [
+            joint.system,
+            'Head-of-wall joint',
+            ASSEMBLIES[joint.assembly].label,
+            `${ASSEMBLIES[joint.assembly].rating} hr`,
+            `${JOINT_WIDTH_IN} in joint`,
+            `${formatNumber(joint.lf)} LF`
+          ])
+        ]
+      },
+      {
+        title: 'Penetrations',
+        columns: ['Penetrant', 'Size', 'Rated assembly', 'Qty', 'Sealant (cu in)', 'Collars', 'Labor (hrs)'],
+        rows: result.penetrations.map((entry) => [
+          PENETRANTS[entry.type].label,
+          `${formatNumber(entry.sizeIn)} in`,
+          ASSEMBLIES[entry.assembly].label,
+          entry.quantity,
+          formatNumber(entry.sealantIn3, { maximumFractionDigits: 1 }),
+          entry.collars,
+          formatNumber(entry.laborHours, { maximumFractionDigits: 2 })
+        ])
+      }
+    ];
+  },
+  assumptions(result) {
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const warnings = result.penetrations
+      .filter((entry) => entry.oversize)
+      .map(
+        (entry) =>
+          `Warning: ${formatNumber(entry.sizeIn)} in ${PENETRANTS[entry.type].label.toLowerCase()} through ${ASSEMBLIES[entry.assembly].label} exceeds typical listed sizes (${PENETRANTS[entry.type].maxIn} in); request an engineering judgment`
+      );
+    return [
+      ...warnings,
+      'System numbers are UL series (W-L walls, C-AJ floors, HW-D joints); select the listed system from the approved manufacturer',
+      'Sealant fills a 1/2 in annular space for pipe (1 in for cables and ducts) at 5/8 in per side in 1-hr walls, 1-1/4 in per side in 2-hr walls, 1/2 in in floors',
+      'Plastic pipe gets an intumescent collar on each exposed side; ducts get retaining angles on each side',
+      `Head-of-wall joints assume a ${JOINT_WIDTH_IN} in gap sprayed both sides`,
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.metrics.penetrationCount} firestop penetrations`,
+      quantity: result.metrics.penetrationCount,
+      unit: 'ea',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const lines = [
+      `**Sealant** = ${fmt(result.metrics.sealantIn3)} cu in ÷ ${TUBE_IN3} cu in/tube`,
+      `**Joint spray** = ${fmt(result.metrics.sprayIn3)} cu in ÷ ${PAIL_IN3} cu in/pail`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    ];
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('firestopping', result.lines, result.totals, calculator.details(result));
+  }
+};
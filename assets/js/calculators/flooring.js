@@ -1,7 +1,329 @@
-import { createStubCalculator } from './_stub.js';
+import { applyWaste, formatCurrency, formatNumber, rectangleGeometry, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const TILE_PATTERNS = {
+  straight: { wastePercent: 10, laborFactor: 1 },
+  diagonal: { wastePercent: 15, laborFactor: 1.2 },
+  herringbone: { wastePercent: 20, laborFactor: 1.5 }
+};
+const TILE_HOURS_PER_SQFT = 0.06;
+const THINSET_COVERAGE = [
+  { maxSideIn: 8, sqftPerBag: 95 },
+  { maxSideIn: 15, sqftPerBag: 75 },
+  { maxSideIn: Infinity, sqftPerBag: 45 }
+];
+const GROUT_LB_PER_CUIN = 0.058;
+const GROUT_BAG_LB = 25;
+
+const PLANK_INSTALLS = {
+  floating: { hoursPerSqFt: 0.025 },
+  'glue-down': { hoursPerSqFt: 0.033 }
+};
+const UNDERLAYMENT_ROLL_SQFT = 100;
+const ADHESIVE_PAIL_SQFT = 600;
+
+const CARPET_ROLL_WIDTH_FT = 12;
+const CARPET_TRIM_FT = 0.5;
+const CARPET_HOURS_PER_SY = 0.12;
+const PAD_WASTE_PERCENT = 5;
+
+const BASE_HOURS_PER_LF = 0.02;
+const TRANSITION_HOURS_EA = 0.25;
+
+const FLOOR_TYPES = {
+  tile: { label: 'Tile', code: '09 30 00', pricePath: 'materials.floor_tile_sqft', laborPath: 'labor.tile_setter_hr' },
+  plank: { label: 'Resilient plank', code: '09 65 00', pricePath: 'materials.lvp_sqft', laborPath: 'labor.flooring_installer_hr' },
+  carpet: { label: 'Broadloom carpet', code: '09 68 00', pricePath: 'materials.carpet_sy', laborPath: 'labor.flooring_installer_hr' }
+};
+
+const ROOM_COLUMNS = [
+  { key: 'name', label: 'Room', type: 'text', required: true },
+  { key: 'length_ft', label: 'Length (ft)', type: 'number', min: 1 },
+  { key: 'width_ft', label: 'Width (ft)', type: 'number', min: 1 },
+  { key: 'openings_ft', label: 'Door openings (ft)', type: 'number', min: 0, default: 0 },
+  { key: 'transitions', label: 'Transitions', type: 'number', min: 0, default: 0 },
+  { key: 'shape', label: 'Shape', type: 'polygon' }
+];
+
+function checkRoom(row) {
+  if (row.shape || (row.length_ft !== null && row.width_ft !== null)) return null;
+  return 'enter length and width or a shape';
+}
+
+// Shaped rooms are carpeted across their bounding box, so drops cover the whole outline.
+function carpetLayout(geometry) {
+  const layouts = [
+    { runFt: geometry.lengthFt, acrossFt: geometry.widthFt },
+    { runFt: geometry.widthFt, acrossFt: geometry.lengthFt }
+  ].map(({ runFt, acrossFt }) => {
+    const drops = roundUp(acrossFt / CARPET_ROLL_WIDTH_FT);
+    const dropLengthFt = runFt + CARPET_TRIM_FT;
+    return { drops, dropLengthFt, cutLf: drops * dropLengthFt, seams: drops - 1, seamLf: (drops - 1) * runFt };
+  });
+  return layouts.reduce((best, layout) => (layout.cutLf < best.cutLf || (layout.cutLf === best.cutLf && layout.seams < best.seams) ? layout : best));
+}
+
+function thinsetCoverage(tileLengthIn, tileWidthIn) {
+  const side = Math.max(tileLengthIn, tileWidthIn);
+  return THINSET_COVERAGE.find((entry) => side <= entry.maxSideIn).sqftPerBag;
+}
+
+function groutPoundsPerSqFt(state) {
+  const { tile_length_in: length, tile_width_in: width, joint_width_in: joint, tile_thickness_in: thickness } = state;
+  return ((144 * (length + width)) / (length * width)) * joint * thickness * GROUT_LB_PER_CUIN;
+}
+
+export const calculator = {
   id: 'flooring',
   name: 'Flooring Takeoff',
-  description: 'Track tile, resilient, and carpet flooring with thinset, adhesive, or padding accessories.'
-});
+  costCode: '09 60 00',
+  defaults: {
+    floor_type: 'tile',
+    rooms: [
+      { name: 'Lobby', length_ft: 30, width_ft: 22, openings_ft: 6, transitions: 2 },
+      { name: 'Restroom', length_ft: 12, width_ft: 9, openings_ft: 3, transitions: 1 }
+    ],
+    tile_length_in: 24,
+    tile_width_in: 12,
+    tile_pattern: 'straight',
+    tile_box_sqft: 16,
+    joint_width_in: 0.125,
+    tile_thickness_in: 0.375,
+    plank_install: 'floating',
+    plank_box_sqft: 24,
+    plank_waste_percent: 8,
+    region: 'national'
+  },
+  schema: {
+    floor_type: { type: 'select', options: Object.keys(FLOOR_TYPES), required: true },
+    rooms: { type: 'table', columns: ROOM_COLUMNS, required: true, rowCheck: checkRoom },
+    tile_length_in: { type: 'number', min: 1, max: 96, required: true },
+    tile_width_in: { type: 'number', min: 1, max: 96, required: true },
+    tile_pattern: { type: 'select', options: Object.keys(TILE_PATTERNS), required: true },
+    tile_box_sqft: { type: 'number', min: 0.1, required: true },
+    joint_width_in: { type: 'number', min: 0.03, max: 1, required: true },
+    tile_thickness_in: { type: 'number', min: 0.1, max: 2, required: true },
+    plank_install: { type: 'select', options: Object.keys(PLANK_INSTALLS), required: true },
+    plank_box_sqft: { type: 'number', min: 0.1, required: true },
+    plank_waste_percent: { type: 'number', min: 0, max: 50, required: true },
+    include_base: { type: 'boolean' },
+    include_transitions: { type: 'boolean' },
+    flooring_price: { type: 'number', min: 0, required: false },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  init(root) {
+    const typeSelect = root.querySelector('select[name="floor_type"]');
+    const groups = root.querySelectorAll('[data-floor-type]');
+    function syncType() {
+      groups.forEach((group) => {
+        group.hidden = group.getAttribute('data-floor-type') !== typeSelect.value;
+      });
+    }
+    typeSelect.addEventListener('change', syncType);
+    syncType();
+  },
+  compute(state) {
+    const type = FLOOR_TYPES[state.floor_type];
+    const overrides = {
+      [type.pricePath]: state.flooring_price,
+      [type.laborPath]: state.labor_rate
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const rooms = state.rooms.map((room) => {
+      const geometry = room.shape ?? rectangleGeometry(room.length_ft, room.width_ft);
+      return {
+        name: room.name,
+        geometry,
+        areaSqFt: geometry.areaSqFt,
+        baseLf: Math.max(geometry.perimeterFt + geometry.voidPerimeterFt - room.openings_ft, 0),
+        transitions: room.transitions,
+        carpet: state.floor_type === 'carpet' ? carpetLayout(geometry) : null
+      };
+    });
+    const totalSqFt = rooms.reduce((sum, room) => sum + room.areaSqFt, 0);
+    const baseLf = state.include_base ? rooms.reduce((sum, room) => sum + room.baseLf, 0) : 0;
+    const transitions = state.include_transitions ? rooms.reduce((sum, room) => sum + room.transitions, 0) : 0;
+
+    const metrics = { totalSqFt, baseLf, transitions };
+    const lines = [];
+    const laborRate = price(type.laborPath);
+
+    if (state.floor_type === 'tile') {
+      const pattern = TILE_PATTERNS[state.tile_pattern];
+      const orderSqFt = applyWaste(totalSqFt, pattern.wastePercent);
+      metrics.wastePercent = pattern.wastePercent;
+      metrics.boxes = roundUp(orderSqFt / state.tile_box_sqft);
+      metrics.thinsetCoverage = thinsetCoverage(state.tile_length_in, state.tile_width_in);
+      metrics.thinsetBags = roundUp(orderSqFt / metrics.thinsetCoverage);
+      metrics.groutLbPerSqFt = groutPoundsPerSqFt(state);
+      metrics.groutLb = orderSqFt * metrics.groutLbPerSqFt;
+      metrics.groutBags = roundUp(metrics.groutLb / GROUT_BAG_LB);
+      metrics.installHours = totalSqFt * TILE_HOURS_PER_SQFT * pattern.laborFactor;
+      lines.push(
+        createLine({ code: type.code, item: `Floor tile ${state.tile_length_in}×${state.tile_width_in} (${state.tile_pattern})`, quantity: metrics.boxes, unit: 'boxes', rate: price(type.pricePath) * state.tile_box_sqft }),
+        createLine({ code: type.code, item: 'Thinset mortar (50 lb)', quantity: metrics.thinsetBags, unit: 'bags', rate: price('materials.thinset_bag') }),
+        createLine({ code: type.code, item: 'Grout (25 lb)', quantity: metrics.groutBags, unit: 'bags', rate: price('materials.grout_bag') }),
+        createLine({ code: type.code, item: 'Tile setter labor', quantity: metrics.installHours, unit: 'hrs', rate: laborRate, bucket: 'labor' })
+      );
+    } else if (state.floor_type === 'plank') {
+      const install = PLANK_INSTALLS[state.plank_install];
+      const orderSqFt = applyWaste(totalSqFt, state.plank_waste_percent);
+      metrics.wastePercent = state.plank_waste_percent;
+      metrics.boxes = roundUp(orderSqFt / state.plank_box_sqft);
+      metrics.underlaymentRolls = state.plank_install === 'floating' ? roundUp(totalSqFt / UNDERLAYMENT_ROLL_SQFT) : 0;
+      metrics.adhesivePails = state.plank_install === 'glue-down' ? roundUp(totalSqFt / ADHESIVE_PAIL_SQFT) : 0;
+      metrics.installHours = totalSqFt * install.hoursPerSqFt;
+      lines.push(
+        createLine({ code: type.code, item: `Resilient plank (${state.plank_install})`, quantity: metrics.boxes, unit: 'boxes', rate: price(type.pricePath) * state.plank_box_sqft }),
+        createLine({ code: type.code, item: 'Underlayment (100 sq ft)', quantity: metrics.underlaymentRolls, unit: 'rolls', rate: price('materials.plank_underlayment_roll') }),
+        createLine({ code: type.code, item: 'Flooring adhesive (4 gal)', quantity: metrics.adhesivePails, unit: 'pails', rate: price('materials.flooring_adhesive_pail') }),
+        createLine({ code: type.code, item: 'Flooring installer labor', quantity: metrics.installHours, unit: 'hrs', rate: laborRate, bucket: 'labor' })
+      );
+    } else {
+      metrics.cutLf = rooms.reduce((sum, room) => sum + room.carpet.cutLf, 0);
+      metrics.seams = rooms.reduce((sum, room) => sum + room.carpet.seams, 0);
+      metrics.seamLf = rooms.reduce((sum, room) => sum + room.carpet.seamLf, 0);
+      metrics.carpetSy = (metrics.cutLf * CARPET_ROLL_WIDTH_FT) / 9;
+      metrics.wastePercent = totalSqFt > 0 ? ((metrics.carpetSy * 9) / totalSqFt - 1) * 100 : 0;
+      metrics.padSy = applyWaste(totalSqFt / 9, PAD_WASTE_PERCENT);
+      metrics.tackStripLf = rooms.reduce((sum, room) => sum + room.baseLf, 0);
+      metrics.installHours = metrics.carpetSy * CARPET_HOURS_PER_SY;
+      lines.push(
+        createLine({ code: type.code, item: `Broadloom carpet (${CARPET_ROLL_WIDTH_FT} ft roll)`, quantity: metrics.carpetSy, unit: 'SY', rate: price(type.pricePath) }),
+        createLine({ code: type.code, item: 'Carpet pad', quantity: metrics.padSy, unit: 'SY', rate: price('materials.carpet_pad_sy') }),
+        createLine({ code: type.code, item: 'Seam tape', quantity: metrics.seamLf, unit: 'LF', rate: price('materials.carpet_seam_tape_lf') }),
+        createLine({ code: type.code, item: 'Tack strip', quantity: metrics.tackStripLf, unit: 'LF', rate: price('materials.tack_strip_lf') }),
+        createLine({ code: type.code, item: 'Flooring installer labor', quantity: metrics.installHours, unit: 'hrs', rate: laborRate, bucket: 'labor' })
+      );
+    }
+
+    const accessoryRate = price('labor.flooring_installer_hr');
+    metrics.accessoryHours = baseLf * BASE_HOURS_PER_LF + transitions * TRANSITION_HOURS_EA;
+    lines.push(
+      createLine({ code: '09 65 13', item: 'Rubber cove base (4″)', quantity: baseLf, unit: 'LF', rate: price('materials.rubber_base_lf') }),
+      createLine({ code: '09 65 13', item: 'Transition strips', quantity: transitions, unit: 'ea', rate: price('materials.floor_transition_ea') }),
+      createLine({ code: '09 65 13', item: 'Base and transition labor', quantity: metrics.accessoryHours, unit: 'hrs', rate: accessoryRate, bucket: 'labor' })
+    );
+
+    const activeLines = lines.filter((line) => line.quantity > 0);
+    return {
+      inputs: state,
+      type,
+      rooms,
+      metrics,
+      lines: activeLines,
+      totals: summarizeLines(activeLines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM ${result.type.label} Total · ${formatNumber(result.metrics.totalSqFt, { maximumFractionDigits: 0 })} sq ft`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    const details = [
+      {
+        title: 'Per-room breakdown',
+        columns: ['Room', 'Area (sq ft)', 'Base (LF)', 'Transitions'],
+        rows: result.rooms.map((room) => [room.name, fmt(room.areaSqFt), fmt(room.baseLf), room.transitions])
+      }
+    ];
+    if (result.inputs.floor_type === 'carpet') {
+      details.push({
+        title: 'Carpet cut list',
+        columns: ['Room', 'Drops', 'Drop length (ft)', 'Cut (LF)', 'Seams', 'Seam (LF)'],
+        rows: result.rooms.map((room) => [
+          room.name,
+          room.carpet.drops,
+          fmt(room.carpet.dropLengthFt),
+          fmt(room.carpet.cutLf),
+          room.carpet.seams,
+          fmt(room.carpet.seamLf)
+        ])
+      });
+    }
+    return details;
+  },
+  assumptions(result) {
+    const { inputs, metrics } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const modeAssumptions = {
+      tile: [
+        `${inputs.tile_pattern} layout waste ${metrics.wastePercent}% (straight ${TILE_PATTERNS.straight.wastePercent}%, diagonal ${TILE_PATTERNS.diagonal.wastePercent}%, herringbone ${TILE_PATTERNS.herringbone.wastePercent}%)`,
+        `Thinset coverage ${metrics.thinsetCoverage} sq ft per 50 lb bag for ${Math.max(inputs.tile_length_in, inputs.tile_width_in)}″ tile`,
+        `Grout ${formatNumber(metrics.groutLbPerSqFt, { maximumFractionDigits: 3 })} lb/sq ft for ${inputs.joint_width_in}″ joints × ${inputs.tile_thickness_in}″ depth`
+      ],
+      plank: [
+        `${inputs.plank_install === 'floating' ? `Floating install with underlayment at ${UNDERLAYMENT_ROLL_SQFT} sq ft per roll` : `Glue-down install with adhesive at ${ADHESIVE_PAIL_SQFT} sq ft per pail`}`,
+        `Plank waste ${inputs.plank_waste_percent}%`
+      ],
+      carpet: [
+        `${CARPET_ROLL_WIDTH_FT} ft roll; drops run the direction that uses the least carpet, with ${CARPET_TRIM_FT} ft trim per drop; shaped rooms are laid out over their bounding box`,
+        `Effective cut waste ${formatNumber(metrics.wastePercent, { maximumFractionDigits: 1 })}%; pad waste ${PAD_WASTE_PERCENT}%`
+      ]
+    };
+    return [
+      ...modeAssumptions[inputs.floor_type],
+      inputs.include_base ? 'Base LF = room perimeter (plus any void edges) less door openings' : 'Base excluded',
+      inputs.include_transitions ? `Transitions ${TRANSITION_HOURS_EA} hr each` : 'Transitions excluded',
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.type.label}, ${state.rooms.length} room(s)`,
+      quantity: result.metrics.totalSqFt,
+      unit: 'sq ft',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost,
+      costCode: result.type.code
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    const lines = state.rooms.map((room, index) => {
+      const { geometry, areaSqFt } = result.rooms[index];
+      return room.shape
+        ? `**${room.name}** area = ${fmt(geometry.grossAreaSqFt)} outline − ${fmt(geometry.voidAreaSqFt)} voids = ${fmt(areaSqFt)} sq ft`
+        : `**${room.name}** area = ${room.length_ft} × ${room.width_ft} = ${fmt(areaSqFt)} sq ft`;
+    });
+    if (state.floor_type === 'tile') {
+      lines.push(
+        `Boxes = ${fmt(metrics.totalSqFt)} sq ft + ${metrics.wastePercent}% ÷ ${state.tile_box_sqft} = ${metrics.boxes}`,
+        `Thinset = ${fmt(applyWaste(metrics.totalSqFt, metrics.wastePercent))} ÷ ${metrics.thinsetCoverage} = ${metrics.thinsetBags} bags`,
+        `Grout = 144 × (${state.tile_length_in} + ${state.tile_width_in}) ÷ (${state.tile_length_in} × ${state.tile_width_in}) × ${state.joint_width_in} × ${state.tile_thickness_in} × ${GROUT_LB_PER_CUIN} = ${fmt(metrics.groutLbPerSqFt, 3)} lb/sq ft → ${fmt(metrics.groutLb)} lb = ${metrics.groutBags} bags`
+      );
+    } else if (state.floor_type === 'plank') {
+      lines.push(`Boxes = ${fmt(metrics.totalSqFt)} sq ft + ${metrics.wastePercent}% ÷ ${state.plank_box_sqft} = ${metrics.boxes}`);
+    } else {
+      lines.push(
+        ...result.rooms.map((room) => `${room.name}: ${room.carpet.drops} drop(s) × ${fmt(room.carpet.dropLengthFt)} ft = ${fmt(room.carpet.cutLf)} LF, ${room.carpet.seams} seam(s)`),
+        `Carpet = ${fmt(metrics.cutLf)} LF × ${CARPET_ROLL_WIDTH_FT} ft ÷ 9 = ${fmt(metrics.carpetSy)} SY`
+      );
+    }
+    lines.push(
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('flooring', result.lines, result.totals, calculator.details(result));
+  }
+};
@@ -1,7 +1,308 @@
-import { createStubCalculator } from './_stub.js';
+import { applyWaste, formatCurrency, formatNumber, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { optimizeCuts, splitRun } from '../core/cutlist.js';
+import { createLine, cutListDetail, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const STOCK_LENGTHS_FT = [8, 10, 12, 14, 16];
+const SPECIAL_ORDER_STEP_FT = 2;
+const PLATE_STOCK_FT = 16;
+const SAW_KERF_FT = 0.125 / 12;
+const SHEET_SQFT = 32;
+const SHEATHING_HOURS_PER_SHEET = 0.25;
+const HEADER_BEARING_IN = 3;
+const PLATE_THICKNESS_IN = 1.5;
+const OPENING_PATTERN = /^\d+(\.\d+)?(x\d+(\.\d+)?)?$/i;
+
+const HEADER_SIZES = [
+  { maxSpanFt: 3, size: '2x6' },
+  { maxSpanFt: 4, size: '2x8' },
+  { maxSpanFt: 6, size: '2x10' },
+  { maxSpanFt: 8, size: '2x12' }
+];
+
+const WALL_COLUMNS = [
+  { key: 'name', label: 'Wall', type: 'text', required: true },
+  { key: 'length_ft', label: 'Length (ft)', type: 'number', min: 1, required: true },
+  { key: 'height_ft', label: 'Height (ft)', type: 'number', min: 4, max: 20, required: true },
+  { key: 'spacing_in', label: 'Spacing (in)', type: 'number', min: 8, max: 24, default: 16 },
+  { key: 'top_plates', label: 'Top plates', type: 'number', min: 1, max: 2, default: 2 },
+  { key: 'corners', label: 'Corners', type: 'number', min: 0, default: 0 },
+  { key: 'intersections', label: 'Intersections', type: 'number', min: 0, default: 0 },
+  { key: 'openings', label: 'Openings', type: 'list', pattern: OPENING_PATTERN },
+  { key: 'sheathed', label: 'Sheathed', type: 'select', options: ['yes', 'no'], default: 'yes' }
+];
+
+function boardFeet(size, lengthFt) {
+  const [thickness, width] = size.split('x').map(Number);
+  return (thickness * width * lengthFt) / 12;
+}
+
+// Pieces longer than the longest yard stock are special-ordered in even-foot lengths.
+function stockLengthFor(lengthFt) {
+  return STOCK_LENGTHS_FT.find((stock) => stock >= lengthFt) ?? Math.ceil(lengthFt / SPECIAL_ORDER_STEP_FT) * SPECIAL_ORDER_STEP_FT;
+}
+
+function isSpecialOrder(stockFt) {
+  return stockFt > STOCK_LENGTHS_FT[STOCK_LENGTHS_FT.length - 1];
+}
+
+// Spans past the last sawn size are carried as built-up 2x12 placeholders and flagged for an engineered header.
+function headerSizeFor(spanFt) {
+  return (HEADER_SIZES.find((entry) => spanFt <= entry.maxSpanFt) ?? HEADER_SIZES[HEADER_SIZES.length - 1]).size;
+}
+
+function parseOpening(entry) {
+  const [width, height = 0] = entry.toLowerCase().split('x').map(Number);
+  return { width, height };
+}
+
+function frameWall(wall, studSize) {
+  const openings = wall.openings.map(parseOpening);
+  const commonStuds = roundUp((wall.length_ft * 12) / wall.spacing_in) + 1;
+  const studs = commonStuds + 2 * wall.corners + 2 * wall.intersections + 4 * openings.length;
+  const studLengthFt = wall.height_ft - ((1 + wall.top_plates) * PLATE_THICKNESS_IN) / 12;
+  const plateLf = wall.length_ft * (1 + wall.top_plates);
+  const plies = studSize === '2x6' ? 3 : 2;
+  const headers = openings.map((opening) => ({
+    size: headerSizeFor(opening.width),
+    lengthFt: opening.width + HEADER_BEARING_IN / 12,
+    plies,
+    spanFt: opening.width,
+    engineered: opening.width > HEADER_SIZES[HEADER_SIZES.length - 1].maxSpanFt
+  }));
+  const openingArea = openings.reduce((sum, opening) => sum + opening.width * opening.height, 0);
+  const sheathingSqFt = wall.sheathed === 'yes' ? Math.max(wall.length_ft * wall.height_ft - openingArea, 0) : 0;
+  const openingWidth = openings.reduce((sum, opening) => sum + opening.width, 0);
+  return {
+    name: wall.name,
+    lengthFt: wall.length_ft,
+    spacingIn: wall.spacing_in,
+    bays: commonStuds - 1,
+    plateRows: 1 + wall.top_plates,
+    studs,
+    studLengthFt,
+    studStockFt: stockLengthFor(studLengthFt),
+    plateLf,
+    headers,
+    sheathingSqFt,
+    overfilled: openingWidth > wall.length_ft
+  };
+}
+
+function addPieces(purchases, size, stockFt, pieces) {
+  const key = `${size}|${stockFt}`;
+  const entry = purchases.get(key) ?? { size, stockFt, pieces: 0 };
+  entry.pieces += pieces;
+  purchases.set(key, entry);
+}
+
+export const calculator = {
   id: 'framing-takeoff',
   name: 'Framing Takeoff',
-  description: 'Estimate studs, plates, and headers for wood framing at 16/24" on-center spacing.'
-});
+  costCode: '06 11 00',
+  defaults: {
+    walls: [
+      { name: 'North', length_ft: 40, height_ft: 9, spacing_in: 16, top_plates: 2, corners: 2, intersections: 1, openings: ['3x5', '3x5', '6x6.8'], sheathed: 'yes' },
+      { name: 'East', length_ft: 28, height_ft: 9, spacing_in: 16, top_plates: 2, corners: 2, intersections: 0, openings: ['3x6.8'], sheathed: 'yes' },
+      { name: 'Corridor', length_ft: 24, height_ft: 9, spacing_in: 16, top_plates: 2, corners: 0, intersections: 2, openings: ['3x6.8'], sheathed: 'no' }
+    ],
+    stud_size: '2x4',
+    blocking_rows: 1,
+    waste_percent: 10,
+    productivity_bf_hr: 45,
+    region: 'national'
+  },
+  schema: {
+    walls: { type: 'table', columns: WALL_COLUMNS, required: true },
+    stud_size: { type: 'select', options: ['2x4', '2x6'], required: true },
+    blocking_rows: { type: 'number', min: 0, max: 4, required: true },
+    waste_percent: { type: 'number', min: 0, max: 50, required: true },
+    productivity_bf_hr: { type: 'number', min: 1, required: true },
+    lumber_price_bf: { type: 'number', min: 0, required: false },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const studSize = state.stud_size;
+    const overrides = {
+      [`materials.lumber_${studSize}_bf`]: state.lumber_price_bf,
+      'labor.carpenter_hr': state.labor_rate
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const walls = state.walls.map((wall) => frameWall(wall, studSize));
+    const purchases = new Map();
+    const cutPieces = new Map();
+    const addCuts = (size, length, quantity) => cutPieces.set(size, [...(cutPieces.get(size) ?? []), { length, quantity }]);
+    let plateLf = 0;
+    let blockingLf = 0;
+    let sheathingSqFt = 0;
+    let studs = 0;
+
+    for (const wall of walls) {
+      studs += wall.studs;
+      addPieces(purchases, studSize, wall.studStockFt, roundUp(applyWaste(wall.studs, state.waste_percent)));
+      plateLf += wall.plateLf;
+      for (const length of splitRun(wall.lengthFt, PLATE_STOCK_FT)) {
+        addCuts(studSize, length, wall.plateRows);
+      }
+      if (state.blocking_rows > 0) {
+        const blockLengthFt = (wall.spacingIn - PLATE_THICKNESS_IN) / 12;
+        blockingLf += blockLengthFt * wall.bays * state.blocking_rows;
+        addCuts(studSize, blockLengthFt, wall.bays * state.blocking_rows);
+      }
+      sheathingSqFt += wall.sheathingSqFt;
+      for (const header of wall.headers) {
+        addCuts(header.size, header.lengthFt, header.plies);
+      }
+    }
+
+    const cutPlans = [...cutPieces.entries()]
+      .map(([size, pieces]) => ({ size, plan: optimizeCuts(pieces, STOCK_LENGTHS_FT, { kerf: SAW_KERF_FT }) }))
+      .sort((a, b) => a.size.localeCompare(b.size, undefined, { numeric: true }));
+    for (const { size, plan } of cutPlans) {
+      for (const purchase of plan.purchases) {
+        addPieces(purchases, size, purchase.stock, purchase.count);
+      }
+      for (const piece of plan.oversize) {
+        addPieces(purchases, size, stockLengthFor(piece.length), piece.quantity);
+      }
+    }
+
+    const purchaseList = [...purchases.values()]
+      .map((entry) => ({ ...entry, specialOrder: isSpecialOrder(entry.stockFt), boardFeet: entry.pieces * boardFeet(entry.size, entry.stockFt) }))
+      .sort((a, b) => a.size.localeCompare(b.size, undefined, { numeric: true }) || a.stockFt - b.stockFt);
+
+    const boardFeetBySize = new Map();
+    for (const entry of purchaseList) {
+      boardFeetBySize.set(entry.size, (boardFeetBySize.get(entry.size) ?? 0) + entry.boardFeet);
+    }
+    const totalBoardFeet = purchaseList.reduce((sum, entry) => sum + entry.boardFeet, 0);
+    const sheets = roundUp(applyWaste(sheathingSqFt, state.waste_percent) / SHEET_SQFT);
+    const headerCount = walls.reduce((sum, wall) => sum + wall.headers.length, 0);
+    const laborHours = totalBoardFeet / state.productivity_bf_hr + sheets * SHEATHING_HOURS_PER_SHEET;
+
+    const lines = [
+      ...[...boardFeetBySize.entries()].map(([size, bf]) =>
+        createLine({ code: '06 11 00', item: `${size} lumber`, quantity: bf, unit: 'BF', rate: price(`materials.lumber_${size}_bf`) })
+      ),
+      createLine({ code: '06 16 00', item: 'OSB wall sheathing (4×8)', quantity: sheets, unit: 'sheets', rate: price('materials.osb_sheet') }),
+      createLine({ code: '06 11 00', item: 'Carpenter labor', quantity: laborHours, unit: 'hrs', rate: price('labor.carpenter_hr'), bucket: 'labor' })
+    ];
+
+    return {
+      inputs: state,
+      walls,
+      purchaseList,
+      cutPlans,
+      metrics: {
+        studs,
+        plateLf,
+        blockingLf,
+        headerCount,
+        sheathingSqFt,
+        sheets,
+        totalBoardFeet,
+        laborHours
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Framing Total · ${formatNumber(result.metrics.totalBoardFeet, { maximumFractionDigits: 0 })} BF`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    return [
+      {
+        title: 'Per-wall breakdown',
+        columns: ['Wall', 'Length (ft)', 'Studs', 'Plates (LF)', 'Headers', 'Sheathing (sq ft)'],
+        rows: result.walls.map((wall) => [
+          wall.name,
+          fmt(wall.lengthFt),
+          wall.studs,
+          fmt(wall.plateLf),
+          wall.headers.map((header) => `${header.plies}-${header.size} × ${fmt(header.lengthFt, 2)} ft`).join('; ') || '—',
+          fmt(wall.sheathingSqFt, 0)
+        ])
+      },
+      {
+        title: 'Stock-length purchase list',
+        columns: ['Size', 'Stock length', 'Pieces', 'Board feet'],
+        rows: result.purchaseList.map((entry) => [entry.size, `${entry.stockFt} ft${entry.specialOrder ? ' (special order)' : ''}`, entry.pieces, fmt(entry.boardFeet, 0)])
+      },
+      ...result.cutPlans.map(({ size, plan }) => cutListDetail(`${size} cut list (plates, blocking, headers)`, plan))
+    ];
+  },
+  assumptions(result) {
+    const { inputs, walls } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const engineered = walls.flatMap((wall) =>
+      wall.headers.filter((header) => header.engineered).map((header) => `${wall.name} (${formatNumber(header.spanFt, { maximumFractionDigits: 2 })} ft)`)
+    );
+    const oversize = result.cutPlans.flatMap(({ size, plan }) =>
+      plan.oversize.map((piece) => `${piece.quantity} × ${size} at ${formatNumber(piece.length, { maximumFractionDigits: 2 })} ft (${stockLengthFor(piece.length)} ft stock)`)
+    );
+    const longStuds = walls.filter((wall) => isSpecialOrder(wall.studStockFt)).map((wall) => `${wall.name} (${wall.studStockFt} ft)`);
+    const overfilled = walls.filter((wall) => wall.overfilled).map((wall) => wall.name);
+    return [
+      `${inputs.stud_size} studs and plates; studs include 3-stud corners, 2 per intersection, and king + jack pairs at each opening`,
+      `Headers sized by rough opening: ≤3 ft 2x6, ≤4 ft 2x8, ≤6 ft 2x10, ≤8 ft 2x12 with ${HEADER_BEARING_IN}″ total bearing`,
+      `${inputs.blocking_rows} blocking row(s) per wall; plates butt-jointed at ${PLATE_STOCK_FT} ft; plates, blocking, and headers cut from 8–16 ft stock with ⅛″ kerf`,
+      `Waste factor ${inputs.waste_percent}% applied to studs and sheathing; cut-list drop covers plates, blocking, and headers`,
+      ...(engineered.length
+        ? [`Warning: openings over ${HEADER_SIZES[HEADER_SIZES.length - 1].maxSpanFt} ft exceed a sawn 2x12 header and are priced as built-up 2x12 placeholders; size an engineered header for ${engineered.join(', ')}`]
+        : []),
+      ...(oversize.length ? [`Warning: header pieces longer than ${STOCK_LENGTHS_FT[STOCK_LENGTHS_FT.length - 1]} ft are bought as special-order stock outside the cut list: ${oversize.join(', ')}`] : []),
+      ...(longStuds.length ? [`Warning: studs longer than ${STOCK_LENGTHS_FT[STOCK_LENGTHS_FT.length - 1]} ft are special-order stock at the same board-foot rate: ${longStuds.join(', ')}`] : []),
+      ...(overfilled.length ? [`Opening widths exceed wall length: ${overfilled.join(', ')}`] : []),
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${state.walls.length} wall(s), ${state.stud_size} framing`,
+      quantity: result.metrics.totalBoardFeet,
+      unit: 'BF',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const lines = state.walls.map((wall, index) => {
+      const framed = result.walls[index];
+      const commons = roundUp((wall.length_ft * 12) / wall.spacing_in) + 1;
+      return `**${wall.name}** studs = ⌈${wall.length_ft} × 12 ÷ ${wall.spacing_in}⌉ + 1 = ${commons} + 2 × ${wall.corners} corners + 2 × ${wall.intersections} intersections + 4 × ${wall.openings.length} openings = ${framed.studs}; plates = ${wall.length_ft} × ${1 + wall.top_plates} = ${fmt(framed.plateLf)} LF`;
+    });
+    lines.push(
+      `Blocking = Σ bays × (spacing − ${PLATE_THICKNESS_IN}″) × ${state.blocking_rows} row(s) = ${fmt(result.metrics.blockingLf)} LF`,
+      ...result.cutPlans.map(
+        ({ size, plan }) => `${size} cut plan = ${fmt(plan.requiredLength)} LF of pieces from ${plan.purchases.map((entry) => `${entry.count} × ${entry.stock} ft`).join(' + ')}; drop ${fmt(plan.dropLength)} LF`
+      ),
+      `Sheathing = ${fmt(result.metrics.sheathingSqFt)} sq ft + ${state.waste_percent}% ÷ ${SHEET_SQFT} = ${result.metrics.sheets} sheets`,
+      `Board feet = Σ pieces × thickness × width × length ÷ 12 = ${fmt(result.metrics.totalBoardFeet, 0)} BF`,
+      `Labor hours = ${fmt(result.metrics.totalBoardFeet, 0)} BF ÷ ${state.productivity_bf_hr} BF/hr + ${result.metrics.sheets} sheets × ${SHEATHING_HOURS_PER_SHEET} hr = ${fmt(result.metrics.laborHours)}`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('framing-takeoff', result.lines, result.totals, calculator.details(result));
+  }
+};
@@ -1,7 +1,207 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round, roundUp } from '../core/units.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const CATEGORIES = {
+  staff: { label: 'Staff', code: '01 31 13', bucket: 'labor' },
+  facility: { label: 'Temp facilities', code: '01 52 00', bucket: 'material' },
+  utility: { label: 'Utilities', code: '01 51 00', bucket: 'material' },
+  dumpster: { label: 'Dumpsters', code: '01 74 19', bucket: 'material' },
+  rental: { label: 'Rentals', code: '01 54 00', bucket: 'equipment' }
+};
+
+const wholeMonth = (value) => (Number.isInteger(value) ? undefined : 'use a whole month');
+
+const ITEM_COLUMNS = [
+  { key: 'category', label: 'Category', type: 'select', options: Object.keys(CATEGORIES), required: true },
+  { key: 'description', label: 'Description', type: 'text', required: true },
+  { key: 'monthly_rate', label: 'Monthly rate', type: 'number', min: 0, required: true },
+  { key: 'allocation_percent', label: 'Allocation (%)', type: 'number', min: 1, max: 100, default: 100 },
+  { key: 'start_month', label: 'Start month', type: 'number', min: 1, default: 1, check: wholeMonth },
+  { key: 'end_month', label: 'End month', type: 'number', min: 1, check: wholeMonth },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 1, default: 1 }
+];
+
+export const calculator = {
   id: 'general-conditions',
   name: 'General Conditions',
-  description: 'Build crew, supervision, temporary utilities, dumpsters, and project support allowances.'
-});
+  costCode: '01 50 00',
+  defaults: {
+    duration_months: 12,
+    items: [
+      { category: 'staff', description: 'Project manager', monthly_rate: 16000, allocation_percent: 50, start_month: 1, end_month: null, quantity: 1 },
+      { category: 'staff', description: 'Superintendent', monthly_rate: 15000, allocation_percent: 100, start_month: 1, end_month: null, quantity: 1 },
+      { category: 'staff', description: 'Project engineer', monthly_rate: 9500, allocation_percent: 100, start_month: 2, end_month: 11, quantity: 1 },
+      { category: 'staff', description: 'Safety manager', monthly_rate: 11000, allocation_percent: 25, start_month: 1, end_month: null, quantity: 1 },
+      { category: 'facility', description: 'Field office trailer', monthly_rate: 850, allocation_percent: 100, start_month: 1, end_month: null, quantity: 1 },
+      { category: 'facility', description: 'Temporary toilets', monthly_rate: 175, allocation_percent: 100, start_month: 1, end_month: null, quantity: 3 },
+      { category: 'utility', description: 'Temporary power', monthly_rate: 1200, allocation_percent: 100, start_month: 1, end_month: null, quantity: 1 },
+      { category: 'utility', description: 'Temporary water', monthly_rate: 250, allocation_percent: 100, start_month: 1, end_month: null, quantity: 1 },
+      { category: 'dumpster', description: '30 CY dumpster pulls', monthly_rate: 650, allocation_percent: 100, start_month: 2, end_month: 12, quantity: 4 },
+      { category: 'rental', description: 'Telehandler', monthly_rate: 4200, allocation_percent: 100, start_month: 3, end_month: 9, quantity: 1 }
+    ]
+  },
+  schema: {
+    duration_months: { type: 'number', min: 1, max: 60, required: true },
+    items: { type: 'table', columns: ITEM_COLUMNS, required: true, maxRows: 60 },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const months = roundUp(state.duration_months);
+    const warnings = [];
+
+    const items = state.items.map((row, index) => {
+      const start = row.start_month;
+      const requestedEnd = row.end_month ?? months;
+      const end = Math.min(requestedEnd, months);
+      if (requestedEnd > months) {
+        warnings.push(`Row ${index + 1} (${row.description}) ends in month ${requestedEnd}; clipped to month ${months}`);
+      }
+      if (start > end) {
+        warnings.push(`Row ${index + 1} (${row.description}) starts after it ends; no cost carried`);
+      }
+      const activeMonths = Math.max(end - start + 1, 0);
+      const monthly = row.monthly_rate * (row.allocation_percent / 100) * row.quantity;
+      return {
+        category: row.category,
+        description: row.description,
+        monthlyRate: row.monthly_rate,
+        allocationPercent: row.allocation_percent,
+        quantity: row.quantity,
+        start,
+        end,
+        activeMonths,
+        monthly,
+        // Allocation-weighted months, e.g. a half-time PM over 12 months = 6.
+        unitMonths: round(activeMonths * (row.allocation_percent / 100) * row.quantity, 4),
+        total: monthly * activeMonths
+      };
+    });
+
+    const schedule = Array.from({ length: months }, (_, index) => {
+      const month = index + 1;
+      const byCategory = Object.fromEntries(Object.keys(CATEGORIES).map((key) => [key, 0]));
+      for (const item of items) {
+        if (month >= item.start && month <= item.end) byCategory[item.category] += item.monthly;
+      }
+      const total = Object.values(byCategory).reduce((sum, value) => sum + value, 0);
+      return { month, byCategory, total };
+    });
+    let cumulative = 0;
+    for (const row of schedule) {
+      cumulative += row.total;
+      row.cumulative = cumulative;
+    }
+
+    const lines = items
+      .map((item) => {
+        const category = CATEGORIES[item.category];
+        return createLine({
+          code: category.code,
+          item: item.allocationPercent < 100 ? `${item.description} (${item.allocationPercent}%)` : item.description,
+          quantity: item.unitMonths,
+          unit: 'mo',
+          rate: item.monthlyRate,
+          bucket: category.bucket
+        });
+      })
+      .filter((line) => line.quantity > 0);
+
+    const totals = summarizeLines(lines, state);
+    const staffMonths = items.filter((item) => item.category === 'staff').reduce((sum, item) => sum + item.unitMonths, 0);
+    const peak = schedule.reduce((best, row) => (row.total > best.total ? row : best), schedule[0]);
+
+    return {
+      inputs: state,
+      items,
+      schedule,
+      warnings,
+      metrics: {
+        months,
+        staffMonths,
+        peakMonth: peak.month,
+        peakMonthly: peak.total,
+        averageMonthly: totals.subtotal / months
+      },
+      lines,
+      totals
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM General Conditions Total · ${result.metrics.months} months, ${formatCurrency(result.metrics.averageMonthly)}/mo avg`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const keys = Object.keys(CATEGORIES);
+    return [
+      {
+        title: 'Month-by-month',
+        columns: ['Month', ...keys.map((key) => CATEGORIES[key].label), 'Monthly total', 'Cumulative'],
+        rows: result.schedule.map((row) => [
+          row.month,
+          ...keys.map((key) => formatCurrency(row.byCategory[key])),
+          formatCurrency(row.total),
+          formatCurrency(row.cumulative)
+        ])
+      },
+      {
+        title: 'Items',
+        columns: ['Item', 'Category', 'Monthly rate', 'Allocation', 'Qty', 'Months', 'Total'],
+        rows: result.items.map((item) => [
+          item.description,
+          CATEGORIES[item.category].label,
+          formatCurrency(item.monthlyRate),
+          `${item.allocationPercent}%`,
+          item.quantity,
+          item.activeMonths > 0 ? `${item.start}–${item.end}` : '—',
+          formatCurrency(item.total)
+        ])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs, metrics } = result;
+    const rounded = metrics.months !== inputs.duration_months ? [`Duration rounded up to ${metrics.months} whole months`] : [];
+    return [
+      ...result.warnings.map((warning) => `Warning: ${warning}`),
+      ...rounded,
+      'Monthly cost = rate × allocation % × quantity for each month between start and end (inclusive)',
+      'Blank end months run to the end of the project',
+      `${formatNumber(metrics.staffMonths, { maximumFractionDigits: 1 })} allocated staff-months; peak month ${metrics.peakMonth} at ${formatCurrency(metrics.peakMonthly)}`,
+      'Rates are entered as budgeted and are not regionally adjusted'
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.metrics.months}-month general conditions`,
+      quantity: result.metrics.months,
+      unit: 'mo',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const lines = result.items.map(
+      (item) =>
+        `**${item.description}** = $${fmt(item.monthlyRate)} × ${item.allocationPercent}% × ${item.quantity} × ${item.activeMonths} months (${item.start}–${item.end}) = $${fmt(item.total)}`
+    );
+    lines.push(
+      `Peak month ${result.metrics.peakMonth} = $${fmt(result.metrics.peakMonthly)}`,
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('general-conditions', result.lines, result.totals, calculator.details(result));
+  }
+};
@@ -1,7 +1,226 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const SHEET_METAL_HOURS_PER_LB = 0.08;
+const GRILLE_HOURS = 0.75;
+const POINTS_PER_ZONE = 3;
+
+const OCCUPANCIES = {
+  office: { label: 'Office', sqftPerTon: 350, ductLbPerSqft: 1, sqftPerDiffuser: 150, sqftPerZone: 800 },
+  retail: { label: 'Retail', sqftPerTon: 300, ductLbPerSqft: 0.8, sqftPerDiffuser: 200, sqftPerZone: 1500 },
+  school: { label: 'School', sqftPerTon: 275, ductLbPerSqft: 1.1, sqftPerDiffuser: 180, sqftPerZone: 900 },
+  restaurant: { label: 'Restaurant', sqftPerTon: 150, ductLbPerSqft: 1.2, sqftPerDiffuser: 150, sqftPerZone: 1000 },
+  warehouse: { label: 'Warehouse', sqftPerTon: 600, ductLbPerSqft: 0.4, sqftPerDiffuser: 600, sqftPerZone: 5000 },
+  healthcare: { label: 'Healthcare', sqftPerTon: 250, ductLbPerSqft: 1.5, sqftPerDiffuser: 120, sqftPerZone: 400 },
+  multifamily: { label: 'Multifamily', sqftPerTon: 450, ductLbPerSqft: 0.7, sqftPerDiffuser: 200, sqftPerZone: 900 }
+};
+
+const SYSTEMS = {
+  rtu: { label: 'Packaged rooftop units', pricePath: 'equipment.rtu_ton', maxTons: 50, setHours: 16, pointsPerUnit: 12 },
+  split: { label: 'Split systems', pricePath: 'equipment.split_system_ton', maxTons: 5, setHours: 12, pointsPerUnit: 8 },
+  vrf: { label: 'VRF outdoor modules', pricePath: 'equipment.vrf_ton', maxTons: 30, setHours: 24, pointsPerUnit: 10 }
+};
+
+// Cooling load multiplier by office region: hot-humid South up, dry and mild West/Mountain down.
+const CLIMATE_FACTORS = {
+  national: 1,
+  west: 0.95,
+  mountain: 0.9,
+  midwest: 1,
+  south: 1.15,
+  northeast: 0.95
+};
+
+export const calculator = {
   id: 'hvac',
   name: 'HVAC ROM',
-  description: 'Rough-order HVAC sizing with tonnage, ductwork linear footage, and diffuser counts.'
-});
+  costCode: '23 00 00',
+  defaults: {
+    area_sqft: 20000,
+    occupancy: 'office',
+    system: 'rtu',
+    unit_size_tons: 15,
+    return_ratio: 0.5,
+    region: 'national'
+  },
+  schema: {
+    area_sqft: { type: 'number', min: 100, required: true },
+    occupancy: { type: 'select', options: Object.keys(OCCUPANCIES), required: true },
+    system: { type: 'select', options: Object.keys(SYSTEMS), required: true },
+    unit_size_tons: { type: 'number', min: 1, max: 50, required: true },
+    return_ratio: { type: 'number', min: 0, max: 2, required: true },
+    climate_factor: { type: 'number', min: 0.5, max: 1.5, required: false },
+    equipment_price_ton: { type: 'number', min: 0, required: false },
+    sheet_metal_price_lb: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const occupancy = OCCUPANCIES[state.occupancy];
+    const system = SYSTEMS[state.system];
+    const overrides = {
+      [system.pricePath]: state.equipment_price_ton,
+      'materials.sheet_metal_lb': state.sheet_metal_price_lb
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const climateFactor = state.climate_factor ?? CLIMATE_FACTORS[state.region];
+    const baseTons = state.area_sqft / occupancy.sqftPerTon;
+    const tons = baseTons * climateFactor;
+    const unitSize = Math.min(state.unit_size_tons, system.maxTons);
+    const units = roundUp(tons / unitSize);
+    const installedTons = units * unitSize;
+    const ductLb = state.area_sqft * occupancy.ductLbPerSqft;
+    const supplyDiffusers = roundUp(state.area_sqft / occupancy.sqftPerDiffuser);
+    const returnGrilles = roundUp(supplyDiffusers * state.return_ratio);
+    const zones = roundUp(state.area_sqft / occupancy.sqftPerZone);
+    const controlsPoints = units * system.pointsPerUnit + zones * POINTS_PER_ZONE;
+
+    const packages = [
+      {
+        name: 'Equipment',
+        lines: [
+          createLine({ code: '23 74 13', item: `${system.label} (${units} × ${formatNumber(unitSize)} tons)`, quantity: installedTons, unit: 'tons', rate: price(system.pricePath), bucket: 'equipment' }),
+          createLine({ code: '23 74 13', item: 'Set and connect units', quantity: units * system.setHours, unit: 'hrs', rate: price('labor.hvac_tech_hr'), bucket: 'labor' })
+        ]
+      },
+      {
+        name: 'Sheet metal',
+        lines: [
+          createLine({ code: '23 31 13', item: 'Supply and return ductwork', quantity: ductLb, unit: 'lb', rate: price('materials.sheet_metal_lb') }),
+          createLine({ code: '23 37 13', item: 'Supply diffusers', quantity: supplyDiffusers, unit: 'ea', rate: price('materials.supply_diffuser_ea') }),
+          createLine({ code: '23 37 13', item: 'Return grilles', quantity: returnGrilles, unit: 'ea', rate: price('materials.return_grille_ea') }),
+          createLine({
+            code: '23 31 13',
+            item: 'Sheet metal installation',
+            quantity: round(ductLb * SHEET_METAL_HOURS_PER_LB + (supplyDiffusers + returnGrilles) * GRILLE_HOURS, 2),
+            unit: 'hrs',
+            rate: price('labor.sheet_metal_hr'),
+            bucket: 'labor'
+          })
+        ]
+      },
+      {
+        name: 'Controls',
+        lines: [createLine({ code: '23 09 23', item: 'DDC controls points', quantity: controlsPoints, unit: 'pts', rate: price('materials.controls_point_ea') })]
+      }
+    ].map((entry) => ({ ...entry, lines: entry.lines.filter((line) => line.quantity > 0) }));
+
+    const lines = packages.flatMap((entry) => entry.lines);
+
+    return {
+      inputs: state,
+      packages: packages.map((entry) => ({ name: entry.name, ...summarizeLines(entry.lines, {}) })),
+      metrics: {
+        climateFactor,
+        baseTons,
+        tons,
+        unitSize,
+        units,
+        installedTons,
+        ductLb,
+        supplyDiffusers,
+        returnGrilles,
+        zones,
+        controlsPoints
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM HVAC Total · ${formatNumber(result.metrics.tons, { maximumFractionDigits: 1 })} tons`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    return [
+      {
+        title: 'Sizing',
+        columns: ['Item', 'Value'],
+        rows: [
+          ['Base load (tons)', fmt(metrics.baseTons)],
+          ['Climate factor', fmt(metrics.climateFactor, 2)],
+          ['Design load (tons)', fmt(metrics.tons)],
+          ['Units', `${metrics.units} × ${fmt(metrics.unitSize)} tons`],
+          ['Ductwork (lb)', fmt(metrics.ductLb, 0)],
+          ['Supply diffusers / return grilles', `${metrics.supplyDiffusers} / ${metrics.returnGrilles}`],
+          ['Zones / controls points', `${metrics.zones} / ${metrics.controlsPoints}`]
+        ]
+      },
+      {
+        title: 'Cost by package',
+        columns: ['Package', 'Material', 'Labor', 'Equipment', 'Subtotal'],
+        rows: result.packages.map((entry) => [
+          entry.name,
+          formatCurrency(entry.materialCost),
+          formatCurrency(entry.laborCost),
+          formatCurrency(entry.equipmentCost),
+          formatCurrency(entry.subtotal)
+        ])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs, metrics } = result;
+    const occupancy = OCCUPANCIES[inputs.occupancy];
+    const system = SYSTEMS[inputs.system];
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const warnings = [];
+    if (inputs.unit_size_tons > system.maxTons) {
+      warnings.push(`Warning: ${system.label.toLowerCase()} top out near ${system.maxTons} tons; units sized at ${system.maxTons} tons`);
+    }
+    return [
+      ...warnings,
+      `${occupancy.label}: ${occupancy.sqftPerTon} SF/ton, ${occupancy.ductLbPerSqft} lb duct/SF, one diffuser per ${occupancy.sqftPerDiffuser} SF, one zone per ${occupancy.sqftPerZone} SF`,
+      inputs.climate_factor !== null && inputs.climate_factor !== undefined
+        ? `Climate factor ${formatNumber(metrics.climateFactor, { maximumFractionDigits: 2 })} entered manually`
+        : `Climate factor ${formatNumber(metrics.climateFactor, { maximumFractionDigits: 2 })} from the ${inputs.region} region`,
+      `Equipment priced on installed tons (units rounded up to whole ${formatNumber(metrics.unitSize)} ton units)`,
+      `${inputs.return_ratio} return grilles per supply diffuser; ${system.pointsPerUnit} points per unit plus ${POINTS_PER_ZONE} per zone`,
+      'Equipment, sheet metal, and controls are priced as separate packages',
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${formatNumber(result.metrics.tons, { maximumFractionDigits: 1 })} tons, ${result.metrics.units} ${state.system.toUpperCase()} unit(s)`,
+      quantity: result.metrics.tons,
+      unit: 'tons',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    const occupancy = OCCUPANCIES[state.occupancy];
+    const system = SYSTEMS[state.system];
+    const lines = [
+      `**Tonnage** = ${fmt(state.area_sqft, 0)} SF ÷ ${occupancy.sqftPerTon} SF/ton × ${fmt(metrics.climateFactor)} = ${fmt(metrics.tons)} tons`,
+      `**Units** = ⌈${fmt(metrics.tons)} ÷ ${fmt(metrics.unitSize)}⌉ = ${metrics.units}`,
+      `**Ductwork** = ${fmt(state.area_sqft, 0)} SF × ${occupancy.ductLbPerSqft} lb/SF = ${fmt(metrics.ductLb, 0)} lb`,
+      `**Diffusers** = ⌈${fmt(state.area_sqft, 0)} ÷ ${occupancy.sqftPerDiffuser}⌉ = ${metrics.supplyDiffusers}; returns ⌈${metrics.supplyDiffusers} × ${state.return_ratio}⌉ = ${metrics.returnGrilles}`,
+      `**Controls** = ${metrics.units} × ${system.pointsPerUnit} + ${metrics.zones} zones × ${POINTS_PER_ZONE} = ${metrics.controlsPoints} points`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    ];
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('hvac', result.lines, result.totals, calculator.details(result));
+  }
+};
@@ -1,7 +1,261 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const BATT_BUNDLE_SF_IN = 300;
+const BAG_SF_IN = 140;
+const BOARD_SF = 32;
+const SLAB_EDGE_DEPTH_FT = 2;
+const STEP_IN = 0.5;
+
+const ASSEMBLIES = {
+  'cavity-wall': { label: 'Wall cavity', maxLayers: 1, unit: 'SF' },
+  'ci-wall': { label: 'Continuous exterior board', maxLayers: 3, unit: 'SF' },
+  roof: { label: 'Roof', maxLayers: 3, unit: 'SF' },
+  'slab-edge': { label: 'Slab edge', maxLayers: 2, unit: 'LF' }
+};
+
+// hoursPerSf is per layer for batts and boards, per inch for spray foam.
+// Batts carry the manufacturer's rated R for each stock thickness rather than R per inch × thickness.
+const PRODUCTS = {
+  'fiberglass-batt': { label: 'Fiberglass batt', kind: 'batt', rPerInch: 3.7, ratings: { 3.5: [13, 15], 5.5: [19, 21], 8.25: [30], 10.25: [38] }, pricePath: 'materials.fiberglass_batt_sf_in', hoursPerSf: 0.01 },
+  'mineral-wool-batt': { label: 'Mineral wool batt', kind: 'batt', rPerInch: 4.2, ratings: { 3.5: [15], 5.5: [23], 7.25: [30] }, pricePath: 'materials.mineral_wool_sf_in', hoursPerSf: 0.012 },
+  cellulose: { label: 'Blown cellulose', kind: 'loose', rPerInch: 3.6, pricePath: 'materials.cellulose_bag', hoursPerSf: 0.005 },
+  'spray-foam': { label: 'Closed-cell spray foam', kind: 'spray', rPerInch: 6.5, pricePath: 'materials.spray_foam_bdft', hoursPerSf: 0.004 },
+  xps: { label: 'XPS board', kind: 'board', rPerInch: 5, thicknesses: [1, 1.5, 2, 3], pricePath: 'materials.xps_sf_in', hoursPerSf: 0.015 },
+  polyiso: { label: 'Polyiso board', kind: 'board', rPerInch: 6, thicknesses: [1, 1.5, 2, 2.5, 3, 4], pricePath: 'materials.polyiso_sf_in', hoursPerSf: 0.015 },
+  eps: { label: 'EPS board', kind: 'board', rPerInch: 4, thicknesses: [1, 2, 3, 4], pricePath: 'materials.eps_sf_in', hoursPerSf: 0.015 }
+};
+
+const ASSEMBLY_COLUMNS = [
+  { key: 'name', label: 'Name', type: 'text', required: true },
+  { key: 'assembly', label: 'Assembly', type: 'select', options: Object.keys(ASSEMBLIES), required: true },
+  { key: 'product', label: 'Product', type: 'select', options: Object.keys(PRODUCTS), required: true },
+  { key: 'quantity', label: 'Area (SF) or slab edge (LF)', type: 'number', min: 1, required: true },
+  { key: 'target_r', label: 'Target R', type: 'number', min: 1, max: 80, required: true },
+  { key: 'cavity_depth_in', label: 'Cavity depth (in)', type: 'number', min: 1, max: 24, default: 5.5 }
+];
+
+function stockSizes(product) {
+  const sizes = product.ratings
+    ? Object.entries(product.ratings).flatMap(([thickness, ratings]) => ratings.map((r) => ({ thicknessIn: Number(thickness), r })))
+    : product.thicknesses.map((thickness) => ({ thicknessIn: thickness, r: thickness * product.rPerInch }));
+  return sizes.sort((a, b) => a.thicknessIn - b.thicknessIn || a.r - b.r);
+}
+
+// Fewest layers first, then the thinnest stock size that reaches the target R within the depth limit.
+function pickThickness(product, targetR, maxLayers, depthLimitIn) {
+  if (!product.thicknesses && !product.ratings) {
+    const thicknessIn = Math.min(roundUp(targetR / product.rPerInch / STEP_IN) * STEP_IN, Math.floor(depthLimitIn / STEP_IN) * STEP_IN);
+    return { thicknessIn, layers: thicknessIn > 0 ? 1 : 0, layerR: thicknessIn * product.rPerInch };
+  }
+  const sizes = stockSizes(product);
+  for (let layers = 1; layers <= maxLayers; layers += 1) {
+    const fit = sizes.find((size) => size.r * layers >= targetR && size.thicknessIn * layers <= depthLimitIn);
+    if (fit) return { thicknessIn: fit.thicknessIn, layers, layerR: fit.r };
+  }
+  let best = { thicknessIn: 0, layers: 0, layerR: 0 };
+  for (let layers = 1; layers <= maxLayers; layers += 1) {
+    for (const size of sizes) {
+      if (size.thicknessIn * layers <= depthLimitIn && size.r * layers > best.layerR * best.layers) best = { thicknessIn: size.thicknessIn, layers, layerR: size.r };
+    }
+  }
+  return best;
+}
+
+export const calculator = {
   id: 'insulation',
   name: 'Insulation Systems',
-  description: 'Evaluate batt, board, and blown-in insulation by R-value and area coverage.'
-});
+  costCode: '07 21 00',
+  defaults: {
+    assemblies: [
+      { name: 'Exterior walls', assembly: 'cavity-wall', product: 'mineral-wool-batt', quantity: 6400, target_r: 21, cavity_depth_in: 5.5 },
+      { name: 'Wall ci', assembly: 'ci-wall', product: 'polyiso', quantity: 6400, target_r: 7.5, cavity_depth_in: null },
+      { name: 'Low-slope roof', assembly: 'roof', product: 'polyiso', quantity: 12000, target_r: 30, cavity_depth_in: null },
+      { name: 'Slab perimeter', assembly: 'slab-edge', product: 'xps', quantity: 460, target_r: 10, cavity_depth_in: null }
+    ],
+    waste_percent: 5,
+    region: 'national'
+  },
+  schema: {
+    assemblies: { type: 'table', columns: ASSEMBLY_COLUMNS, required: true, maxRows: 30 },
+    waste_percent: { type: 'number', min: 0, max: 30, required: true },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = { 'labor.insulation_installer_hr': state.labor_rate };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+    const wasteFactor = 1 + state.waste_percent / 100;
+
+    const assemblies = state.assemblies.map((row) => {
+      const assembly = ASSEMBLIES[row.assembly];
+      const product = PRODUCTS[row.product];
+      const areaSf = row.assembly === 'slab-edge' ? row.quantity * SLAB_EDGE_DEPTH_FT : row.quantity;
+      const requiredIn = row.target_r / product.rPerInch;
+      const depthLimitIn = row.assembly === 'cavity-wall' ? row.cavity_depth_in : Infinity;
+      const { thicknessIn, layers, layerR } = pickThickness(product, row.target_r, assembly.maxLayers, depthLimitIn);
+      const totalIn = thicknessIn * layers;
+      const achievedR = layerR * layers;
+
+      let units = 0;
+      let unit = '';
+      let rate = 0;
+      if (product.kind === 'batt') {
+        units = roundUp((areaSf * layers * wasteFactor) / (BATT_BUNDLE_SF_IN / thicknessIn));
+        unit = 'bundles';
+        rate = BATT_BUNDLE_SF_IN * price(product.pricePath);
+      } else if (product.kind === 'loose') {
+        units = roundUp((areaSf * totalIn * wasteFactor) / BAG_SF_IN);
+        unit = 'bags';
+        rate = price(product.pricePath);
+      } else if (product.kind === 'spray') {
+        units = round(areaSf * totalIn * wasteFactor, 2);
+        unit = 'bd ft';
+        rate = price(product.pricePath);
+      } else {
+        units = roundUp((areaSf * layers * wasteFactor) / BOARD_SF);
+        unit = 'boards';
+        rate = BOARD_SF * thicknessIn * price(product.pricePath);
+      }
+      const laborHours = product.kind === 'spray' ? areaSf * totalIn * product.hoursPerSf : areaSf * Math.max(layers, 1) * product.hoursPerSf;
+
+      return {
+        name: row.name,
+        assembly: row.assembly,
+        product: row.product,
+        quantity: row.quantity,
+        areaSf,
+        targetR: row.target_r,
+        cavityDepthIn: row.assembly === 'cavity-wall' ? row.cavity_depth_in : null,
+        requiredIn,
+        thicknessIn,
+        layers,
+        totalIn,
+        achievedR,
+        short: achievedR < row.target_r,
+        units,
+        unit,
+        rate,
+        laborHours: totalIn > 0 ? laborHours : 0
+      };
+    });
+
+    const lines = [
+      ...assemblies.map((entry) => {
+        const product = PRODUCTS[entry.product];
+        const build = entry.layers > 1 ? `${entry.layers} × ${formatNumber(entry.thicknessIn)} in` : `${formatNumber(entry.thicknessIn)} in`;
+        return createLine({
+          code: entry.assembly === 'roof' ? '07 22 00' : '07 21 00',
+          item: `${entry.name}: ${product.label.toLowerCase()} ${build} (R-${formatNumber(entry.achievedR, { maximumFractionDigits: 1 })})`,
+          quantity: entry.units,
+          unit: entry.unit,
+          rate: entry.rate
+        });
+      }),
+      createLine({
+        code: '07 21 00',
+        item: 'Insulation installation',
+        quantity: round(assemblies.reduce((sum, entry) => sum + entry.laborHours, 0), 2),
+        unit: 'hrs',
+        rate: price('labor.insulation_installer_hr'),
+        bucket: 'labor'
+      })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      assemblies,
+      metrics: {
+        areaSf: assemblies.reduce((sum, entry) => sum + entry.areaSf, 0),
+        shortfalls: assemblies.filter((entry) => entry.short).length
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Insulation Total · ${formatNumber(result.metrics.areaSf, { maximumFractionDigits: 0 })} SF`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    return [
+      {
+        title: 'Assemblies',
+        columns: ['Name', 'Assembly', 'Product', 'Area (SF)', 'Target R', 'Build-up', 'Achieved R', 'Units'],
+        rows: result.assemblies.map((entry) => [
+          entry.name,
+          ASSEMBLIES[entry.assembly].label,
+          PRODUCTS[entry.product].label,
+          fmt(entry.areaSf, 0),
+          fmt(entry.targetR),
+          entry.layers > 1 ? `${entry.layers} × ${fmt(entry.thicknessIn, 2)} in` : `${fmt(entry.thicknessIn, 2)} in`,
+          `${fmt(entry.achievedR)}${entry.short ? ' ⚠' : ''}`,
+          `${fmt(entry.units, 0)} ${entry.unit}`
+        ])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const warnings = result.assemblies
+      .filter((entry) => entry.short)
+      .map((entry) =>
+        entry.assembly === 'cavity-wall'
+          ? `Warning: ${entry.name}: a ${formatNumber(entry.cavityDepthIn)} in cavity of ${PRODUCTS[entry.product].label.toLowerCase()} reaches only R-${formatNumber(entry.achievedR, { maximumFractionDigits: 1 })} of R-${entry.targetR}; add continuous insulation or deepen the studs`
+          : `Warning: ${entry.name}: ${ASSEMBLIES[entry.assembly].maxLayers} layers of ${PRODUCTS[entry.product].label.toLowerCase()} reach only R-${formatNumber(entry.achievedR, { maximumFractionDigits: 1 })} of R-${entry.targetR}`
+      );
+    return [
+      ...warnings,
+      `R per inch: ${Object.values(PRODUCTS).filter((product) => !product.ratings).map((product) => `${product.label.toLowerCase()} ${product.rPerInch}`).join(', ')}`,
+      `Batts use rated R by stock thickness: ${Object.values(PRODUCTS)
+        .filter((product) => product.ratings)
+        .map((product) => `${product.label.toLowerCase()} ${Object.entries(product.ratings).map(([thickness, ratings]) => `${thickness} in R-${ratings.join('/')}`).join(', ')}`)
+        .join('; ')}`,
+      'Thickness is the thinnest stock size (or 0.5 in spray/blown increment) that meets the target with the fewest layers',
+      `Slab edge insulation runs ${SLAB_EDGE_DEPTH_FT} ft deep; boards are 4×8 sheets; ${inputs.waste_percent}% waste on all products`,
+      'Batt bundles and cellulose bags sized by coverage at the selected thickness',
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.assemblies.length} insulation assemblies`,
+      quantity: result.metrics.areaSf,
+      unit: 'sq ft',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const lines = result.assemblies.map((entry) => {
+      const product = PRODUCTS[entry.product];
+      const limit = entry.cavityDepthIn ? ` (cavity ${fmt(entry.cavityDepthIn)} in)` : '';
+      const required = product.ratings ? `from rated ${product.label.toLowerCase()} sizes` : `÷ ${product.rPerInch}/in = ${fmt(entry.requiredIn)} in required`;
+      return `**${entry.name}** R-${fmt(entry.targetR)} ${required}${limit} → ${entry.layers} × ${fmt(entry.thicknessIn)} in = R-${fmt(entry.achievedR, 1)}; ${fmt(entry.units)} ${entry.unit}`;
+    });
+    lines.push(
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('insulation', result.lines, result.totals, calculator.details(result));
+  }
+};
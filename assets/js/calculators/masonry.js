@@ -1,7 +1,298 @@
-import { createStubCalculator } from './_stub.js';
+import { applyWaste, formatCurrency, formatNumber, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const UNITS = {
+  'cmu-6': { label: '6″ CMU (6×8×16)', kind: 'cmu', unitsPerSqFt: 1.125, courseIn: 8, groutSolidCfPerSqFt: 0.167, priceKey: 'cmu_6_ea' },
+  'cmu-8': { label: '8″ CMU (8×8×16)', kind: 'cmu', unitsPerSqFt: 1.125, courseIn: 8, groutSolidCfPerSqFt: 0.258, priceKey: 'cmu_8_ea' },
+  'cmu-12': { label: '12″ CMU (12×8×16)', kind: 'cmu', unitsPerSqFt: 1.125, courseIn: 8, groutSolidCfPerSqFt: 0.42, priceKey: 'cmu_12_ea' },
+  'brick-modular': { label: 'Modular brick', kind: 'brick', unitsPerSqFt: 6.86, courseIn: 8 / 3, groutSolidCfPerSqFt: 0, priceKey: 'brick_modular_ea' },
+  'brick-utility': { label: 'Utility brick', kind: 'brick', unitsPerSqFt: 3, courseIn: 4, groutSolidCfPerSqFt: 0, priceKey: 'brick_utility_ea' }
+};
+
+const BOND_FACTORS = {
+  running: 1,
+  stack: 1,
+  common: 1 + 1 / 6,
+  flemish: 1 + 1 / 3,
+  english: 1.5
+};
+
+const MORTAR_BAGS_PER_100 = { cmu: 3, brick: 0.7 };
+const SAND_TONS_PER_BAG = 0.14;
+const BAR_WEIGHTS = {
+  '#4': { lbPerFt: 0.668, diameterIn: 0.5 },
+  '#5': { lbPerFt: 1.043, diameterIn: 0.625 },
+  '#6': { lbPerFt: 1.502, diameterIn: 0.75 }
+};
+const LAP_DIAMETERS = 48;
+const BAR_STOCK_FT = 20;
+const BOND_BEAM_BARS = 2;
+const JOINT_REINFORCEMENT_LAP_FACTOR = 1.05;
+const LIFT_PRODUCTIVITY_LOSS = 0.05;
+const SCAFFOLD_HOURS_PER_LIFT = 1.5;
+const GROUT_CY_PER_PUMP_DAY = 15;
+const GROUT_PUMP_MIN_CY = 3;
+const HOURS_PER_DAY = 8;
+
+const WALL_COLUMNS = [
+  { key: 'name', label: 'Wall', type: 'text', required: true },
+  { key: 'length_ft', label: 'Length (ft)', type: 'number', min: 1, required: true },
+  { key: 'height_ft', label: 'Height (ft)', type: 'number', min: 1, max: 60, required: true },
+  { key: 'openings_sqft', label: 'Openings (sq ft)', type: 'number', min: 0, default: 0 }
+];
+
+// Header courses only exist in brick; block walls lay one stretcher per face whatever the pattern.
+function bondFactor(bond, unit) {
+  return unit.kind === 'brick' ? BOND_FACTORS[bond] : 1;
+}
+
+function groutedFraction(state, unit, heightFt) {
+  if (unit.kind !== 'cmu' || state.grout === 'none') return 0;
+  if (state.grout === 'solid') return 1;
+  const vertical = Math.min(8 / state.grout_spacing_in, 1);
+  const horizontal = Math.min((state.bond_beam_courses * unit.courseIn) / (heightFt * 12), 1);
+  return vertical + horizontal - vertical * horizontal;
+}
+
+function layWall(wall, state, unit, bar) {
+  const netSqFt = Math.max(wall.length_ft * wall.height_ft - wall.openings_sqft, 0);
+  const units = netSqFt * unit.unitsPerSqFt * bondFactor(state.bond, unit);
+  const fraction = groutedFraction(state, unit, wall.height_ft);
+  const groutCf = netSqFt * unit.groutSolidCfPerSqFt * fraction;
+  const courses = Math.floor((wall.height_ft * 12) / unit.courseIn);
+  const reinforcedJoints = state.joint_reinf_courses > 0 ? Math.floor(courses / state.joint_reinf_courses) : 0;
+  const jointReinforcementLf = reinforcedJoints * wall.length_ft * JOINT_REINFORCEMENT_LAP_FACTOR;
+  const lifts = roundUp(wall.height_ft / state.lift_height_ft);
+
+  let verticalBars = 0;
+  let rebarLf = 0;
+  if (unit.kind === 'cmu' && state.vertical_bar_spacing_in > 0) {
+    const lapFt = (LAP_DIAMETERS * bar.diameterIn) / 12;
+    verticalBars = roundUp((wall.length_ft * 12) / state.vertical_bar_spacing_in) + 1;
+    const bondBeamPieces = roundUp(wall.length_ft / BAR_STOCK_FT);
+    const bondBeamLf = state.bond_beam_courses * BOND_BEAM_BARS * (wall.length_ft + (bondBeamPieces - 1) * lapFt);
+    rebarLf = verticalBars * (wall.height_ft + (lifts - 1) * lapFt) + bondBeamLf;
+  }
+
+  return {
+    name: wall.name,
+    netSqFt,
+    units,
+    courses,
+    groutedFraction: fraction,
+    groutCf,
+    jointReinforcementLf,
+    verticalBars,
+    rebarLf,
+    rebarLb: rebarLf * bar.lbPerFt,
+    lifts
+  };
+}
+
+function total(walls, key) {
+  return walls.reduce((sum, wall) => sum + wall[key], 0);
+}
+
+export const calculator = {
   id: 'masonry',
   name: 'Masonry Systems',
-  description: 'Quantify CMU, brick, mortar, reinforcing, and grout lifts for vertical assemblies.'
-});
+  costCode: '04 20 00',
+  defaults: {
+    walls: [
+      { name: 'Gridline A', length_ft: 120, height_ft: 16, openings_sqft: 84 },
+      { name: 'Gridline 1', length_ft: 60, height_ft: 16, openings_sqft: 0 }
+    ],
+    unit_type: 'cmu-8',
+    bond: 'running',
+    grout: 'partial',
+    grout_spacing_in: 48,
+    bond_beam_courses: 2,
+    bar_size: '#5',
+    vertical_bar_spacing_in: 48,
+    joint_reinf_courses: 2,
+    lift_height_ft: 5,
+    units_per_mason_hour: 18,
+    masons: 3,
+    tenders: 2,
+    waste_percent: 5,
+    region: 'national'
+  },
+  schema: {
+    walls: { type: 'table', columns: WALL_COLUMNS, required: true },
+    unit_type: { type: 'select', options: Object.keys(UNITS), required: true },
+    bond: { type: 'select', options: Object.keys(BOND_FACTORS), required: true },
+    grout: { type: 'select', options: ['solid', 'partial', 'none'], required: true },
+    grout_spacing_in: { type: 'number', min: 16, max: 120, required: true },
+    bond_beam_courses: { type: 'number', min: 0, max: 10, required: true },
+    bar_size: { type: 'select', options: Object.keys(BAR_WEIGHTS), required: true },
+    vertical_bar_spacing_in: { type: 'number', min: 0, max: 120, required: true },
+    joint_reinf_courses: { type: 'number', min: 0, max: 6, required: true },
+    lift_height_ft: { type: 'number', min: 2, max: 13, required: true },
+    units_per_mason_hour: { type: 'number', min: 1, required: true },
+    masons: { type: 'number', min: 1, max: 20, required: true },
+    tenders: { type: 'number', min: 0, max: 20, required: true },
+    waste_percent: { type: 'number', min: 0, max: 50, required: true },
+    unit_price: { type: 'number', min: 0, required: false },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const unit = UNITS[state.unit_type];
+    const bar = BAR_WEIGHTS[state.bar_size];
+    const overrides = {
+      [`materials.${unit.priceKey}`]: state.unit_price,
+      'labor.mason_hr': state.labor_rate
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+    const headerBondIgnored = unit.kind !== 'brick' && BOND_FACTORS[state.bond] > 1;
+    const bond = headerBondIgnored ? 'running' : state.bond;
+
+    const walls = state.walls.map((wall) => layWall(wall, state, unit, bar));
+    const netSqFt = total(walls, 'netSqFt');
+    const units = roundUp(applyWaste(total(walls, 'units'), state.waste_percent));
+    const mortarBags = roundUp((units / 100) * MORTAR_BAGS_PER_100[unit.kind]);
+    const sandTons = mortarBags * SAND_TONS_PER_BAG;
+    const groutCy = applyWaste(total(walls, 'groutCf') / 27, state.waste_percent);
+    const pumpDays = groutCy >= GROUT_PUMP_MIN_CY ? roundUp(groutCy / GROUT_CY_PER_PUMP_DAY) : 0;
+    const jointReinforcementLf = total(walls, 'jointReinforcementLf');
+    const rebarLb = total(walls, 'rebarLb');
+    const lifts = total(walls, 'lifts');
+
+    // Masons set the pace; tenders support them and add cost without laying units.
+    const unitsPerCrewHour = state.masons * state.units_per_mason_hour;
+    const layingHours = walls.reduce(
+      (sum, wall) => sum + (wall.units / unitsPerCrewHour) * (1 + LIFT_PRODUCTIVITY_LOSS * (wall.lifts - 1)),
+      0
+    );
+    const crewHours = layingHours + lifts * SCAFFOLD_HOURS_PER_LIFT;
+    const crewDays = crewHours / HOURS_PER_DAY;
+    const crewRate = state.masons * price('labor.mason_hr') + state.tenders * price('labor.mason_tender_hr');
+
+    const code = unit.kind === 'cmu' ? '04 22 00' : '04 21 00';
+    const lines = [
+      createLine({ code, item: `${unit.label}, ${bond} bond`, quantity: units, unit: 'units', rate: price(`materials.${unit.priceKey}`) }),
+      createLine({ code: '04 05 13', item: 'Masonry cement (70 lb)', quantity: mortarBags, unit: 'bags', rate: price('materials.masonry_cement_bag') }),
+      createLine({ code: '04 05 13', item: 'Mortar sand', quantity: sandTons, unit: 'tons', rate: price('materials.mortar_sand_ton') }),
+      createLine({ code: '04 05 16', item: `Grout (${state.grout})`, quantity: groutCy, unit: 'CY', rate: price('materials.masonry_grout_cy') }),
+      createLine({ code: '04 05 19', item: 'Horizontal joint reinforcement', quantity: jointReinforcementLf, unit: 'LF', rate: price('materials.joint_reinforcement_lf') }),
+      createLine({ code: '04 05 19', item: `${state.bar_size} reinforcing bar`, quantity: rebarLb, unit: 'lb', rate: price('materials.rebar_lb') }),
+      createLine({ code, item: `Mason crew (${state.masons} masons + ${state.tenders} tenders)`, quantity: crewHours, unit: 'crew hrs', rate: crewRate, bucket: 'labor' }),
+      createLine({ code: '04 05 16', item: 'Grout pump', quantity: pumpDays, unit: 'days', rate: price('equipment.grout_pump_day'), bucket: 'equipment' })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      unit,
+      bond,
+      headerBondIgnored,
+      walls,
+      metrics: {
+        netSqFt,
+        units,
+        mortarBags,
+        sandTons,
+        groutCy,
+        pumpDays,
+        jointReinforcementLf,
+        rebarLb,
+        lifts,
+        unitsPerCrewHour,
+        layingHours,
+        crewHours,
+        crewDays,
+        crewRate
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Masonry Total · ${formatNumber(result.metrics.units, { maximumFractionDigits: 0 })} units`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    return [
+      {
+        title: 'Per-wall breakdown',
+        columns: ['Wall', 'Net area (sq ft)', 'Units', 'Grouted', 'Grout (cu ft)', 'Joint reinf. (LF)', 'Rebar (lb)', 'Lifts'],
+        rows: result.walls.map((wall) => [
+          wall.name,
+          fmt(wall.netSqFt, 0),
+          fmt(wall.units, 0),
+          `${fmt(wall.groutedFraction * 100, 0)}%`,
+          fmt(wall.groutCf),
+          fmt(wall.jointReinforcementLf, 0),
+          fmt(wall.rebarLb, 0),
+          wall.lifts
+        ])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs, unit } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const cmu = unit.kind === 'cmu';
+    return [
+      ...(result.headerBondIgnored ? [`Warning: ${inputs.bond} bond needs brick headers; ${unit.label} is counted in running bond with no header units`] : []),
+      `${unit.label}: ${unit.unitsPerSqFt} units/sq ft × ${formatNumber(bondFactor(result.bond, unit), { maximumFractionDigits: 3 })} for ${result.bond} bond`,
+      `Mortar ${MORTAR_BAGS_PER_100[unit.kind]} bags masonry cement per 100 units with ${SAND_TONS_PER_BAG} ton sand per bag`,
+      cmu
+        ? inputs.grout === 'partial'
+          ? `Partial grout: cells at ${inputs.grout_spacing_in}″ o.c. plus ${inputs.bond_beam_courses} bond beam course(s); solid grout ${unit.groutSolidCfPerSqFt} cu ft/sq ft`
+          : `${inputs.grout === 'solid' ? 'Solid' : 'No'} grout; solid grout ${unit.groutSolidCfPerSqFt} cu ft/sq ft`
+        : 'Brick treated as single-wythe veneer: no grout or reinforcing bars',
+      ...(cmu && inputs.vertical_bar_spacing_in > 0
+        ? [`${inputs.bar_size} verticals at ${inputs.vertical_bar_spacing_in}″ o.c. lapped ${LAP_DIAMETERS} bar diameters at each lift; ${BOND_BEAM_BARS} bars per bond beam`]
+        : []),
+      inputs.joint_reinf_courses > 0 ? `Joint reinforcement every ${inputs.joint_reinf_courses} course(s) with 5% laps` : 'No horizontal joint reinforcement',
+      `${inputs.lift_height_ft} ft lifts: ${LIFT_PRODUCTIVITY_LOSS * 100}% productivity loss per lift above the first plus ${SCAFFOLD_HOURS_PER_LIFT} crew hrs per scaffold lift`,
+      `Crew of ${inputs.masons} masons at ${inputs.units_per_mason_hour} units/hr each lays ${formatNumber(result.metrics.unitsPerCrewHour, { maximumFractionDigits: 1 })} units/hr; about ${formatNumber(result.metrics.crewDays, { maximumFractionDigits: 1 })} ${HOURS_PER_DAY}-hr crew days`,
+      `Waste factor ${inputs.waste_percent}% applied to units and grout`,
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.unit.label}, ${formatNumber(result.metrics.netSqFt, { maximumFractionDigits: 0 })} sq ft wall`,
+      quantity: result.metrics.netSqFt,
+      unit: 'sq ft',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost,
+      costCode: result.unit.kind === 'cmu' ? '04 22 00' : '04 21 00'
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics, unit } = result;
+    const lines = state.walls.map((wall, index) => {
+      const laid = result.walls[index];
+      return `**${wall.name}** net = ${wall.length_ft} × ${wall.height_ft} − ${wall.openings_sqft} = ${fmt(laid.netSqFt)} sq ft; units = ${fmt(laid.netSqFt)} × ${unit.unitsPerSqFt} × ${fmt(bondFactor(result.bond, unit), 3)} = ${fmt(laid.units)}; grout = ${fmt(laid.netSqFt)} × ${unit.groutSolidCfPerSqFt} × ${fmt(laid.groutedFraction, 3)} = ${fmt(laid.groutCf)} cu ft; ${laid.lifts} lift(s)`;
+    });
+    lines.push(
+      `Units with ${state.waste_percent}% waste = ${fmt(metrics.units, 0)}`,
+      `Mortar = ${fmt(metrics.units, 0)} ÷ 100 × ${MORTAR_BAGS_PER_100[unit.kind]} = ${metrics.mortarBags} bags`,
+      `Grout = Σ cu ft ÷ 27 + ${state.waste_percent}% = ${fmt(metrics.groutCy)} CY`,
+      `Laying hours = Σ units ÷ (${state.masons} masons × ${state.units_per_mason_hour}) × (1 + ${LIFT_PRODUCTIVITY_LOSS} × (lifts − 1)) = ${fmt(metrics.layingHours)}; + ${metrics.lifts} lifts × ${SCAFFOLD_HOURS_PER_LIFT} = ${fmt(metrics.crewHours)} crew hrs`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('masonry', result.lines, result.totals, calculator.details(result));
+  }
+};
@@ -1,7 +1,258 @@
-import { createStubCalculator } from './_stub.js';
+import { applyWaste, formatCurrency, formatNumber, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const SUBSTRATES = {
+  drywall: { primer: 300, finish: 375 },
+  plaster: { primer: 300, finish: 350 },
+  masonry: { primer: 150, finish: 200 },
+  wood: { primer: 300, finish: 350 },
+  metal: { primer: 350, finish: 400 }
+};
+
+const SURFACES = {
+  wall: { unit: 'sq ft', sqftPerUnit: 1, perHour: 175, product: 'interior' },
+  ceiling: { unit: 'sq ft', sqftPerUnit: 1, perHour: 140, product: 'interior' },
+  door: { unit: 'doors', sqftPerUnit: 42, perHour: 1.2, product: 'enamel' },
+  trim: { unit: 'LF', sqftPerUnit: 0.5, perHour: 90, product: 'enamel' },
+  siding: { unit: 'sq ft', sqftPerUnit: 1.15, perHour: 120, product: 'exterior' }
+};
+
+const PRODUCTS = {
+  primer: { label: 'Primer', code: '09 91 00', path: 'primer', overrideField: 'primer_price_gal' },
+  interior: { label: 'Interior wall & ceiling paint', code: '09 91 23', path: 'paint_interior', overrideField: 'interior_price_gal' },
+  enamel: { label: 'Door & trim enamel', code: '09 91 23', path: 'paint_enamel', overrideField: 'enamel_price_gal' },
+  exterior: { label: 'Exterior siding paint', code: '09 91 13', path: 'paint_exterior', overrideField: 'exterior_price_gal' }
+};
+
+const PREP_LEVELS = {
+  none: { hoursPer100: 0 },
+  light: { hoursPer100: 0.25 },
+  heavy: { hoursPer100: 0.75 }
+};
+
+const PAIL_GAL = 5;
+
+const SURFACE_COLUMNS = [
+  { key: 'name', label: 'Surface', type: 'text', required: true },
+  { key: 'surface', label: 'Type', type: 'select', options: Object.keys(SURFACES), required: true },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 0.1, required: true },
+  { key: 'substrate', label: 'Substrate', type: 'select', options: Object.keys(SUBSTRATES), default: 'drywall' },
+  { key: 'primer', label: 'Primer', type: 'select', options: ['yes', 'no'], default: 'yes' },
+  { key: 'coats', label: 'Finish coats', type: 'number', min: 1, max: 3, default: 2 },
+  { key: 'prep', label: 'Prep', type: 'select', options: Object.keys(PREP_LEVELS), default: 'light' }
+];
+
+function takeoffSurface(entry) {
+  const surface = SURFACES[entry.surface];
+  const rates = SUBSTRATES[entry.substrate];
+  const prep = PREP_LEVELS[entry.prep];
+  const areaSqFt = entry.quantity * surface.sqftPerUnit;
+  const primed = entry.primer === 'yes';
+  const primerGal = primed ? areaSqFt / rates.primer : 0;
+  const finishGal = (areaSqFt * entry.coats) / rates.finish;
+  const paintHours = (entry.quantity * (entry.coats + (primed ? 1 : 0))) / surface.perHour;
+  const prepHours = (areaSqFt / 100) * prep.hoursPer100;
+  return {
+    name: entry.name,
+    surface: entry.surface,
+    unit: surface.unit,
+    quantity: entry.quantity,
+    substrate: entry.substrate,
+    product: surface.product,
+    coats: entry.coats,
+    areaSqFt,
+    primerGal,
+    finishGal,
+    prep: entry.prep,
+    paintHours,
+    prepHours
+  };
+}
+
+function containersFor(gallons, gallonPrice, pailPrice) {
+  let pails = Math.floor(gallons / PAIL_GAL);
+  let cans = roundUp(gallons - pails * PAIL_GAL);
+  if (cans * gallonPrice > pailPrice) {
+    pails += 1;
+    cans = 0;
+  }
+  return { pails, cans, purchasedGal: pails * PAIL_GAL + cans };
+}
+
+export const calculator = {
   id: 'paint-coatings',
   name: 'Paint & Coatings',
-  description: 'Evaluate substrate prep, primer, and finish coats across interior and exterior scopes.'
-});
+  costCode: '09 91 00',
+  defaults: {
+    surfaces: [
+      { name: 'Office walls', surface: 'wall', quantity: 2400, substrate: 'drywall', primer: 'yes', coats: 2, prep: 'light' },
+      { name: 'Office ceilings', surface: 'ceiling', quantity: 900, substrate: 'drywall', primer: 'no', coats: 2, prep: 'none' },
+      { name: 'Interior doors', surface: 'door', quantity: 12, substrate: 'wood', primer: 'yes', coats: 2, prep: 'light' },
+      { name: 'Base and casing', surface: 'trim', quantity: 420, substrate: 'wood', primer: 'no', coats: 2, prep: 'light' },
+      { name: 'Lap siding', surface: 'siding', quantity: 1800, substrate: 'wood', primer: 'yes', coats: 2, prep: 'heavy' }
+    ],
+    waste_percent: 10,
+    region: 'national'
+  },
+  schema: {
+    surfaces: { type: 'table', columns: SURFACE_COLUMNS, required: true },
+    waste_percent: { type: 'number', min: 0, max: 50, required: true },
+    primer_price_gal: { type: 'number', min: 0, required: false },
+    interior_price_gal: { type: 'number', min: 0, required: false },
+    enamel_price_gal: { type: 'number', min: 0, required: false },
+    exterior_price_gal: { type: 'number', min: 0, required: false },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = {
+      ...Object.fromEntries(Object.values(PRODUCTS).map((product) => [`materials.${product.path}_gal`, state[product.overrideField]])),
+      'labor.painter_hr': state.labor_rate
+    };
+    // An overridden gallon price carries the pail at the regional pail-to-gallon ratio so bulk pricing still applies.
+    const containerPrices = (key) => {
+      const gallon = resolvePrice(`materials.${PRODUCTS[key].path}_gal`, {}, state.region).value;
+      const pail = resolvePrice(`materials.${PRODUCTS[key].path}_5gal`, {}, state.region).value;
+      const override = state[PRODUCTS[key].overrideField];
+      if (override !== null && override !== undefined) {
+        return { gallon: override, pail: (override * pail) / gallon };
+      }
+      return { gallon, pail };
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const surfaces = state.surfaces.map(takeoffSurface);
+    const required = Object.fromEntries(Object.keys(PRODUCTS).map((key) => [key, 0]));
+    for (const surface of surfaces) {
+      required.primer += surface.primerGal;
+      required[surface.product] += surface.finishGal;
+    }
+
+    const products = Object.entries(required)
+      .filter(([, gallons]) => gallons > 0)
+      .map(([key, gallons]) => {
+        const neededGal = applyWaste(gallons, state.waste_percent);
+        const prices = containerPrices(key);
+        return { key, ...PRODUCTS[key], neededGal, prices, ...containersFor(neededGal, prices.gallon, prices.pail) };
+      });
+
+    const areaSqFt = surfaces.reduce((total, surface) => total + surface.areaSqFt, 0);
+    const prepSqFt = { light: 0, heavy: 0 };
+    for (const surface of surfaces) {
+      if (surface.prep in prepSqFt) prepSqFt[surface.prep] += surface.areaSqFt;
+    }
+    const paintHours = surfaces.reduce((total, surface) => total + surface.paintHours, 0);
+    const prepHours = surfaces.reduce((total, surface) => total + surface.prepHours, 0);
+    const laborHours = paintHours + prepHours;
+
+    const lines = [
+      ...products.flatMap((product) => [
+        createLine({ code: product.code, item: `${product.label} (5 gal)`, quantity: product.pails, unit: 'pails', rate: product.prices.pail }),
+        createLine({ code: product.code, item: `${product.label} (1 gal)`, quantity: product.cans, unit: 'gal', rate: product.prices.gallon })
+      ]),
+      ...Object.entries(prepSqFt).map(([level, sqft]) =>
+        createLine({ code: '09 91 00', item: `Prep sundries, ${level} (caulk, patch, abrasives)`, quantity: sqft, unit: 'sq ft', rate: price(`materials.paint_sundries_${level}_sqft`) })
+      ),
+      createLine({ code: '09 91 00', item: 'Painter labor', quantity: laborHours, unit: 'hrs', rate: price('labor.painter_hr'), bucket: 'labor' })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      surfaces,
+      products,
+      metrics: {
+        areaSqFt,
+        neededGal: products.reduce((total, product) => total + product.neededGal, 0),
+        purchasedGal: products.reduce((total, product) => total + product.purchasedGal, 0),
+        prepSqFt,
+        paintHours,
+        prepHours,
+        laborHours
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Paint Total · ${formatNumber(result.metrics.purchasedGal, { maximumFractionDigits: 0 })} gal`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    return [
+      {
+        title: 'Per-surface breakdown',
+        columns: ['Surface', 'Quantity', 'Substrate', 'Area (sq ft)', 'Primer (gal)', 'Finish (gal)', 'Hours'],
+        rows: result.surfaces.map((surface) => [
+          surface.name,
+          `${fmt(surface.quantity)} ${surface.unit}`,
+          surface.substrate,
+          fmt(surface.areaSqFt, 0),
+          fmt(surface.primerGal),
+          fmt(surface.finishGal),
+          fmt(surface.paintHours + surface.prepHours)
+        ])
+      },
+      {
+        title: 'Container purchase list',
+        columns: ['Product', 'Needed (gal)', '5 gal pails', '1 gal cans', 'Purchased (gal)'],
+        rows: result.products.map((product) => [product.label, fmt(product.neededGal), product.pails, product.cans, product.purchasedGal])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const substrates = [...new Set(result.surfaces.map((surface) => surface.substrate))];
+    return [
+      `Spread rates (primer / finish sq ft per gal): ${substrates.map((key) => `${key} ${SUBSTRATES[key].primer}/${SUBSTRATES[key].finish}`).join(', ')}`,
+      `Doors ${SURFACES.door.sqftPerUnit} sq ft each (both faces and frame); trim ${SURFACES.trim.sqftPerUnit} sq ft per LF; siding +${Math.round((SURFACES.siding.sqftPerUnit - 1) * 100)}% for lap profile`,
+      `Prep allowance per 100 sq ft: light ${PREP_LEVELS.light.hoursPer100} hr, heavy ${PREP_LEVELS.heavy.hoursPer100} hr`,
+      `Waste factor ${inputs.waste_percent}% applied to gallons before rounding to ${PAIL_GAL} gal pails and 1 gal cans`,
+      'Leftover gallons roll into a pail whenever it is cheaper than the equivalent single cans',
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${state.surfaces.length} surface(s), ${formatNumber(result.metrics.purchasedGal, { maximumFractionDigits: 0 })} gal`,
+      quantity: result.metrics.areaSqFt,
+      unit: 'sq ft',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const lines = state.surfaces.map((entry, index) => {
+      const surface = result.surfaces[index];
+      const rates = SUBSTRATES[entry.substrate];
+      const primer = surface.primerGal > 0 ? `primer ${fmt(surface.areaSqFt)} ÷ ${rates.primer} = ${fmt(surface.primerGal)} gal; ` : '';
+      return `**${entry.name}** area = ${fmt(entry.quantity)} ${surface.unit} × ${SURFACES[entry.surface].sqftPerUnit} = ${fmt(surface.areaSqFt)} sq ft; ${primer}finish ${fmt(surface.areaSqFt)} × ${entry.coats} ÷ ${rates.finish} = ${fmt(surface.finishGal)} gal`;
+    });
+    lines.push(
+      ...result.products.map((product) => `${product.label}: ${fmt(product.neededGal)} gal with ${state.waste_percent}% waste → ${product.pails} × 5 gal + ${product.cans} × 1 gal`),
+      `Painting hours = Σ quantity × (coats + primer) ÷ production rate = ${fmt(result.metrics.paintHours)}`,
+      `Prep hours = Σ area ÷ 100 × prep allowance = ${fmt(result.metrics.prepHours)}`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('paint-coatings', result.lines, result.totals, calculator.details(result));
+  }
+};
@@ -1,7 +1,256 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const CARRIER_HOURS = 2;
+const MAIN_HOURS_PER_LF = 0.35;
+
+// DFU per IPC Table 709.1; WSFU per IPC Table E103.3(2), public occupancy.
+const FIXTURES = {
+  'wc-valve': { label: 'Water closet, flush valve', dfu: 4, wsfu: 10, carrier: true, pricePath: 'materials.fixture_wc_valve_ea', roughHours: 6, setHours: 2.5, dwvLf: 15, waterLf: 10 },
+  'wc-tank': { label: 'Water closet, flush tank', dfu: 4, wsfu: 5, carrier: true, pricePath: 'materials.fixture_wc_tank_ea', roughHours: 5, setHours: 2, dwvLf: 15, waterLf: 10 },
+  urinal: { label: 'Urinal, flush valve', dfu: 2, wsfu: 5, carrier: true, pricePath: 'materials.fixture_urinal_ea', roughHours: 5, setHours: 2, dwvLf: 12, waterLf: 10 },
+  lavatory: { label: 'Lavatory', dfu: 1, wsfu: 2, carrier: true, pricePath: 'materials.fixture_lavatory_ea', roughHours: 4, setHours: 1.5, dwvLf: 10, waterLf: 16 },
+  'kitchen-sink': { label: 'Kitchen sink', dfu: 2, wsfu: 4, carrier: false, pricePath: 'materials.fixture_kitchen_sink_ea', roughHours: 4, setHours: 2, dwvLf: 10, waterLf: 16 },
+  'service-sink': { label: 'Service sink', dfu: 3, wsfu: 3, carrier: false, pricePath: 'materials.fixture_service_sink_ea', roughHours: 5, setHours: 2.5, dwvLf: 12, waterLf: 16 },
+  shower: { label: 'Shower', dfu: 2, wsfu: 4, carrier: false, pricePath: 'materials.fixture_shower_ea', roughHours: 6, setHours: 4, dwvLf: 10, waterLf: 16 },
+  bathtub: { label: 'Bathtub', dfu: 2, wsfu: 4, carrier: false, pricePath: 'materials.fixture_bathtub_ea', roughHours: 6, setHours: 4, dwvLf: 10, waterLf: 16 },
+  'drinking-fountain': { label: 'Drinking fountain', dfu: 0.5, wsfu: 0.25, carrier: true, pricePath: 'materials.fixture_drinking_fountain_ea', roughHours: 4, setHours: 2.5, dwvLf: 10, waterLf: 10 },
+  'floor-drain': { label: 'Floor drain', dfu: 2, wsfu: 0, carrier: false, pricePath: 'materials.fixture_floor_drain_ea', roughHours: 3, setHours: 0.5, dwvLf: 15, waterLf: 0 },
+  'clothes-washer': { label: 'Clothes washer box', dfu: 3, wsfu: 4, carrier: false, pricePath: 'materials.fixture_washer_box_ea', roughHours: 4, setHours: 0.5, dwvLf: 10, waterLf: 16 }
+};
+
+// Building drain capacity in DFU by slope, IPC Table 710.1(1).
+const DRAIN_SIZES = [
+  { sizeIn: 3, '1/8': 36, '1/4': 42 },
+  { sizeIn: 4, '1/8': 180, '1/4': 216 },
+  { sizeIn: 5, '1/8': 390, '1/4': 480 },
+  { sizeIn: 6, '1/8': 700, '1/4': 840 },
+  { sizeIn: 8, '1/8': 1600, '1/4': 1920 },
+  { sizeIn: 10, '1/8': 2900, '1/4': 3500 },
+  { sizeIn: 12, '1/8': 4600, '1/4': 5600 }
+];
+
+// Water main capacity in WSFU: Hunter's curve demand at ~8 fps in type L copper, 46–60 psi.
+const MAIN_SIZES = [
+  { sizeIn: 0.75, label: '3/4', wsfu: 10 },
+  { sizeIn: 1, label: '1', wsfu: 20 },
+  { sizeIn: 1.25, label: '1-1/4', wsfu: 45 },
+  { sizeIn: 1.5, label: '1-1/2', wsfu: 80 },
+  { sizeIn: 2, label: '2', wsfu: 200 },
+  { sizeIn: 2.5, label: '2-1/2', wsfu: 380 },
+  { sizeIn: 3, label: '3', wsfu: 650 },
+  { sizeIn: 4, label: '4', wsfu: 1600 },
+  { sizeIn: 6, label: '6', wsfu: 4000 }
+];
+
+const FIXTURE_COLUMNS = [
+  { key: 'type', label: 'Fixture', type: 'select', options: Object.keys(FIXTURES), required: true },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 1, required: true },
+  { key: 'mounting', label: 'Mounting', type: 'select', options: ['floor', 'wall'], default: 'floor' }
+];
+
+export const calculator = {
   id: 'plumbing-fixtures',
   name: 'Plumbing Fixtures & Piping',
-  description: 'Count fixtures, carrier rough-ins, and PEX/Copper distribution for domestic water systems.'
-});
+  costCode: '22 40 00',
+  defaults: {
+    fixtures: [
+      { type: 'wc-valve', quantity: 8, mounting: 'wall' },
+      { type: 'urinal', quantity: 3, mounting: 'wall' },
+      { type: 'lavatory', quantity: 10, mounting: 'wall' },
+      { type: 'kitchen-sink', quantity: 2, mounting: 'floor' },
+      { type: 'service-sink', quantity: 2, mounting: 'floor' },
+      { type: 'drinking-fountain', quantity: 2, mounting: 'wall' },
+      { type: 'floor-drain', quantity: 6, mounting: 'floor' }
+    ],
+    drain_slope: '1/4',
+    building_drain_lf: 80,
+    water_service_lf: 60,
+    region: 'national'
+  },
+  schema: {
+    fixtures: { type: 'table', columns: FIXTURE_COLUMNS, required: true, maxRows: 50 },
+    drain_slope: { type: 'select', options: ['1/8', '1/4'], required: true },
+    building_drain_lf: { type: 'number', min: 0, max: 2000, required: true },
+    water_service_lf: { type: 'number', min: 0, max: 2000, required: true },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = { 'labor.plumber_hr': state.labor_rate };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const byType = new Map();
+    for (const row of state.fixtures) {
+      const fixture = FIXTURES[row.type];
+      const entry = byType.get(row.type) ?? { type: row.type, label: fixture.label, quantity: 0, carriers: 0 };
+      entry.quantity += row.quantity;
+      if (row.mounting === 'wall' && fixture.carrier) entry.carriers += row.quantity;
+      byType.set(row.type, entry);
+    }
+    const fixtures = [...byType.values()].map((entry) => {
+      const fixture = FIXTURES[entry.type];
+      return {
+        ...entry,
+        dfu: entry.quantity * fixture.dfu,
+        wsfu: entry.quantity * fixture.wsfu,
+        roughHours: entry.quantity * fixture.roughHours,
+        setHours: entry.quantity * fixture.setHours,
+        dwvLf: entry.quantity * fixture.dwvLf,
+        waterLf: entry.quantity * fixture.waterLf
+      };
+    });
+    const wallWithoutCarrier = state.fixtures.filter((row) => row.mounting === 'wall' && !FIXTURES[row.type].carrier);
+
+    const sum = (key) => fixtures.reduce((total, fixture) => total + fixture[key], 0);
+    const fixtureCount = sum('quantity');
+    const carriers = sum('carriers');
+    const dfu = sum('dfu');
+    const wsfu = sum('wsfu');
+    const dwvLf = sum('dwvLf');
+    const waterLf = sum('waterLf');
+    const drain = DRAIN_SIZES.find((size) => size[state.drain_slope] >= dfu) ?? null;
+    const main = MAIN_SIZES.find((size) => size.wsfu >= wsfu) ?? null;
+    const drainSizeIn = (drain ?? DRAIN_SIZES[DRAIN_SIZES.length - 1]).sizeIn;
+    const mainSize = main ?? MAIN_SIZES[MAIN_SIZES.length - 1];
+    const plumberRate = price('labor.plumber_hr');
+
+    const lines = [
+      ...fixtures.map((fixture) =>
+        createLine({ code: '22 42 00', item: fixture.label, quantity: fixture.quantity, unit: 'ea', rate: price(FIXTURES[fixture.type].pricePath) })
+      ),
+      createLine({ code: '22 42 00', item: 'Rough-in material allowance', quantity: fixtureCount, unit: 'ea', rate: price('materials.plumbing_rough_in_ea') }),
+      createLine({ code: '22 42 00', item: 'Fixture carriers', quantity: carriers, unit: 'ea', rate: price('materials.fixture_carrier_ea') }),
+      createLine({ code: '22 13 16', item: 'Waste and vent piping', quantity: dwvLf, unit: 'LF', rate: price('materials.dwv_pipe_lf') }),
+      createLine({ code: '22 11 16', item: 'Domestic water piping', quantity: waterLf, unit: 'LF', rate: price('materials.domestic_water_pipe_lf') }),
+      createLine({ code: '22 13 16', item: `Building drain (${drainSizeIn} in)`, quantity: state.building_drain_lf, unit: 'LF', rate: price('materials.building_drain_lf_per_in') * drainSizeIn }),
+      createLine({ code: '22 11 16', item: `Water main (${mainSize.label} in)`, quantity: state.water_service_lf, unit: 'LF', rate: price('materials.water_main_lf_per_in') * mainSize.sizeIn }),
+      createLine({ code: '22 42 00', item: 'Rough-in labor', quantity: sum('roughHours'), unit: 'hrs', rate: plumberRate, bucket: 'labor' }),
+      createLine({ code: '22 42 00', item: 'Fixture setting labor', quantity: sum('setHours'), unit: 'hrs', rate: plumberRate, bucket: 'labor' }),
+      createLine({ code: '22 42 00', item: 'Carrier installation', quantity: carriers * CARRIER_HOURS, unit: 'hrs', rate: plumberRate, bucket: 'labor' }),
+      createLine({
+        code: '22 13 16',
+        item: 'Building drain and water main labor',
+        quantity: round((state.building_drain_lf + state.water_service_lf) * MAIN_HOURS_PER_LF, 2),
+        unit: 'hrs',
+        rate: plumberRate,
+        bucket: 'labor'
+      })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      fixtures,
+      metrics: {
+        fixtureCount,
+        carriers,
+        dfu,
+        wsfu,
+        dwvLf,
+        waterLf,
+        drainSizeIn,
+        mainSize,
+        drainOversized: !drain,
+        mainOversized: !main,
+        wallWithoutCarrier: wallWithoutCarrier.map((row) => FIXTURES[row.type].label)
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Plumbing Total · ${result.metrics.fixtureCount} fixtures, ${formatNumber(result.metrics.dfu)} DFU`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    return [
+      {
+        title: 'Fixture schedule',
+        columns: ['Fixture', 'Qty', 'Carriers', 'DFU', 'WSFU', 'DWV LF', 'Water LF'],
+        rows: result.fixtures.map((fixture) => [
+          fixture.label,
+          fixture.quantity,
+          fixture.carriers,
+          fmt(fixture.dfu),
+          fmt(fixture.wsfu),
+          fmt(fixture.dwvLf, 0),
+          fmt(fixture.waterLf, 0)
+        ])
+      },
+      {
+        title: 'Main sizing',
+        columns: ['Item', 'Load', 'Size'],
+        rows: [
+          [`Building drain @ ${result.inputs.drain_slope} in/ft`, `${fmt(metrics.dfu)} DFU`, `${metrics.drainSizeIn} in`],
+          ['Water main', `${fmt(metrics.wsfu)} WSFU`, `${metrics.mainSize.label} in`]
+        ]
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs, metrics } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const warnings = [];
+    if (metrics.drainOversized) {
+      warnings.push(`Warning: ${formatNumber(metrics.dfu)} DFU exceeds the drain table; priced at ${metrics.drainSizeIn} in—engineer the building drain`);
+    }
+    if (metrics.mainOversized) {
+      warnings.push(`Warning: ${formatNumber(metrics.wsfu)} WSFU exceeds the water main table; priced at ${metrics.mainSize.label} in—engineer the service`);
+    }
+    if (metrics.wallWithoutCarrier.length) {
+      warnings.push(`Wall mounting ignored for ${[...new Set(metrics.wallWithoutCarrier)].join(', ').toLowerCase()}; no carrier applies`);
+    }
+    return [
+      ...warnings,
+      'DFU per IPC Table 709.1; WSFU per IPC Table E103.3(2) for public fixtures',
+      `Building drain sized from IPC Table 710.1(1) at ${inputs.drain_slope} in/ft slope`,
+      "Water main sized from Hunter's curve demand at ~8 fps in type L copper, 46–60 psi",
+      'Wall-hung water closets, urinals, lavatories, and fountains each get a carrier',
+      'DWV and domestic water piping are per-fixture LF allowances; rough-in and setting labor per fixture',
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.metrics.fixtureCount} fixtures, ${result.metrics.drainSizeIn} in drain, ${result.metrics.mainSize.label} in water main`,
+      quantity: result.metrics.fixtureCount,
+      unit: 'fixtures',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    const lines = result.fixtures.map((fixture) => {
+      const unit = FIXTURES[fixture.type];
+      return `**${fixture.label}** ${fixture.quantity} × ${fmt(unit.dfu)} DFU = ${fmt(fixture.dfu)}; ${fixture.quantity} × ${fmt(unit.wsfu)} WSFU = ${fmt(fixture.wsfu)}`;
+    });
+    lines.push(
+      `Total = ${fmt(metrics.dfu)} DFU, ${fmt(metrics.wsfu)} WSFU`,
+      `**Drain lookup** (IPC 710.1(1) @ ${state.drain_slope} in/ft): ${DRAIN_SIZES.map((size) => `${size.sizeIn} in ≤ ${size[state.drain_slope]}`).join(', ')} → ${metrics.drainSizeIn} in`,
+      `**Water main lookup** (WSFU): ${MAIN_SIZES.map((size) => `${size.label} in ≤ ${size.wsfu}`).join(', ')} → ${metrics.mainSize.label} in`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('plumbing-fixtures', result.lines, result.totals, calculator.details(result));
+  }
+};
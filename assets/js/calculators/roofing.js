@@ -1,7 +1,300 @@
-import { createStubCalculator } from './_stub.js';
+import { applyWaste, formatCurrency, formatNumber, inchesToFeet, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const SYSTEM_LABELS = { steep: 'Steep-slope shingle', low: 'Low-slope membrane' };
+const STYLE_LABELS = { gable: 'Gable', hip: 'Hip' };
+
+const SHINGLE_BUNDLES_PER_SQUARE = 3;
+const UNDERLAYMENT_ROLL_SQFT = 1000;
+const ICE_WATER_ROLL_SQFT = 200;
+const ICE_WATER_COURSE_FT = 3;
+const LAP_ALLOWANCE_PERCENT = 10;
+const RIDGE_CAP_LF_PER_BUNDLE = 33;
+const STARTER_LF_PER_BUNDLE = 105;
+const MEMBRANE_ROLL_LENGTH_FT = 100;
+const MEMBRANE_ROLL_WIDTH_FT = 10;
+const MEMBRANE_SIDE_LAP_FT = 0.5;
+const INSULATION_BOARD_SQFT = 32;
+// Asphalt shingles are not rated below 2/12 and need two plies of underlayment below 4/12.
+const SHINGLE_MIN_RISE = 2;
+const DOUBLE_UNDERLAYMENT_RISE = 4;
+
+function pitchFactor(rise) {
+  return Math.sqrt(144 + rise * rise) / 12;
+}
+
+function hipValleyFactor(rise) {
+  return Math.sqrt(288 + rise * rise) / 12;
+}
+
+function steepPitchLaborFactor(rise) {
+  if (rise >= 10) return 1.4;
+  if (rise >= 8) return 1.2;
+  return 1;
+}
+
+function roofGeometry(state) {
+  const overhangFt = inchesToFeet(state.overhang_in);
+  const planLength = state.length_ft + 2 * overhangFt;
+  const planWidth = state.width_ft + 2 * overhangFt;
+  const longSide = Math.max(planLength, planWidth);
+  const shortSide = Math.min(planLength, planWidth);
+  const run = shortSide / 2;
+  const rise = state.pitch_rise;
+  const factor = pitchFactor(rise);
+  const footprintSqFt = planLength * planWidth;
+  const roofAreaSqFt = footprintSqFt * factor;
+
+  if (state.system === 'low') {
+    return {
+      planLength,
+      planWidth,
+      footprintSqFt,
+      factor,
+      roofAreaSqFt,
+      eaveLf: 2 * (planLength + planWidth),
+      rakeLf: 0,
+      ridgeLf: 0,
+      hipLf: 0,
+      valleyLf: 0
+    };
+  }
+
+  const isHip = state.roof_style === 'hip';
+  return {
+    planLength,
+    planWidth,
+    footprintSqFt,
+    factor,
+    roofAreaSqFt,
+    eaveLf: isHip ? 2 * (longSide + shortSide) : 2 * longSide,
+    rakeLf: isHip ? 0 : 4 * run * factor,
+    ridgeLf: isHip ? longSide - shortSide : longSide,
+    hipLf: isHip ? 4 * run * hipValleyFactor(rise) : 0,
+    valleyLf: state.valley_lf ?? 0
+  };
+}
+
+export const calculator = {
   id: 'roofing',
   name: 'Roofing Systems',
-  description: 'Aggregate shingle and flat roofing assemblies with waste, underlayment, and flashing allowances.'
-});
+  costCode: '07 31 00',
+  defaults: {
+    system: 'steep',
+    roof_style: 'gable',
+    length_ft: 48,
+    width_ft: 32,
+    overhang_in: 12,
+    pitch_rise: 6,
+    valley_lf: 0,
+    waste_percent: 10,
+    ice_water_courses: 1,
+    steep_hours_per_square: 1.5,
+    insulation_layers: 2,
+    fasteners_per_board: 16,
+    low_hours_per_square: 2.5,
+    region: 'national'
+  },
+  schema: {
+    system: { type: 'select', options: ['steep', 'low'], required: true },
+    roof_style: { type: 'select', options: ['gable', 'hip'], required: true },
+    length_ft: { type: 'number', min: 1, required: true },
+    width_ft: { type: 'number', min: 1, required: true },
+    overhang_in: { type: 'number', min: 0, max: 48, required: true },
+    pitch_rise: { type: 'number', min: 0, max: 24, required: true },
+    valley_lf: { type: 'number', min: 0, required: false },
+    waste_percent: { type: 'number', min: 0, max: 50, required: true },
+    ice_water_courses: { type: 'number', min: 0, max: 4, required: true },
+    steep_hours_per_square: { type: 'number', min: 0.1, required: true },
+    insulation_layers: { type: 'number', min: 0, max: 4, required: true },
+    fasteners_per_board: { type: 'number', min: 0, required: true },
+    low_hours_per_square: { type: 'number', min: 0.1, required: true },
+    shingle_bundle_price: { type: 'number', min: 0, required: false },
+    membrane_roll_price: { type: 'number', min: 0, required: false },
+    labor_rate: { type: 'number', min: 0, required: false },
+    equipment_flat: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  init(root) {
+    const systemSelect = root.querySelector('select[name="system"]');
+    const groups = root.querySelectorAll('[data-roof-system]');
+    function syncSystem() {
+      groups.forEach((group) => {
+        group.hidden = group.getAttribute('data-roof-system') !== systemSelect.value;
+      });
+    }
+    systemSelect.addEventListener('change', syncSystem);
+    syncSystem();
+  },
+  compute(state) {
+    const overrides = {
+      'materials.shingle_bundle': state.shingle_bundle_price,
+      'materials.tpo_membrane_roll': state.membrane_roll_price,
+      'labor.roofer_hr': state.labor_rate,
+      'equipment.roofing_hoist_flat': state.equipment_flat
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const geometry = roofGeometry(state);
+    const orderAreaSqFt = applyWaste(geometry.roofAreaSqFt, state.waste_percent);
+    const squares = orderAreaSqFt / 100;
+    const edgeLf = geometry.eaveLf + geometry.rakeLf;
+    const lines = [];
+    const metrics = { ...geometry, orderAreaSqFt, squares, edgeLf };
+
+    if (state.system === 'low') {
+      const effectiveRollSqFt = MEMBRANE_ROLL_LENGTH_FT * (MEMBRANE_ROLL_WIDTH_FT - MEMBRANE_SIDE_LAP_FT);
+      const membraneRolls = roundUp(orderAreaSqFt / effectiveRollSqFt);
+      const boardsPerLayer = roundUp(orderAreaSqFt / INSULATION_BOARD_SQFT);
+      const insulationBoards = boardsPerLayer * state.insulation_layers;
+      const seamLf = geometry.roofAreaSqFt / (MEMBRANE_ROLL_WIDTH_FT - MEMBRANE_SIDE_LAP_FT);
+      const fasteners = roundUp(insulationBoards * state.fasteners_per_board + seamLf);
+      const laborHours = squares * state.low_hours_per_square;
+      Object.assign(metrics, { membraneRolls, boardsPerLayer, insulationBoards, seamLf, fasteners, laborHours, laborFactor: 1 });
+
+      lines.push(
+        createLine({ code: '07 54 23', item: 'TPO membrane rolls', quantity: membraneRolls, unit: 'rolls', rate: price('materials.tpo_membrane_roll') }),
+        createLine({ code: '07 22 00', item: 'Polyiso insulation board (4×8)', quantity: insulationBoards, unit: 'boards', rate: price('materials.polyiso_board') }),
+        createLine({ code: '07 54 23', item: 'Fasteners & plates', quantity: fasteners, unit: 'ea', rate: price('materials.roof_fastener_ea') }),
+        createLine({ code: '07 62 00', item: 'Perimeter edge metal', quantity: edgeLf, unit: 'LF', rate: price('materials.drip_edge_lf') }),
+        createLine({ code: '07 54 23', item: 'Roofer labor', quantity: laborHours, unit: 'hrs', rate: price('labor.roofer_hr'), bucket: 'labor' })
+      );
+    } else {
+      const iceWaterSqFt = geometry.eaveLf * ICE_WATER_COURSE_FT * state.ice_water_courses + geometry.valleyLf * ICE_WATER_COURSE_FT;
+      const underlaymentPlies = state.pitch_rise < DOUBLE_UNDERLAYMENT_RISE ? 2 : 1;
+      const underlaymentSqFt = Math.max(geometry.roofAreaSqFt - iceWaterSqFt, 0) * underlaymentPlies;
+      const shingleBundles = roundUp(squares * SHINGLE_BUNDLES_PER_SQUARE);
+      const underlaymentRolls = roundUp(applyWaste(underlaymentSqFt, LAP_ALLOWANCE_PERCENT) / UNDERLAYMENT_ROLL_SQFT);
+      const iceWaterRolls = roundUp(applyWaste(iceWaterSqFt, LAP_ALLOWANCE_PERCENT) / ICE_WATER_ROLL_SQFT);
+      const capLf = geometry.ridgeLf + geometry.hipLf;
+      const ridgeCapBundles = roundUp(capLf / RIDGE_CAP_LF_PER_BUNDLE);
+      const starterBundles = roundUp(edgeLf / STARTER_LF_PER_BUNDLE);
+      const laborFactor = steepPitchLaborFactor(state.pitch_rise);
+      const laborHours = squares * state.steep_hours_per_square * laborFactor;
+      Object.assign(metrics, {
+        iceWaterSqFt,
+        underlaymentPlies,
+        underlaymentSqFt,
+        shingleBundles,
+        underlaymentRolls,
+        iceWaterRolls,
+        capLf,
+        ridgeCapBundles,
+        starterBundles,
+        laborHours,
+        laborFactor
+      });
+
+      lines.push(
+        createLine({ code: '07 31 13', item: 'Architectural shingles', quantity: shingleBundles, unit: 'bundles', rate: price('materials.shingle_bundle') }),
+        createLine({ code: '07 30 00', item: 'Synthetic underlayment', quantity: underlaymentRolls, unit: 'rolls', rate: price('materials.synthetic_underlayment_roll') }),
+        createLine({ code: '07 30 00', item: 'Ice & water shield', quantity: iceWaterRolls, unit: 'rolls', rate: price('materials.ice_water_shield_roll') }),
+        createLine({ code: '07 62 00', item: 'Drip edge', quantity: edgeLf, unit: 'LF', rate: price('materials.drip_edge_lf') }),
+        createLine({ code: '07 31 13', item: 'Starter strip', quantity: starterBundles, unit: 'bundles', rate: price('materials.starter_strip_bundle') }),
+        createLine({ code: '07 31 13', item: 'Ridge & hip cap', quantity: ridgeCapBundles, unit: 'bundles', rate: price('materials.ridge_cap_bundle') }),
+        createLine({ code: '07 31 13', item: 'Roofer labor', quantity: laborHours, unit: 'hrs', rate: price('labor.roofer_hr'), bucket: 'labor' })
+      );
+    }
+
+    const equipmentRate = state.equipment_flat ?? price('equipment.roofing_hoist_flat');
+    lines.push(createLine({ code: '01 54 00', item: 'Hoist & debris handling', quantity: 1, unit: 'ls', rate: equipmentRate, bucket: 'equipment' }));
+
+    return {
+      inputs: state,
+      metrics,
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `${SYSTEM_LABELS[result.inputs.system]} ROM`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  assumptions(result) {
+    const { inputs, metrics } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const common = [
+      `${formatNumber(metrics.roofAreaSqFt, { maximumFractionDigits: 0 })} sq ft roof surface at ${inputs.pitch_rise}/12 pitch (factor ${formatNumber(metrics.factor, { maximumFractionDigits: 3 })})`,
+      `Waste factor ${inputs.waste_percent}% applied to ${formatNumber(metrics.squares, { maximumFractionDigits: 2 })} squares ordered`
+    ];
+    if (inputs.system === 'low') {
+      return [
+        ...common,
+        `Membrane rolls 10 ft × 100 ft with 6″ side laps`,
+        `${inputs.insulation_layers} layer(s) of 4×8 insulation board, ${inputs.fasteners_per_board} fasteners per board`,
+        ...overrides
+      ];
+    }
+    return [
+      ...(inputs.pitch_rise < SHINGLE_MIN_RISE
+        ? [`Warning: asphalt shingles need at least ${SHINGLE_MIN_RISE}/12; at ${inputs.pitch_rise}/12 switch to the low-slope membrane system`]
+        : []),
+      ...common,
+      ...(metrics.underlaymentPlies > 1 ? [`Below ${DOUBLE_UNDERLAYMENT_RISE}/12: two plies of underlayment outside the ice & water shield`] : []),
+      `${STYLE_LABELS[inputs.roof_style]} roof; ice & water shield ${inputs.ice_water_courses} course(s) at eaves plus valleys`,
+      `Underlayment and ice & water shield include ${LAP_ALLOWANCE_PERCENT}% lap allowance`,
+      ...(metrics.laborFactor > 1 ? [`Steep pitch labor factor ×${metrics.laborFactor}`] : []),
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${SYSTEM_LABELS[state.system]} roof, ${formatNumber(result.metrics.roofAreaSqFt, { maximumFractionDigits: 0 })} sq ft at ${state.pitch_rise}/12`,
+      costCode: state.system === 'low' ? '07 54 00' : '07 31 00',
+      quantity: result.metrics.squares,
+      unit: 'sq',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const m = result.metrics;
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const lines = [
+      `**Plan** = (${state.length_ft} + 2 × ${state.overhang_in}/12) × (${state.width_ft} + 2 × ${state.overhang_in}/12) = ${fmt(m.planLength)} ft × ${fmt(m.planWidth)} ft = ${fmt(m.footprintSqFt)} sq ft`,
+      `**Pitch factor** = √(12² + ${state.pitch_rise}²) ÷ 12 = ${fmt(m.factor, 4)}`,
+      `**Roof area** = ${fmt(m.footprintSqFt)} × ${fmt(m.factor, 4)} = ${fmt(m.roofAreaSqFt)} sq ft`,
+      `Waste (${state.waste_percent}%): ${fmt(m.orderAreaSqFt)} sq ft = ${fmt(m.squares)} squares`
+    ];
+    if (state.system === 'low') {
+      lines.push(
+        `Perimeter edge = 2 × (${fmt(m.planLength)} + ${fmt(m.planWidth)}) = ${fmt(m.edgeLf)} LF`,
+        `Membrane rolls = ${fmt(m.orderAreaSqFt)} ÷ (${MEMBRANE_ROLL_LENGTH_FT} × ${MEMBRANE_ROLL_WIDTH_FT - MEMBRANE_SIDE_LAP_FT}) → ${m.membraneRolls} rolls`,
+        `Insulation boards = ⌈${fmt(m.orderAreaSqFt)} ÷ ${INSULATION_BOARD_SQFT}⌉ × ${state.insulation_layers} layer(s) = ${m.insulationBoards}`,
+        `Fasteners = ${m.insulationBoards} × ${state.fasteners_per_board} + ${fmt(m.seamLf, 0)} LF seams @ 12″ = ${m.fasteners}`,
+        `Labor hours = ${fmt(m.squares)} sq × ${state.low_hours_per_square} hr/sq = ${fmt(m.laborHours)}`
+      );
+    } else {
+      lines.push(
+        `Eaves ${fmt(m.eaveLf)} LF · Rakes ${fmt(m.rakeLf)} LF · Ridge ${fmt(m.ridgeLf)} LF · Hips ${fmt(m.hipLf)} LF · Valleys ${fmt(m.valleyLf)} LF`,
+        `Shingles = ⌈${fmt(m.squares)} sq × ${SHINGLE_BUNDLES_PER_SQUARE}⌉ = ${m.shingleBundles} bundles`,
+        `Ice & water = ${fmt(m.eaveLf)} LF × ${ICE_WATER_COURSE_FT} ft × ${state.ice_water_courses} + ${fmt(m.valleyLf)} LF × ${ICE_WATER_COURSE_FT} ft = ${fmt(m.iceWaterSqFt)} sq ft → ${m.iceWaterRolls} rolls @ ${ICE_WATER_ROLL_SQFT} sq ft`,
+        `Underlayment = ${fmt(m.underlaymentSqFt)} sq ft (${m.underlaymentPlies} ply) + ${LAP_ALLOWANCE_PERCENT}% laps → ${m.underlaymentRolls} rolls @ ${UNDERLAYMENT_ROLL_SQFT} sq ft`,
+        `Drip edge & starter = eaves + rakes = ${fmt(m.edgeLf)} LF → ${m.starterBundles} starter bundles @ ${STARTER_LF_PER_BUNDLE} LF`,
+        `Ridge & hip cap = ${fmt(m.capLf)} LF → ${m.ridgeCapBundles} bundles @ ${RIDGE_CAP_LF_PER_BUNDLE} LF`,
+        `Labor hours = ${fmt(m.squares)} sq × ${state.steep_hours_per_square} hr/sq × ${m.laborFactor} pitch factor = ${fmt(m.laborHours)}`
+      );
+    }
+    lines.push(
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('roofing', result.lines, result.totals);
+  }
+};
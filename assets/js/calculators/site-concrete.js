@@ -1,7 +1,280 @@
-import { createStubCalculator } from './_stub.js';
+import { applyWaste, cubicFeetToCubicYards, formatCurrency, formatNumber, inchesToFeet, round, roundUp, volumeFt3 } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const CURB_JOINT_SPACING_FT = 10;
+const MAX_PAD_JOINT_SPACING_FT = 15;
+const BASE_DENSITY_PCF = 140;
+const POUNDS_PER_TON = 2000;
+const FORM_HOURS_PER_LF = 0.05;
+const CURB_FINISH_HOURS_PER_LF = 0.06;
+const FLATWORK_FINISH_HOURS_PER_SF = 0.015;
+
+// areaSf = cross-section; widthFt = footprint width for base and joints.
+const CURB_PROFILES = {
+  'curb-6x18': { label: '6×18 in vertical curb', areaSf: 0.75, widthFt: 0.5 },
+  'cg-24': { label: '24 in curb and gutter', areaSf: 1.625, widthFt: 2 },
+  'cg-30': { label: '30 in curb and gutter', areaSf: 1.917, widthFt: 2.5 },
+  'mountable-24': { label: '24 in mountable curb and gutter', areaSf: 1.2, widthFt: 2 }
+};
+
+const RAMP_TYPES = {
+  perpendicular: { label: 'Perpendicular curb ramp', areaSf: 70, thicknessIn: 6, formLf: 30, finishHours: 6 },
+  parallel: { label: 'Parallel curb ramp', areaSf: 90, thicknessIn: 6, formLf: 36, finishHours: 7 },
+  blended: { label: 'Blended transition', areaSf: 50, thicknessIn: 6, formLf: 20, finishHours: 4 }
+};
+
+const CURB_COLUMNS = [
+  { key: 'profile', label: 'Profile', type: 'select', options: Object.keys(CURB_PROFILES), required: true },
+  { key: 'length_ft', label: 'Length (ft)', type: 'number', min: 1, required: true }
+];
+
+const WALK_COLUMNS = [
+  { key: 'length_ft', label: 'Length (ft)', type: 'number', min: 1, required: true },
+  { key: 'width_ft', label: 'Width (ft)', type: 'number', min: 3, max: 20, default: 5 },
+  { key: 'thickness_in', label: 'Thickness (in)', type: 'number', min: 3, max: 12, default: 4 },
+  { key: 'joint_spacing_ft', label: 'Joint spacing (ft)', type: 'number', min: 3, max: 20, default: 5 }
+];
+
+const PAD_COLUMNS = [
+  { key: 'name', label: 'Pad', type: 'text', required: true },
+  { key: 'length_ft', label: 'Length (ft)', type: 'number', min: 1, required: true },
+  { key: 'width_ft', label: 'Width (ft)', type: 'number', min: 1, required: true },
+  { key: 'thickness_in', label: 'Thickness (in)', type: 'number', min: 4, max: 24, default: 6 },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 1, default: 1 }
+];
+
+const RAMP_COLUMNS = [
+  { key: 'type', label: 'Ramp', type: 'select', options: Object.keys(RAMP_TYPES), required: true },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 1, default: 1 }
+];
+
+const jointsAlong = (lengthFt, spacingFt) => Math.max(roundUp(lengthFt / spacingFt) - 1, 0);
+
+export const calculator = {
   id: 'site-concrete',
   name: 'Site Concrete',
-  description: 'Plan curbs, gutters, and sidewalk pours with forming, finishing, and reinforcement.'
-});
+  costCode: '32 16 00',
+  defaults: {
+    curbs: [
+      { profile: 'cg-24', length_ft: 420 },
+      { profile: 'curb-6x18', length_ft: 180 }
+    ],
+    sidewalks: [{ length_ft: 300, width_ft: 5, thickness_in: 4, joint_spacing_ft: 5 }],
+    pads: [{ name: 'Dumpster pad', length_ft: 20, width_ft: 12, thickness_in: 8, quantity: 1 }],
+    ramps: [{ type: 'perpendicular', quantity: 4 }],
+    waste_percent: 5,
+    base_thickness_in: 4,
+    region: 'national'
+  },
+  schema: {
+    curbs: { type: 'table', columns: CURB_COLUMNS, required: false, maxRows: 50 },
+    sidewalks: { type: 'table', columns: WALK_COLUMNS, required: false, maxRows: 50 },
+    pads: { type: 'table', columns: PAD_COLUMNS, required: false, maxRows: 50 },
+    ramps: { type: 'table', columns: RAMP_COLUMNS, required: false, maxRows: 20 },
+    waste_percent: { type: 'number', min: 0, max: 50, required: true },
+    base_thickness_in: { type: 'number', min: 0, max: 24, required: true },
+    concrete_unit_price: { type: 'number', min: 0, required: false },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = {
+      'materials.concrete_yd3': state.concrete_unit_price,
+      'labor.concrete_finisher_hr': state.labor_rate
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const curbs = state.curbs.map((row) => {
+      const profile = CURB_PROFILES[row.profile];
+      const jointCount = jointsAlong(row.length_ft, CURB_JOINT_SPACING_FT);
+      return {
+        group: 'curb',
+        label: `${profile.label}, ${formatNumber(row.length_ft)} LF`,
+        cf: profile.areaSf * row.length_ft,
+        footprintSf: profile.widthFt * row.length_ft,
+        formLf: 2 * row.length_ft,
+        jointCount,
+        jointLf: jointCount * profile.widthFt,
+        finishHours: row.length_ft * CURB_FINISH_HOURS_PER_LF,
+        warningPanels: 0
+      };
+    });
+    const sidewalks = state.sidewalks.map((row) => {
+      const jointCount = jointsAlong(row.length_ft, row.joint_spacing_ft);
+      return {
+        group: 'sidewalk',
+        label: `Sidewalk ${formatNumber(row.width_ft)} ft × ${formatNumber(row.thickness_in)} in, ${formatNumber(row.length_ft)} LF`,
+        cf: volumeFt3(row.length_ft, row.width_ft, row.thickness_in),
+        footprintSf: row.length_ft * row.width_ft,
+        formLf: 2 * row.length_ft,
+        jointCount,
+        jointLf: jointCount * row.width_ft,
+        finishHours: row.length_ft * row.width_ft * FLATWORK_FINISH_HOURS_PER_SF,
+        warningPanels: 0
+      };
+    });
+    const pads = state.pads.map((row) => {
+      // Control joints at 30× slab thickness, capped at 15 ft.
+      const spacingFt = Math.min(2.5 * row.thickness_in, MAX_PAD_JOINT_SPACING_FT);
+      const across = jointsAlong(row.length_ft, spacingFt);
+      const along = jointsAlong(row.width_ft, spacingFt);
+      return {
+        group: 'pad',
+        label: `${row.name} ${formatNumber(row.length_ft)}×${formatNumber(row.width_ft)} ft × ${formatNumber(row.thickness_in)} in${row.quantity > 1 ? ` (${row.quantity})` : ''}`,
+        cf: volumeFt3(row.length_ft, row.width_ft, row.thickness_in) * row.quantity,
+        footprintSf: row.length_ft * row.width_ft * row.quantity,
+        formLf: 2 * (row.length_ft + row.width_ft) * row.quantity,
+        jointCount: (across + along) * row.quantity,
+        jointLf: (across * row.width_ft + along * row.length_ft) * row.quantity,
+        finishHours: row.length_ft * row.width_ft * row.quantity * FLATWORK_FINISH_HOURS_PER_SF,
+        warningPanels: 0
+      };
+    });
+    const ramps = state.ramps.map((row) => {
+      const ramp = RAMP_TYPES[row.type];
+      return {
+        group: 'ramp',
+        label: `${ramp.label} (${row.quantity})`,
+        cf: ramp.areaSf * inchesToFeet(ramp.thicknessIn) * row.quantity,
+        footprintSf: ramp.areaSf * row.quantity,
+        formLf: ramp.formLf * row.quantity,
+        jointCount: 0,
+        jointLf: 0,
+        finishHours: ramp.finishHours * row.quantity,
+        warningPanels: row.quantity
+      };
+    });
+
+    const elements = [...curbs, ...sidewalks, ...pads, ...ramps].map((element) => {
+      const volumeYd3 = cubicFeetToCubicYards(element.cf);
+      const baseCy = cubicFeetToCubicYards(element.footprintSf * inchesToFeet(state.base_thickness_in));
+      return {
+        ...element,
+        volumeYd3,
+        volumeYd3Waste: applyWaste(volumeYd3, state.waste_percent),
+        baseTons: (baseCy * 27 * BASE_DENSITY_PCF) / POUNDS_PER_TON
+      };
+    });
+
+    const sum = (list, key) => list.reduce((total, entry) => total + entry[key], 0);
+    const byGroup = (group) => elements.filter((element) => element.group === group);
+    const concrete = [
+      { group: 'curb', code: '32 16 13', item: 'Curb and gutter concrete' },
+      { group: 'sidewalk', code: '32 16 23', item: 'Sidewalk concrete' },
+      { group: 'pad', code: '32 13 13', item: 'Pad concrete' },
+      { group: 'ramp', code: '32 16 23', item: 'Curb ramp concrete' }
+    ];
+    const formLf = sum(elements, 'formLf');
+    const jointLf = sum(elements, 'jointLf');
+    const finishHours = sum(elements, 'finishHours');
+    const formHours = formLf * FORM_HOURS_PER_LF;
+    const baseTons = sum(elements, 'baseTons');
+    const warningPanels = sum(elements, 'warningPanels');
+    const laborRate = price('labor.concrete_finisher_hr');
+
+    const lines = [
+      ...concrete.map((entry) =>
+        createLine({ code: entry.code, item: entry.item, quantity: sum(byGroup(entry.group), 'volumeYd3Waste'), unit: 'yd³', rate: price('materials.concrete_yd3') })
+      ),
+      createLine({ code: '03 11 13', item: 'Edge forms', quantity: formLf, unit: 'LF', rate: price('materials.edge_form_lf') }),
+      createLine({ code: '03 15 00', item: 'Control joints', quantity: jointLf, unit: 'LF', rate: price('materials.sawcut_joint_lf') }),
+      createLine({ code: '32 11 23', item: 'Aggregate base', quantity: baseTons, unit: 'tons', rate: price('materials.base_aggregate_ton') }),
+      createLine({ code: '32 17 26', item: 'Detectable warning panels', quantity: warningPanels, unit: 'ea', rate: price('materials.detectable_warning_ea') }),
+      createLine({ code: '03 11 13', item: 'Forming labor', quantity: round(formHours, 2), unit: 'hrs', rate: laborRate, bucket: 'labor' }),
+      createLine({ code: '03 35 00', item: 'Placing and finishing labor', quantity: round(finishHours, 2), unit: 'hrs', rate: laborRate, bucket: 'labor' })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      elements,
+      metrics: {
+        volumeYd3: sum(elements, 'volumeYd3'),
+        volumeYd3Waste: sum(elements, 'volumeYd3Waste'),
+        formLf,
+        jointCount: sum(elements, 'jointCount'),
+        jointLf,
+        baseTons,
+        warningPanels,
+        formHours,
+        finishHours
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Site Concrete Total · ${formatNumber(result.metrics.volumeYd3Waste, { maximumFractionDigits: 1 })} yd³`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    return [
+      {
+        title: 'Elements',
+        columns: ['Element', 'yd³ (with waste)', 'Form LF', 'Joints', 'Joint LF', 'Base tons', 'Finish hrs'],
+        rows: result.elements.map((element) => [
+          element.label,
+          fmt(element.volumeYd3Waste, 2),
+          fmt(element.formLf, 0),
+          element.jointCount,
+          fmt(element.jointLf, 0),
+          fmt(element.baseTons),
+          fmt(element.finishHours)
+        ])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    const warnings = result.elements.length ? [] : ['Warning: enter at least one curb, sidewalk, pad, or ramp'];
+    return [
+      ...warnings,
+      `Concrete volumes include ${inputs.waste_percent}% waste`,
+      `Curb joints every ${CURB_JOINT_SPACING_FT} ft; sidewalk joints at the entered spacing; pad joints at 30× thickness up to ${MAX_PAD_JOINT_SPACING_FT} ft`,
+      `${inputs.base_thickness_in} in aggregate base under each footprint at ${BASE_DENSITY_PCF} pcf compacted`,
+      'Edge forms on both sides of curbs and walks and around pad perimeters; ramps include flares and one detectable warning panel each',
+      `Forming at ${FORM_HOURS_PER_LF} hr/LF; finishing at ${CURB_FINISH_HOURS_PER_LF} hr/LF of curb and ${FLATWORK_FINISH_HOURS_PER_SF} hr/SF of flatwork`,
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.elements.length} site concrete element(s), ${formatNumber(result.metrics.formLf, { maximumFractionDigits: 0 })} LF forms`,
+      quantity: result.metrics.volumeYd3Waste,
+      unit: 'yd³',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    const lines = result.elements.map(
+      (element) =>
+        `**${element.label}** = ${fmt(element.cf)} ft³ ÷ 27 = ${fmt(element.volumeYd3)} yd³ + ${state.waste_percent}% = ${fmt(element.volumeYd3Waste)} yd³; forms ${fmt(element.formLf, 0)} LF; ${element.jointCount} joints`
+    );
+    lines.push(
+      `Aggregate base = Σ footprint × ${state.base_thickness_in} in × ${BASE_DENSITY_PCF} pcf ÷ ${POUNDS_PER_TON} = ${fmt(metrics.baseTons)} tons`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('site-concrete', result.lines, result.totals, calculator.details(result));
+  }
+};
@@ -1,7 +1,186 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import steelShapes from '../../data/steel-shapes.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const POUNDS_PER_TON = 2000;
+const shapeWeights = new Map(steelShapes.shapes.map((shape) => [shape.designation, shape]));
+
+function normalizeShape(designation) {
+  return String(designation ?? '')
+    .toUpperCase()
+    .replace(/\s+/g, '')
+    .replace(/×/g, 'X');
+}
+
+function findShape(designation) {
+  return shapeWeights.get(normalizeShape(designation)) ?? null;
+}
+
+const MEMBER_COLUMNS = [
+  { key: 'mark', label: 'Mark', type: 'text', required: true },
+  {
+    key: 'shape',
+    label: 'Shape',
+    type: 'text',
+    required: true,
+    check: (value) => (findShape(value) ? undefined : `“${value}” is not in the shape table`)
+  },
+  { key: 'length_ft', label: 'Length (ft)', type: 'number', min: 0.5, required: true },
+  { key: 'quantity', label: 'Quantity', type: 'number', min: 1, default: 1 },
+  { key: 'role', label: 'Role', type: 'select', options: ['beam', 'column', 'brace', 'misc'], default: 'beam' }
+];
+
+export const calculator = {
   id: 'structural-steel',
   name: 'Structural Steel',
-  description: 'Baseline fabricated tonnage, erection hours, and connection hardware for steel packages.'
-});
+  costCode: '05 12 00',
+  defaults: {
+    members: [
+      { mark: 'B1', shape: 'W12X26', length_ft: 30, quantity: 18, role: 'beam' },
+      { mark: 'G1', shape: 'W18X50', length_ft: 30, quantity: 6, role: 'beam' },
+      { mark: 'C1', shape: 'W10X49', length_ft: 28, quantity: 12, role: 'column' },
+      { mark: 'X1', shape: 'HSS6X6X3/8', length_ft: 22, quantity: 8, role: 'brace' }
+    ],
+    connections_percent: 10,
+    picks_per_day: 40,
+    region: 'national'
+  },
+  schema: {
+    members: { type: 'table', columns: MEMBER_COLUMNS, required: true },
+    connections_percent: { type: 'number', min: 0, max: 50, required: true },
+    picks_per_day: { type: 'number', min: 1, max: 200, required: true },
+    fab_price_ton: { type: 'number', min: 0, required: false },
+    erect_price_ton: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = {
+      'materials.steel_fab_ton': state.fab_price_ton,
+      'labor.steel_erect_ton': state.erect_price_ton
+    };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+
+    const members = state.members.map((member) => {
+      const shape = findShape(member.shape);
+      const weightLb = shape.weight * member.length_ft * member.quantity;
+      return {
+        mark: member.mark,
+        designation: shape.designation,
+        family: shape.family,
+        role: member.role,
+        lbPerFt: shape.weight,
+        lengthFt: member.length_ft,
+        quantity: member.quantity,
+        weightLb
+      };
+    });
+
+    const memberTons = members.reduce((sum, member) => sum + member.weightLb, 0) / POUNDS_PER_TON;
+    const connectionTons = memberTons * (state.connections_percent / 100);
+    const totalTons = memberTons + connectionTons;
+    const picks = members.reduce((sum, member) => sum + member.quantity, 0);
+    const crewDays = picks / state.picks_per_day;
+    const craneDays = roundUp(crewDays);
+
+    const byRole = new Map();
+    for (const member of members) {
+      const entry = byRole.get(member.role) ?? { role: member.role, pieces: 0, tons: 0 };
+      entry.pieces += member.quantity;
+      entry.tons += member.weightLb / POUNDS_PER_TON;
+      byRole.set(member.role, entry);
+    }
+
+    const lines = [
+      createLine({ code: '05 12 00', item: 'Fabricated structural steel', quantity: memberTons, unit: 'tons', rate: price('materials.steel_fab_ton') }),
+      createLine({ code: '05 05 23', item: `Connections and misc. (${state.connections_percent}%)`, quantity: connectionTons, unit: 'tons', rate: price('materials.steel_fab_ton') }),
+      createLine({ code: '05 12 00', item: 'Steel erection', quantity: totalTons, unit: 'tons', rate: price('labor.steel_erect_ton'), bucket: 'labor' }),
+      createLine({ code: '01 54 00', item: 'Erection crane', quantity: craneDays, unit: 'days', rate: price('equipment.crane_day'), bucket: 'equipment' })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      members,
+      roles: [...byRole.values()],
+      metrics: {
+        memberTons,
+        connectionTons,
+        totalTons,
+        picks,
+        crewDays,
+        craneDays
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Structural Steel Total · ${formatNumber(result.metrics.totalTons, { maximumFractionDigits: 1 })} tons`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    return [
+      {
+        title: 'Member schedule',
+        columns: ['Mark', 'Shape', 'lb/ft', 'Length (ft)', 'Qty', 'Weight (lb)'],
+        rows: result.members.map((member) => [member.mark, member.designation, fmt(member.lbPerFt, 2), fmt(member.lengthFt, 2), member.quantity, fmt(member.weightLb, 0)])
+      },
+      {
+        title: 'Tonnage by role',
+        columns: ['Role', 'Pieces', 'Tons'],
+        rows: result.roles.map((entry) => [entry.role, entry.pieces, fmt(entry.tons, 2)])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs, metrics } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    return [
+      `Weights from the bundled AISC shape table (${steelShapes.shapes.length} W, HP, C, MC, HSS, and L shapes)`,
+      `Connections and miscellaneous steel add ${inputs.connections_percent}% to member tonnage`,
+      `One crane pick per piece at ${inputs.picks_per_day} picks per crew day ≈ ${formatNumber(metrics.crewDays, { maximumFractionDigits: 1 })} crew days`,
+      'Fabrication and erection priced per ton with regional factors; crane billed per erection day',
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.metrics.picks} pieces, ${formatNumber(result.metrics.totalTons, { maximumFractionDigits: 1 })} tons`,
+      quantity: result.metrics.totalTons,
+      unit: 'tons',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const { metrics } = result;
+    const lines = result.members.map(
+      (member) => `**${member.mark}** ${member.designation} = ${fmt(member.lbPerFt)} lb/ft × ${fmt(member.lengthFt)} ft × ${member.quantity} = ${fmt(member.weightLb, 0)} lb`
+    );
+    lines.push(
+      `Member tons = Σ lb ÷ ${POUNDS_PER_TON} = ${fmt(metrics.memberTons)}`,
+      `Connections = ${fmt(metrics.memberTons)} × ${state.connections_percent}% = ${fmt(metrics.connectionTons)} tons; total ${fmt(metrics.totalTons)} tons`,
+      `Crew days = ${metrics.picks} picks ÷ ${state.picks_per_day} = ${fmt(metrics.crewDays)} → ${metrics.craneDays} crane day(s)`,
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('structural-steel', result.lines, result.totals, calculator.details(result));
+  }
+};
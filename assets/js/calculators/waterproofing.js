@@ -1,7 +1,259 @@
-import { createStubCalculator } from './_stub.js';
+import { formatCurrency, formatNumber, round, roundUp } from '../core/units.js';
+import { resolvePrice, describeOverrides } from '../core/pricing.js';
+import { createLine, linesCostTable, linesExport, summarizeLines } from './_takeoff.js';
 
-export const calculator = createStubCalculator({
+const PAIL_GAL = 5;
+const MIL_SF_PER_GAL = 1604;
+const PRIMER_SF_PER_PAIL = 1250;
+const DRAINAGE_ROLL_SF = 200;
+const DRAINAGE_LAP = 0.05;
+const PROTECTION_BOARD_SF = 32;
+const DETAIL_SF = 4;
+const ACCESSORY_HOURS = { drainageSf: 1 / 250, protectionSf: 1 / 300, terminationLf: 0.03 };
+
+// Sheet goods lose width and length to side and end laps; fluid is sized by mil thickness.
+const SYSTEMS = {
+  sheet: { label: 'Self-adhered sheet', code: '07 13 00', unit: 'rolls', widthIn: 36, lengthFt: 66.7, sideLapIn: 2.5, endLapIn: 6, pricePath: 'materials.wp_sheet_roll', primer: true, sfPerHour: 90, detailHours: 0.4 },
+  fluid: { label: 'Fluid-applied', code: '07 14 00', unit: 'pails', pricePath: 'materials.wp_fluid_pail', primer: false, sfPerHour: 140, detailHours: 0.3 },
+  bentonite: { label: 'Bentonite panels', code: '07 17 00', unit: 'panels', widthIn: 48, lengthFt: 4, sideLapIn: 1.5, endLapIn: 1.5, pricePath: 'materials.wp_bentonite_panel', primer: false, sfPerHour: 120, detailHours: 0.25 }
+};
+
+// Mastic, termination, protection, and their labor serve every system, so they carry the section-level code.
+const ACCESSORY_CODE = '07 10 00';
+
+const SURFACES = { wall: 'Wall', slab: 'Slab' };
+
+const AREA_COLUMNS = [
+  { key: 'name', label: 'Name', type: 'text', required: true },
+  { key: 'system', label: 'System', type: 'select', options: Object.keys(SYSTEMS), required: true },
+  { key: 'surface', label: 'Surface', type: 'select', options: Object.keys(SURFACES), required: true },
+  { key: 'area_sf', label: 'Area (SF)', type: 'number', min: 1, required: true },
+  { key: 'termination_lf', label: 'Termination bar (LF)', type: 'number', min: 0, default: 0 },
+  { key: 'penetrations', label: 'Penetrations', type: 'number', min: 0, default: 0 },
+  { key: 'inside_corners', label: 'Inside corners', type: 'number', min: 0, default: 0 },
+  { key: 'outside_corners', label: 'Outside corners', type: 'number', min: 0, default: 0 }
+];
+
+function coverage(system, fluidMils) {
+  if (!system.widthIn) {
+    return { netSf: (MIL_SF_PER_GAL / fluidMils) * PAIL_GAL, lapFactor: 1 };
+  }
+  const grossSf = (system.widthIn / 12) * system.lengthFt;
+  const netSf = ((system.widthIn - system.sideLapIn) / 12) * (system.lengthFt - system.endLapIn / 12);
+  return { netSf, lapFactor: grossSf / netSf };
+}
+
+export const calculator = {
   id: 'waterproofing',
   name: 'Waterproofing',
-  description: 'Measure vertical and horizontal waterproofing membranes with detailing allowances.'
-});
+  costCode: '07 10 00',
+  defaults: {
+    areas: [
+      { name: 'Foundation walls', system: 'sheet', surface: 'wall', area_sf: 5200, termination_lf: 480, penetrations: 14, inside_corners: 6, outside_corners: 8 },
+      { name: 'Elevator pit', system: 'fluid', surface: 'wall', area_sf: 420, termination_lf: 0, penetrations: 2, inside_corners: 4, outside_corners: 0 },
+      { name: 'Underslab', system: 'bentonite', surface: 'slab', area_sf: 9600, termination_lf: 0, penetrations: 22, inside_corners: 0, outside_corners: 0 }
+    ],
+    fluid_mils: 60,
+    waste_percent: 5,
+    drainage_board: true,
+    protection_course: true,
+    region: 'national'
+  },
+  schema: {
+    areas: { type: 'table', columns: AREA_COLUMNS, required: true, maxRows: 40 },
+    fluid_mils: { type: 'number', min: 20, max: 250, required: true },
+    waste_percent: { type: 'number', min: 0, max: 30, required: true },
+    drainage_board: { type: 'boolean' },
+    protection_course: { type: 'boolean' },
+    labor_rate: { type: 'number', min: 0, required: false },
+    region: { type: 'select', options: ['national', 'west', 'mountain', 'midwest', 'south', 'northeast'], required: true },
+    include_markup: { type: 'boolean' },
+    include_tax: { type: 'boolean' }
+  },
+  compute(state) {
+    const overrides = { 'labor.waterproofer_hr': state.labor_rate };
+    const price = (path) => resolvePrice(path, overrides, state.region).value;
+    const wasteFactor = 1 + state.waste_percent / 100;
+
+    const areas = state.areas.map((row) => {
+      const system = SYSTEMS[row.system];
+      const details = row.penetrations + row.inside_corners + row.outside_corners;
+      return {
+        name: row.name,
+        system: row.system,
+        surface: row.surface,
+        areaSf: row.area_sf,
+        terminationLf: row.termination_lf,
+        penetrations: row.penetrations,
+        details,
+        membraneSf: (row.area_sf + details * DETAIL_SF) * wasteFactor,
+        laborHours: row.area_sf / system.sfPerHour + details * system.detailHours
+      };
+    });
+
+    const systems = Object.keys(SYSTEMS)
+      .map((key) => {
+        const entries = areas.filter((entry) => entry.system === key);
+        const { netSf, lapFactor } = coverage(SYSTEMS[key], state.fluid_mils);
+        const membraneSf = entries.reduce((sum, entry) => sum + entry.membraneSf, 0);
+        return {
+          key,
+          areaSf: entries.reduce((sum, entry) => sum + entry.areaSf, 0),
+          membraneSf,
+          netSf,
+          lapFactor,
+          units: roundUp(membraneSf / netSf),
+          laborHours: entries.reduce((sum, entry) => sum + entry.laborHours, 0)
+        };
+      })
+      .filter((group) => group.areaSf > 0);
+
+    const sumAreas = (pick) => areas.reduce((total, entry) => total + pick(entry), 0);
+    const primedSf = sumAreas((entry) => (SYSTEMS[entry.system].primer ? entry.areaSf : 0));
+    const drainageSf = state.drainage_board ? sumAreas((entry) => (entry.surface === 'wall' ? entry.areaSf : 0)) : 0;
+    const protectionSf = state.protection_course ? sumAreas((entry) => (entry.surface === 'slab' ? entry.areaSf : 0)) : 0;
+    const terminationLf = sumAreas((entry) => entry.terminationLf);
+    const penetrations = sumAreas((entry) => entry.penetrations);
+    const accessoryHours =
+      drainageSf * ACCESSORY_HOURS.drainageSf + protectionSf * ACCESSORY_HOURS.protectionSf + terminationLf * ACCESSORY_HOURS.terminationLf;
+
+    const lines = [
+      ...systems.map((group) =>
+        createLine({
+          code: SYSTEMS[group.key].code,
+          item: `${SYSTEMS[group.key].label} (${SYSTEMS[group.key].unit})`,
+          quantity: group.units,
+          unit: SYSTEMS[group.key].unit,
+          rate: price(SYSTEMS[group.key].pricePath)
+        })
+      ),
+      createLine({ code: SYSTEMS.sheet.code, item: 'Membrane primer (5 gal pails)', quantity: roundUp(primedSf / PRIMER_SF_PER_PAIL), unit: 'pails', rate: price('materials.wp_primer_pail') }),
+      createLine({ code: ACCESSORY_CODE, item: 'Detail mastic at penetrations', quantity: penetrations, unit: 'tubes', rate: price('materials.wp_mastic_tube') }),
+      createLine({ code: ACCESSORY_CODE, item: 'Termination bar', quantity: terminationLf, unit: 'LF', rate: price('materials.termination_bar_lf') }),
+      createLine({
+        code: '33 46 00',
+        item: 'Drainage composite (4×50 rolls)',
+        quantity: roundUp((drainageSf * (1 + DRAINAGE_LAP)) / DRAINAGE_ROLL_SF),
+        unit: 'rolls',
+        rate: price('materials.drainage_board_roll')
+      }),
+      createLine({ code: ACCESSORY_CODE, item: 'Protection course (4×8 boards)', quantity: roundUp((protectionSf * wasteFactor) / PROTECTION_BOARD_SF), unit: 'boards', rate: price('materials.protection_board') }),
+      ...systems.map((group) =>
+        createLine({
+          code: SYSTEMS[group.key].code,
+          item: `${SYSTEMS[group.key].label} installation`,
+          quantity: round(group.laborHours, 2),
+          unit: 'hrs',
+          rate: price('labor.waterproofer_hr'),
+          bucket: 'labor'
+        })
+      ),
+      createLine({
+        code: ACCESSORY_CODE,
+        item: 'Drainage, protection, and termination labor',
+        quantity: round(accessoryHours, 2),
+        unit: 'hrs',
+        rate: price('labor.waterproofer_hr'),
+        bucket: 'labor'
+      })
+    ].filter((line) => line.quantity > 0);
+
+    return {
+      inputs: state,
+      areas,
+      systems,
+      metrics: {
+        areaSf: sumAreas((entry) => entry.areaSf),
+        details: sumAreas((entry) => entry.details),
+        drainageSf,
+        protectionSf,
+        terminationLf
+      },
+      lines,
+      totals: summarizeLines(lines, state),
+      overrides: describeOverrides(overrides)
+    };
+  },
+  summarize(result) {
+    return {
+      label: `ROM Waterproofing Total · ${formatNumber(result.metrics.areaSf, { maximumFractionDigits: 0 })} SF`,
+      value: formatCurrency(result.totals.total)
+    };
+  },
+  costTable(result) {
+    return linesCostTable(result.lines, result.totals);
+  },
+  details(result) {
+    const fmt = (value, digits = 1) => formatNumber(value, { maximumFractionDigits: digits });
+    return [
+      {
+        title: 'Systems',
+        columns: ['System', 'Area (SF)', 'With details and waste (SF)', 'Lap allowance', 'Net SF per unit', 'Units', 'SF/hr', 'Labor (hrs)'],
+        rows: result.systems.map((group) => [
+          SYSTEMS[group.key].label,
+          fmt(group.areaSf, 0),
+          fmt(group.membraneSf, 0),
+          `${fmt((group.lapFactor - 1) * 100)}%`,
+          fmt(group.netSf),
+          `${group.units} ${SYSTEMS[group.key].unit}`,
+          SYSTEMS[group.key].sfPerHour,
+          fmt(group.laborHours, 2)
+        ])
+      },
+      {
+        title: 'Areas',
+        columns: ['Name', 'System', 'Surface', 'Area (SF)', 'Termination bar (LF)', 'Details', 'Labor (hrs)'],
+        rows: result.areas.map((entry) => [
+          entry.name,
+          SYSTEMS[entry.system].label,
+          SURFACES[entry.surface],
+          fmt(entry.areaSf, 0),
+          fmt(entry.terminationLf, 0),
+          entry.details,
+          fmt(entry.laborHours, 2)
+        ])
+      }
+    ];
+  },
+  assumptions(result) {
+    const { inputs } = result;
+    const overrides = result.overrides.length ? [`Manual overrides: ${result.overrides.join(', ')}`] : [];
+    return [
+      `Sheet rolls 36 in × 66.7 ft with 2.5 in side and 6 in end laps; bentonite panels 4×4 ft with 1.5 in laps`,
+      `Fluid-applied at ${inputs.fluid_mils} mils dry (100% solids): ${formatNumber(MIL_SF_PER_GAL / inputs.fluid_mils, { maximumFractionDigits: 1 })} SF/gal`,
+      `Each penetration or corner adds ${DETAIL_SF} SF of reinforcing membrane; penetrations get one tube of mastic`,
+      inputs.drainage_board ? 'Drainage composite on wall areas with 5% lap' : 'No drainage composite',
+      inputs.protection_course ? 'Protection course on slab areas' : 'No protection course',
+      `${inputs.waste_percent}% waste on membrane and protection board; sheet primer at ${PRIMER_SF_PER_PAIL} SF per pail`,
+      ...overrides
+    ];
+  },
+  estimateLine(state, result) {
+    return {
+      description: `${result.systems.map((group) => SYSTEMS[group.key].label.toLowerCase()).join(', ')} waterproofing`,
+      quantity: result.metrics.areaSf,
+      unit: 'sq ft',
+      material: result.totals.materialCost,
+      labor: result.totals.laborCost,
+      equipment: result.totals.equipmentCost
+    };
+  },
+  explain(state, result) {
+    const fmt = (value, digits = 2) => formatNumber(value, { maximumFractionDigits: digits });
+    const lines = result.systems.map((group) => {
+      const system = SYSTEMS[group.key];
+      return `**${system.label}** = ${fmt(group.membraneSf)} SF ÷ ${fmt(group.netSf)} net SF/${system.unit.replace(/s$/, '')} = ${group.units} ${system.unit}; labor = ${fmt(group.areaSf)} SF ÷ ${system.sfPerHour} SF/hr + details × ${system.detailHours} hr`;
+    });
+    lines.push(
+      ...result.lines.map((line) => `${line.item}: ${fmt(line.quantity)} ${line.unit} × $${fmt(line.rate)} = $${fmt(line.amount)}`),
+      `Subtotal = $${fmt(result.totals.subtotal)}`,
+      `Markup (${fmt(result.totals.markupRate * 100)}%) = $${fmt(result.totals.markupAmount)}`,
+      `Tax (${fmt(result.totals.taxRate * 100)}%) = $${fmt(result.totals.taxAmount)}`,
+      `Total = $${fmt(result.totals.total)}`
+    );
+    return lines.join('\n');
+  },
+  export(state, result) {
+    return linesExport('waterproofing', result.lines, result.totals, calculator.details(result));
+  }
+};
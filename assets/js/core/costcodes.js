@@ -0,0 +1,35 @@
+import masterformat from '../../data/masterformat.js';
+
+const divisionNames = new Map(masterformat.divisions.map((d) => [d.id, d.name]));
+
+export const UNASSIGNED_DIVISION = '00';
+
+export function getDivisions() {
+  return masterformat.divisions;
+}
+
+export function divisionOf(code) {
+  const match = /^(\d{2})/.exec(String(code ?? '').trim());
+  return match && divisionNames.has(match[1]) ? match[1] : UNASSIGNED_DIVISION;
+}
+
+export function divisionName(code) {
+  return divisionNames.get(divisionOf(code)) ?? 'Unassigned';
+}
+
+export function formatDivision(code) {
+  const division = divisionOf(code);
+  return `${division} ${divisionNames.get(division) ?? 'Unassigned'}`;
+}
+
+export function groupByDivision(items, getCode = (item) => item.costCode) {
+  const groups = new Map();
+  for (const item of items) {
+    const division = divisionOf(getCode(item));
+    if (!groups.has(division)) {
+      groups.set(division, { division, name: divisionName(division), items: [] });
+    }
+    groups.get(division).items.push(item);
+  }
+  return [...groups.values()].sort((a, b) => a.division.localeCompare(b.division));
+}
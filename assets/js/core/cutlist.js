@@ -0,0 +1,115 @@
+import { round } from './units.js';
+
+const EPSILON = 1e-6;
+
+export function splitRun(runLength, stockLength, lap = 0) {
+  if (runLength <= stockLength + EPSILON) return [runLength];
+  const fullPieces = Math.floor((runLength - stockLength) / (stockLength - lap) + EPSILON) + 1;
+  const covered = fullPieces * stockLength - (fullPieces - 1) * lap;
+  const remaining = runLength - covered;
+  const pieces = Array(fullPieces).fill(stockLength);
+  return remaining > EPSILON ? [...pieces, remaining + lap] : pieces;
+}
+
+function usedLength(cuts, kerf) {
+  return cuts.reduce((sum, cut) => sum + cut, 0) + Math.max(cuts.length - 1, 0) * kerf;
+}
+
+// Best-fit decreasing over groups of identical bars, opening new bars at one stock length.
+function pack(demand, openingStock, kerf) {
+  const groups = [];
+  for (const { length, quantity } of demand) {
+    let remaining = quantity;
+    while (remaining > 0) {
+      let best = null;
+      for (const group of groups) {
+        const spare = openingStock - group.used - kerf - length;
+        if (spare >= -EPSILON && (!best || spare < best.spare)) best = { group, spare };
+      }
+      if (best) {
+        const placed = Math.min(remaining, best.group.count);
+        if (placed < best.group.count) {
+          groups.push({ ...best.group, cuts: [...best.group.cuts], count: best.group.count - placed });
+          best.group.count = placed;
+        }
+        best.group.cuts.push(length);
+        best.group.used = usedLength(best.group.cuts, kerf);
+        remaining -= placed;
+        continue;
+      }
+      const perBar = Math.max(Math.floor((openingStock + kerf + EPSILON) / (length + kerf)), 1);
+      const fullBars = Math.floor(remaining / perBar);
+      const leftover = remaining % perBar;
+      for (const [count, cutsPerBar] of [
+        [fullBars, perBar],
+        [leftover ? 1 : 0, leftover]
+      ]) {
+        if (!count) continue;
+        const cuts = Array(cutsPerBar).fill(length);
+        groups.push({ cuts, used: usedLength(cuts, kerf), count });
+      }
+      remaining = 0;
+    }
+  }
+  return groups;
+}
+
+export function optimizeCuts(pieces, stockLengths, { kerf = 0 } = {}) {
+  const stocks = [...new Set(stockLengths)].sort((a, b) => a - b);
+  const longest = stocks[stocks.length - 1];
+  const byLength = new Map();
+  const oversize = [];
+  for (const { length, quantity = 1 } of pieces) {
+    if (!(length > 0) || !(quantity > 0)) continue;
+    const key = round(length, 4);
+    if (key > longest + EPSILON) {
+      oversize.push({ length: key, quantity });
+      continue;
+    }
+    byLength.set(key, (byLength.get(key) ?? 0) + quantity);
+  }
+  const demand = [...byLength.entries()].map(([length, quantity]) => ({ length, quantity })).sort((a, b) => b.length - a.length);
+  const requiredLength = demand.reduce((sum, entry) => sum + entry.length * entry.quantity, 0);
+
+  let best = null;
+  const openings = demand.length ? stocks.filter((stock) => stock >= demand[0].length - EPSILON) : [];
+  for (const openingStock of openings) {
+    const patterns = pack(demand, openingStock, kerf).map((group) => {
+      const stock = stocks.find((candidate) => candidate >= group.used - EPSILON);
+      return { stock, cuts: group.cuts, count: group.count, drop: stock - group.used };
+    });
+    const purchasedLength = patterns.reduce((sum, pattern) => sum + pattern.stock * pattern.count, 0);
+    const bars = patterns.reduce((sum, pattern) => sum + pattern.count, 0);
+    if (!best || purchasedLength < best.purchasedLength - EPSILON || (Math.abs(purchasedLength - best.purchasedLength) <= EPSILON && bars < best.bars)) {
+      best = { patterns, purchasedLength, bars };
+    }
+  }
+
+  const merged = new Map();
+  for (const pattern of best?.patterns ?? []) {
+    const key = `${pattern.stock}|${pattern.cuts.join(',')}`;
+    const entry = merged.get(key) ?? { ...pattern, count: 0 };
+    entry.count += pattern.count;
+    merged.set(key, entry);
+  }
+  const patterns = [...merged.values()].sort((a, b) => b.stock - a.stock || b.count - a.count);
+
+  const purchaseMap = new Map();
+  for (const pattern of patterns) {
+    purchaseMap.set(pattern.stock, (purchaseMap.get(pattern.stock) ?? 0) + pattern.count);
+  }
+  const purchases = [...purchaseMap.entries()].map(([stock, count]) => ({ stock, count })).sort((a, b) => a.stock - b.stock);
+  const purchasedLength = best?.purchasedLength ?? 0;
+  const dropLength = patterns.reduce((sum, pattern) => sum + pattern.drop * pattern.count, 0);
+
+  return {
+    patterns,
+    purchases,
+    bars: best?.bars ?? 0,
+    requiredLength,
+    purchasedLength,
+    dropLength,
+    wastePercent: purchasedLength ? (dropLength / purchasedLength) * 100 : 0,
+    oversize
+  };
+}
@@ -0,0 +1,263 @@
+import basePricing from '../../data/pricing.base.js';
+import { getPreference, readEstimates, setPreference, writeEstimates } from './store.js';
+import { formatDivision, groupByDivision } from './costcodes.js';
+import { formatNumber } from './units.js';
+
+const ACTIVE_ESTIMATE_KEY = 'activeEstimate';
+const COST_SPLITS = ['material', 'labor', 'equipment'];
+
+let estimates = readEstimates();
+
+function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function persist() {
+  writeEstimates(estimates);
+}
+
+function touch(estimate) {
+  estimate.updatedAt = new Date().toISOString();
+  persist();
+  return estimate;
+}
+
+function requireEstimate(id) {
+  const estimate = getEstimate(id);
+  if (!estimate) {
+    throw new Error(`Estimate ${id} not found`);
+  }
+  return estimate;
+}
+
+export function defaultModifiers() {
+  return {
+    contingencyRate: basePricing.contingency ?? 0,
+    markupRate: basePricing.markup ?? 0,
+    taxRate: basePricing.tax_rate ?? 0
+  };
+}
+
+export function listEstimates() {
+  return estimates;
+}
+
+export function getEstimate(id) {
+  return estimates.find((estimate) => estimate.id === id) ?? null;
+}
+
+export function getActiveEstimate() {
+  return getEstimate(getPreference(ACTIVE_ESTIMATE_KEY)) ?? estimates[0] ?? null;
+}
+
+export function setActiveEstimate(id) {
+  setPreference(ACTIVE_ESTIMATE_KEY, id);
+}
+
+export function createEstimate(name = 'Untitled estimate') {
+  const now = new Date().toISOString();
+  const estimate = {
+    id: createId('est'),
+    name: name.trim() || 'Untitled estimate',
+    createdAt: now,
+    updatedAt: now,
+    modifiers: defaultModifiers(),
+    lines: []
+  };
+  estimates.push(estimate);
+  persist();
+  setActiveEstimate(estimate.id);
+  return estimate;
+}
+
+export function renameEstimate(id, name) {
+  const estimate = requireEstimate(id);
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) return estimate;
+  estimate.name = trimmed;
+  return touch(estimate);
+}
+
+export function duplicateEstimate(id) {
+  const source = requireEstimate(id);
+  const now = new Date().toISOString();
+  const copy = {
+    ...JSON.parse(JSON.stringify(source)),
+    id: createId('est'),
+    name: `${source.name} (copy)`,
+    createdAt: now,
+    updatedAt: now
+  };
+  copy.lines = copy.lines.map((line) => ({ ...line, id: createId('line') }));
+  estimates.push(copy);
+  persist();
+  setActiveEstimate(copy.id);
+  return copy;
+}
+
+export function deleteEstimate(id) {
+  estimates = estimates.filter((estimate) => estimate.id !== id);
+  persist();
+  if (getPreference(ACTIVE_ESTIMATE_KEY) === id) {
+    setActiveEstimate(estimates[0]?.id ?? null);
+  }
+}
+
+export function updateModifiers(id, modifiers) {
+  const estimate = requireEstimate(id);
+  estimate.modifiers = { ...defaultModifiers(), ...estimate.modifiers };
+  for (const [key, value] of Object.entries(modifiers)) {
+    const numeric = Number(value);
+    if (key in estimate.modifiers && Number.isFinite(numeric) && numeric >= 0) {
+      estimate.modifiers[key] = numeric;
+    }
+  }
+  return touch(estimate);
+}
+
+export function createLineItem(calculator, state, result) {
+  if (!calculator.estimateLine) {
+    throw new Error(`${calculator.name} does not support estimate line items`);
+  }
+  const line = calculator.estimateLine(state, result);
+  const item = {
+    id: createId('line'),
+    calculatorId: calculator.id,
+    trade: calculator.name,
+    costCode: line.costCode ?? calculator.costCode ?? '',
+    description: line.description ?? calculator.name,
+    quantity: Number(line.quantity ?? 0),
+    unit: line.unit ?? '',
+    addedAt: new Date().toISOString()
+  };
+  for (const split of COST_SPLITS) {
+    item[split] = Number(line[split] ?? 0);
+  }
+  return item;
+}
+
+export function addLineItem(id, item) {
+  const estimate = requireEstimate(id);
+  estimate.lines.push(item);
+  return touch(estimate);
+}
+
+export function removeLineItem(id, lineId) {
+  const estimate = requireEstimate(id);
+  estimate.lines = estimate.lines.filter((line) => line.id !== lineId);
+  return touch(estimate);
+}
+
+export function addCalculatorResult(calculator, state, result) {
+  const estimate = getActiveEstimate() ?? createEstimate();
+  const item = createLineItem(calculator, state, result);
+  addLineItem(estimate.id, item);
+  return { estimate, item };
+}
+
+export function applyCalculatorModifiers(calculator, state, result) {
+  if (!calculator.estimateModifiers) {
+    throw new Error(`${calculator.name} does not supply estimate modifiers`);
+  }
+  const estimate = getActiveEstimate() ?? createEstimate();
+  const modifiers = calculator.estimateModifiers(state, result);
+  updateModifiers(estimate.id, modifiers);
+  return { estimate, modifiers };
+}
+
+export function rollupEstimate(estimate) {
+  const trades = new Map();
+  const totals = { material: 0, labor: 0, equipment: 0 };
+
+  for (const line of estimate.lines) {
+    if (!trades.has(line.calculatorId)) {
+      trades.set(line.calculatorId, {
+        calculatorId: line.calculatorId,
+        trade: line.trade,
+        lines: [],
+        material: 0,
+        labor: 0,
+        equipment: 0,
+        subtotal: 0
+      });
+    }
+    const group = trades.get(line.calculatorId);
+    group.lines.push(line);
+    for (const split of COST_SPLITS) {
+      group[split] += line[split];
+      group.subtotal += line[split];
+      totals[split] += line[split];
+    }
+  }
+
+  const { contingencyRate, markupRate, taxRate } = { ...defaultModifiers(), ...estimate.modifiers };
+  const subtotal = totals.material + totals.labor + totals.equipment;
+  const contingencyAmount = subtotal * contingencyRate;
+  const markupAmount = (subtotal + contingencyAmount) * markupRate;
+  const taxAmount = (subtotal + contingencyAmount + markupAmount) * taxRate;
+  const total = subtotal + contingencyAmount + markupAmount + taxAmount;
+
+  const divisions = groupByDivision(estimate.lines).map((group) => {
+    const summary = { division: group.division, name: group.name, lines: group.items, material: 0, labor: 0, equipment: 0, subtotal: 0 };
+    for (const line of group.items) {
+      for (const split of COST_SPLITS) {
+        summary[split] += line[split];
+        summary.subtotal += line[split];
+      }
+    }
+    return summary;
+  });
+
+  return {
+    trades: [...trades.values()],
+    divisions,
+    ...totals,
+    subtotal,
+    contingencyRate,
+    contingencyAmount,
+    markupRate,
+    markupAmount,
+    taxRate,
+    taxAmount,
+    total
+  };
+}
+
+export function exportEstimate(estimate) {
+  const rollup = rollupEstimate(estimate);
+  const amount = (value) => formatNumber(value, { maximumFractionDigits: 2, minimumFractionDigits: 2 });
+  const rows = [['Cost Code', 'Description', 'Quantity', 'Unit', 'Material', 'Labor', 'Equipment', 'Total']];
+
+  for (const division of rollup.divisions) {
+    rows.push([division.division, formatDivision(division.division), '', '', amount(division.material), amount(division.labor), amount(division.equipment), amount(division.subtotal)]);
+    for (const line of division.lines) {
+      const lineTotal = line.material + line.labor + line.equipment;
+      rows.push([line.costCode, `${line.trade} – ${line.description}`, formatNumber(line.quantity, { maximumFractionDigits: 2 }), line.unit, amount(line.material), amount(line.labor), amount(line.equipment), amount(lineTotal)]);
+    }
+  }
+
+  rows.push(
+    ['', 'Direct Cost Subtotal', '', '', amount(rollup.material), amount(rollup.labor), amount(rollup.equipment), amount(rollup.subtotal)],
+    ['', `Contingency (${formatNumber(rollup.contingencyRate * 100)}%)`, '', '', '', '', '', amount(rollup.contingencyAmount)],
+    ['', `GC / Markup (${formatNumber(rollup.markupRate * 100)}%)`, '', '', '', '', '', amount(rollup.markupAmount)],
+    ['', `Sales Tax (${formatNumber(rollup.taxRate * 100)}%)`, '', '', '', '', '', amount(rollup.taxAmount)],
+    ['', 'Project Total', '', '', '', '', '', amount(rollup.total)]
+  );
+
+  const slug = estimate.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'estimate';
+  const pdfLines = [
+    estimate.name,
+    ...rollup.divisions.map((division) => `${formatDivision(division.division)} \u2022 $${amount(division.subtotal)}`),
+    `Direct cost subtotal \u2022 $${amount(rollup.subtotal)}`,
+    `Contingency \u2022 $${amount(rollup.contingencyAmount)}`,
+    `GC / Markup \u2022 $${amount(rollup.markupAmount)}`,
+    `Sales tax \u2022 $${amount(rollup.taxAmount)}`,
+    `Project total \u2022 $${amount(rollup.total)}`
+  ];
+
+  return {
+    csv: { rows, filename: `${slug}.csv` },
+    xlsx: { rows, filename: `${slug}.xlsx` },
+    pdf: { lines: pdfLines, filename: `${slug}.pdf` }
+  };
+}
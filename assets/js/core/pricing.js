@@ -31,3 +31,17 @@ export function describeOverrides(overrides) {
     .filter(([, value]) => value !== undefined && value !== null && value !== '')
     .map(([path]) => path.replace(/_/g, ' '));
 }
+
+export function applyModifiers(subtotal, { include_markup: includeMarkup, include_tax: includeTax } = {}) {
+  const markupRate = includeMarkup ? Number(basePricing.markup ?? 0) : 0;
+  const markupAmount = subtotal * markupRate;
+  const taxRate = includeTax ? Number(basePricing.tax_rate ?? 0) : 0;
+  const taxAmount = (subtotal + markupAmount) * taxRate;
+  return {
+    markupRate,
+    markupAmount,
+    taxRate,
+    taxAmount,
+    total: subtotal + markupAmount + taxAmount
+  };
+}
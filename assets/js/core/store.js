@@ -1,20 +1,21 @@
 const STORAGE_KEY = 'costflowai.preferences';
+const ESTIMATES_KEY = 'costflowai.estimates';
 
-function readStorage() {
-  if (typeof window === 'undefined') return {};
+function readStorage(key = STORAGE_KEY, fallback = {}) {
+  if (typeof window === 'undefined') return fallback;
   try {
-    const raw = window.localStorage.getItem(STORAGE_KEY);
-    return raw ? JSON.parse(raw) : {};
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
   } catch (error) {
     console.warn('Storage read failed', error);
-    return {};
+    return fallback;
   }
 }
 
-function writeStorage(data) {
+function writeStorage(data, key = STORAGE_KEY) {
   if (typeof window === 'undefined') return;
   try {
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    window.localStorage.setItem(key, JSON.stringify(data));
   } catch (error) {
     console.warn('Storage write failed', error);
   }
@@ -41,3 +42,12 @@ export function rememberInputs(calculatorId, values) {
 export function recallInputs(calculatorId, fallback = {}) {
   return cache.history?.[calculatorId] ?? fallback;
 }
+
+export function readEstimates() {
+  const stored = readStorage(ESTIMATES_KEY, []);
+  return Array.isArray(stored) ? stored : [];
+}
+
+export function writeEstimates(estimates) {
+  writeStorage(estimates, ESTIMATES_KEY);
+}
@@ -1,11 +1,17 @@
-import { validate } from './validate.js';
+import { formatTable, validate } from './validate.js';
 import { announce, focusErrorSummary } from './a11y.js';
 import { rememberInputs, recallInputs } from './store.js';
 import { exportCSV, exportPDF, exportPrint, exportXLSX } from './export.js';
+import { addCalculatorResult, applyCalculatorModifiers } from './estimate.js';
+import { escapeHtml } from './html.js';
+import { formatNumber } from './units.js';
+
+const PREVIEW_PADDING = 12;
+const PREVIEW_GAP_FT = 4;
 
 function markdownToHtml(markdown) {
   if (!markdown) return '';
-  return markdown
+  return escapeHtml(markdown)
     .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
     .replace(/`([^`]+)`/g, '<code>$1</code>')
     .split('\n')
@@ -13,9 +19,85 @@ function markdownToHtml(markdown) {
     .join('');
 }
 
+function renderDetailCell(cell, heat) {
+  if (!heat) return `<td>${escapeHtml(cell)}</td>`;
+  const tone = heat > 0 ? 'cut' : 'fill';
+  return `<td class="heat heat--${tone}" style="--heat: ${Math.min(Math.abs(heat), 1).toFixed(2)}">${escapeHtml(cell)}</td>`;
+}
+
+function renderDetailTable(detail) {
+  const head = detail.columns.map((column) => `<th scope="col">${escapeHtml(column)}</th>`).join('');
+  const rows = detail.rows
+    .map(
+      (row, rowIndex) =>
+        `<tr>${row.map((cell, index) => (index === 0 ? `<th scope="row">${escapeHtml(cell)}</th>` : renderDetailCell(cell, detail.heat?.[rowIndex]?.[index - 1]))).join('')}</tr>`
+    )
+    .join('');
+  const variant = detail.heat ? ' table--heatmap' : '';
+  return `<table class="table table--detail${variant}"><caption>${escapeHtml(detail.title)}</caption><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
 function renderCostTable(table) {
-  const rows = table.map((row) => `<tr><th scope="row">${row.label}</th><td>${row.value}</td></tr>`).join('');
-  return `<table class="table"><thead><tr><th scope="col">Line Item</th><th scope="col">Amount</th></tr></thead><tbody>${rows}</tbody></table>`;
+  const withCodes = table.some((row) => row.code);
+  const rows = table
+    .map((row) => `<tr>${withCodes ? `<td>${escapeHtml(row.code)}</td>` : ''}<th scope="row">${escapeHtml(row.label)}</th><td>${escapeHtml(row.value)}</td></tr>`)
+    .join('');
+  const codeHeader = withCodes ? '<th scope="col">Cost Code</th>' : '';
+  return `<table class="table"><thead><tr>${codeHeader}<th scope="col">Line Item</th><th scope="col">Amount</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function previewShapes(schema, name, formData) {
+  const rules = schema[name];
+  if (!rules) return [];
+  const { valid, state } = validate({ [name]: rules }, formData);
+  if (!valid || !state[name]) return [];
+  if (rules.type === 'polygon') return [state[name]];
+  const keys = rules.columns.filter((column) => column.type === 'polygon').map((column) => column.key);
+  return state[name].flatMap((row) => keys.map((key) => row[key]).filter(Boolean));
+}
+
+function drawGeometryPreview(canvas, shapes) {
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  if (!shapes.length) {
+    canvas.setAttribute('aria-label', 'No shape entered');
+    return;
+  }
+  const offsets = [];
+  let spanX = 0;
+  let spanY = 0;
+  for (const shape of shapes) {
+    offsets.push(spanX - shape.bounds.minX);
+    spanX += shape.lengthFt + PREVIEW_GAP_FT;
+    spanY = Math.max(spanY, shape.widthFt);
+  }
+  spanX -= PREVIEW_GAP_FT;
+  const scale = Math.min((canvas.width - 2 * PREVIEW_PADDING) / spanX, (canvas.height - 2 * PREVIEW_PADDING) / spanY);
+  const color = getComputedStyle(canvas).color;
+  context.strokeStyle = color;
+  context.fillStyle = color;
+  context.lineWidth = 1.5;
+  shapes.forEach((shape, index) => {
+    context.beginPath();
+    for (const ring of [shape.outline, ...shape.voids]) {
+      ring.forEach(([x, y], pointIndex) => {
+        const px = PREVIEW_PADDING + (x + offsets[index]) * scale;
+        const py = canvas.height - PREVIEW_PADDING - (y - shape.bounds.minY) * scale;
+        if (pointIndex === 0) context.moveTo(px, py);
+        else context.lineTo(px, py);
+      });
+      context.closePath();
+    }
+    context.globalAlpha = 0.2;
+    context.fill('evenodd');
+    context.globalAlpha = 1;
+    context.stroke();
+  });
+  const summary = shapes.map((shape) => {
+    const voids = shape.voids.length ? ` less ${shape.voids.length} void${shape.voids.length === 1 ? '' : 's'}` : '';
+    return `${formatNumber(shape.areaSqFt, { maximumFractionDigits: 0 })} sq ft${voids}`;
+  });
+  canvas.setAttribute('aria-label', `Shape preview: ${summary.join('; ')}`);
 }
 
 export function bindCalculator(root, calculator) {
@@ -27,13 +109,16 @@ export function bindCalculator(root, calculator) {
   const exportButtons = resultsPanel.querySelectorAll('[data-export]');
   const showMathBtn = resultsPanel.querySelector('[data-action="show-math"]');
   const showMathPanel = resultsPanel.querySelector('[data-panel="show-math"]');
+  const addToEstimateBtn = resultsPanel.querySelector('[data-action="add-to-estimate"]');
   const calculatorId = calculator.id;
+  const schema = calculator.schema;
 
   const defaults = { ...(calculator.defaults ?? {}), ...recallInputs(calculatorId) };
   for (const [name, value] of Object.entries(defaults)) {
     const field = form.elements.namedItem(name);
     if (field && value !== undefined && value !== null && value !== '') {
-      field.value = value;
+      if (Array.isArray(value) && schema[name]?.type === 'table') field.value = formatTable(schema[name].columns, value);
+      else field.value = value?.text ?? value;
     }
   }
 
@@ -41,9 +126,17 @@ export function bindCalculator(root, calculator) {
     calculator.init(root);
   }
 
-  const schema = calculator.schema;
   let lastState = null;
   let lastResult = null;
+  const previews = root.querySelectorAll('canvas[data-geometry-preview]');
+
+  function refreshPreviews() {
+    if (!previews.length) return;
+    const formData = new FormData(form);
+    previews.forEach((canvas) => {
+      drawGeometryPreview(canvas, previewShapes(schema, canvas.getAttribute('data-geometry-preview'), formData));
+    });
+  }
 
   function handleValidationFeedback() {
     const formData = new FormData(form);
@@ -63,14 +156,16 @@ export function bindCalculator(root, calculator) {
 
   form.addEventListener('input', handleValidationFeedback);
   form.addEventListener('change', handleValidationFeedback);
+  form.addEventListener('input', refreshPreviews);
   handleValidationFeedback();
+  refreshPreviews();
 
   form.addEventListener('submit', (event) => {
     event.preventDefault();
     const formData = new FormData(form);
     const { valid, state, errors } = validate(schema, formData);
     if (!valid) {
-      const list = errors.map((error) => `<li><a href="#${error.field}">${error.message}</a></li>`).join('');
+      const list = errors.map((error) => `<li><a href="#${escapeHtml(error.field)}">${escapeHtml(error.message)}</a></li>`).join('');
       errorSummary.innerHTML = `<h2>Check the highlighted fields</h2><ul>${list}</ul>`;
       errorSummary.hidden = false;
       focusErrorSummary(errorSummary);
@@ -87,19 +182,25 @@ export function bindCalculator(root, calculator) {
     const costTable = calculator.costTable ? calculator.costTable(lastResult) : [];
 
     const summaryHtml = summary
-      ? `<div class="summary-box"><div class="summary-box__title">${summary.label}</div><div class="summary-box__value">${summary.value}</div></div>`
+      ? `<div class="summary-box"><div class="summary-box__title">${escapeHtml(summary.label)}</div><div class="summary-box__value">${escapeHtml(summary.value)}</div></div>`
       : '';
 
     const tableHtml = costTable.length ? renderCostTable(costTable) : '';
     const assumptions = calculator.assumptions ? calculator.assumptions(lastResult) : [];
     const assumptionsHtml = assumptions.length
-      ? `<ul>${assumptions.map((item) => `<li>${item}</li>`).join('')}</ul>`
+      ? `<ul>${assumptions.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
       : '';
 
     resultsPanel.querySelector('[data-result="summary"]').innerHTML = summaryHtml;
     resultsPanel.querySelector('[data-result="table"]').innerHTML = tableHtml;
     resultsPanel.querySelector('[data-result="assumptions"]').innerHTML = assumptionsHtml;
 
+    const detailsContainer = resultsPanel.querySelector('[data-result="details"]');
+    if (detailsContainer) {
+      const details = calculator.details ? calculator.details(lastResult) : [];
+      detailsContainer.innerHTML = details.map(renderDetailTable).join('');
+    }
+
     const mathMarkdown = calculator.explain ? calculator.explain(state, lastResult) : '';
     showMathPanel.innerHTML = `<div class="show-math">${markdownToHtml(mathMarkdown)}</div>`;
 
@@ -119,6 +220,23 @@ export function bindCalculator(root, calculator) {
     }
   });
 
+  if (addToEstimateBtn) {
+    addToEstimateBtn.hidden = !calculator.estimateLine && !calculator.estimateModifiers;
+    addToEstimateBtn.addEventListener('click', () => {
+      if (!lastState || !lastResult) {
+        announce(liveRegion, 'Calculate a result before adding it to an estimate.');
+        return;
+      }
+      if (calculator.estimateModifiers) {
+        const { estimate } = applyCalculatorModifiers(calculator, lastState, lastResult);
+        announce(liveRegion, `Updated contingency, markup, and tax on ${estimate.name}.`);
+        return;
+      }
+      const { estimate } = addCalculatorResult(calculator, lastState, lastResult);
+      announce(liveRegion, `Added to ${estimate.name}.`);
+    });
+  }
+
   exportButtons.forEach((button) => {
     button.addEventListener('click', () => {
       if (!lastState || !lastResult) return;
@@ -19,12 +19,20 @@ export function round(value, precision = 2) {
   return Math.round(value * factor) / factor;
 }
 
+export function roundUp(value) {
+  return Math.ceil(round(value, 6));
+}
+
 export function formatNumber(value, options = {}) {
   const { style = 'decimal', maximumFractionDigits = 2, minimumFractionDigits = 0 } = options;
   const formatter = new Intl.NumberFormat('en-US', { style, maximumFractionDigits, minimumFractionDigits });
   return formatter.format(value);
 }
 
+export function formatCurrency(value) {
+  return `$${formatNumber(value, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}`;
+}
+
 export function areaSqFt(lengthFt, widthFt) {
   return lengthFt * widthFt;
 }
@@ -55,3 +63,244 @@ export function parseNumber(input) {
   const value = Number(String(input).replace(/,/g, ''));
   return Number.isFinite(value) ? value : null;
 }
+
+const CLOSURE_TOLERANCE_FT = 0.1;
+const CARDINALS = { N: [0, 1], E: [1, 0], S: [0, -1], W: [-1, 0] };
+const CARDINAL_SEGMENT = /^([NESW])\s+(\d+(?:\.\d+)?)$/i;
+const QUADRANT_SEGMENT = /^([NS])\s*(\d+(?:\.\d+)?)\s*([EW])\s+(\d+(?:\.\d+)?)$/i;
+const START_POINT = /^@\s*(-?\d+(?:\.\d+)?)\s+(-?\d+(?:\.\d+)?)$/;
+const VERTEX = /^(-?\d+(?:\.\d+)?)\s+(-?\d+(?:\.\d+)?)$/;
+
+export function polygonArea(points) {
+  let twiceArea = 0;
+  for (const [index, [x1, y1]] of points.entries()) {
+    const [x2, y2] = points[(index + 1) % points.length];
+    twiceArea += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(twiceArea) / 2;
+}
+
+export function polygonPerimeter(points) {
+  return points.reduce((sum, [x1, y1], index) => {
+    const [x2, y2] = points[(index + 1) % points.length];
+    return sum + Math.hypot(x2 - x1, y2 - y1);
+  }, 0);
+}
+
+function segmentVector(token) {
+  const cardinal = token.match(CARDINAL_SEGMENT);
+  if (cardinal) {
+    const [dx, dy] = CARDINALS[cardinal[1].toUpperCase()];
+    return [dx * Number(cardinal[2]), dy * Number(cardinal[2])];
+  }
+  const quadrant = token.match(QUADRANT_SEGMENT);
+  if (!quadrant) return null;
+  const angle = (Number(quadrant[2]) * Math.PI) / 180;
+  const length = Number(quadrant[4]);
+  const dx = Math.sin(angle) * (quadrant[3].toUpperCase() === 'E' ? 1 : -1);
+  const dy = Math.cos(angle) * (quadrant[1].toUpperCase() === 'N' ? 1 : -1);
+  return [dx * length, dy * length];
+}
+
+// A ring is either "x y; x y; …" vertices or "@x y; N 20; N45E 10; …" bearing segments from a start point.
+function parseRing(text, name) {
+  const tokens = text
+    .split(';')
+    .map((token) => token.trim())
+    .filter(Boolean);
+  const points = [];
+  if (tokens.length && /^[@NESW]/i.test(tokens[0])) {
+    const start = tokens[0].match(START_POINT);
+    let [x, y] = start ? [Number(start[1]), Number(start[2])] : [0, 0];
+    points.push([x, y]);
+    for (const token of start ? tokens.slice(1) : tokens) {
+      const vector = segmentVector(token);
+      if (!vector) return { error: `${name}: “${token}” is not a bearing and length` };
+      x += vector[0];
+      y += vector[1];
+      points.push([x, y]);
+    }
+    const [startX, startY] = points[0];
+    const misclosure = Math.hypot(x - startX, y - startY);
+    if (misclosure > CLOSURE_TOLERANCE_FT) {
+      return { error: `${name} does not close (off by ${formatNumber(misclosure)} ft)` };
+    }
+    points.pop();
+  } else {
+    for (const token of tokens) {
+      const vertex = token.match(VERTEX);
+      if (!vertex) return { error: `${name}: “${token}” is not an x y point` };
+      points.push([Number(vertex[1]), Number(vertex[2])]);
+    }
+    const [first, last] = [points[0], points[points.length - 1]];
+    if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+  }
+  if (points.length < 3) return { error: `${name} needs at least 3 points` };
+  if (polygonArea(points) === 0) return { error: `${name} encloses no area` };
+  const crossing = selfCrossing(points);
+  if (crossing) return { error: `${name} crosses itself at segment ${crossing}` };
+  return { points };
+}
+
+const GEOMETRY_EPSILON = 1e-9;
+
+function cross([ax, ay], [bx, by], [cx, cy]) {
+  return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+}
+
+function onSegment(point, start, end) {
+  if (Math.abs(cross(start, end, point)) > GEOMETRY_EPSILON * Math.max(1, Math.hypot(end[0] - start[0], end[1] - start[1]))) return false;
+  return (
+    point[0] >= Math.min(start[0], end[0]) - GEOMETRY_EPSILON &&
+    point[0] <= Math.max(start[0], end[0]) + GEOMETRY_EPSILON &&
+    point[1] >= Math.min(start[1], end[1]) - GEOMETRY_EPSILON &&
+    point[1] <= Math.max(start[1], end[1]) + GEOMETRY_EPSILON
+  );
+}
+
+function edges(ring) {
+  return ring.map((point, index) => [point, ring[(index + 1) % ring.length]]);
+}
+
+// Returns 'inside', 'boundary', or 'outside'.
+function locatePoint(point, ring) {
+  let inside = false;
+  for (const [start, end] of edges(ring)) {
+    if (onSegment(point, start, end)) return 'boundary';
+    if (start[1] > point[1] !== end[1] > point[1]) {
+      const x = start[0] + ((point[1] - start[1]) * (end[0] - start[0])) / (end[1] - start[1]);
+      if (point[0] < x) inside = !inside;
+    }
+  }
+  return inside ? 'inside' : 'outside';
+}
+
+function oppositeSides(first, second) {
+  return (first > GEOMETRY_EPSILON && second < -GEOMETRY_EPSILON) || (first < -GEOMETRY_EPSILON && second > GEOMETRY_EPSILON);
+}
+
+function edgesCross(first, second) {
+  return edges(first).some(([a, b]) =>
+    edges(second).some(([c, d]) => oppositeSides(cross(c, d, a), cross(c, d, b)) && oppositeSides(cross(a, b, c), cross(a, b, d)))
+  );
+}
+
+function segmentsTouch([a, b], [c, d]) {
+  if (oppositeSides(cross(c, d, a), cross(c, d, b)) && oppositeSides(cross(a, b, c), cross(a, b, d))) return true;
+  return onSegment(a, c, d) || onSegment(b, c, d) || onSegment(c, a, b) || onSegment(d, a, b);
+}
+
+// Shoelace area is only meaningful for a simple ring: returns the 1-based segment that first meets an earlier, non-adjacent one.
+function selfCrossing(ring) {
+  const sides = edges(ring);
+  for (let later = 2; later < sides.length; later += 1) {
+    for (let earlier = later === sides.length - 1 ? 1 : 0; earlier < later - 1; earlier += 1) {
+      if (segmentsTouch(sides[earlier], sides[later])) return later + 1;
+    }
+  }
+  return null;
+}
+
+function vertexCentroid(ring) {
+  return [ring.reduce((sum, [x]) => sum + x, 0) / ring.length, ring.reduce((sum, [, y]) => sum + y, 0) / ring.length];
+}
+
+// Voids are subtracted by full area, so each must sit inside the outline and clear of the others.
+function checkVoids(outline, voids) {
+  for (const [index, ring] of voids.entries()) {
+    if (ring.some((point) => locatePoint(point, outline) === 'outside') || edgesCross(ring, outline)) {
+      return `void ${index + 1} extends outside the outline`;
+    }
+    for (const [otherIndex, other] of voids.slice(0, index).entries()) {
+      const overlaps =
+        edgesCross(ring, other) ||
+        ring.some((point) => locatePoint(point, other) === 'inside') ||
+        other.some((point) => locatePoint(point, ring) === 'inside') ||
+        locatePoint(vertexCentroid(ring), other) === 'inside' ||
+        locatePoint(vertexCentroid(other), ring) === 'inside';
+      if (overlaps) return `void ${index + 1} overlaps void ${otherIndex + 1}`;
+    }
+  }
+  return null;
+}
+
+export function rectangleGeometry(lengthFt, widthFt) {
+  return buildGeometry(
+    [
+      [0, 0],
+      [lengthFt, 0],
+      [lengthFt, widthFt],
+      [0, widthFt]
+    ],
+    []
+  );
+}
+
+function buildGeometry(outline, voids) {
+  const xs = outline.map(([x]) => x);
+  const ys = outline.map(([, y]) => y);
+  const grossAreaSqFt = polygonArea(outline);
+  const voidAreaSqFt = voids.reduce((sum, ring) => sum + polygonArea(ring), 0);
+  return {
+    outline,
+    voids,
+    grossAreaSqFt,
+    voidAreaSqFt,
+    areaSqFt: grossAreaSqFt - voidAreaSqFt,
+    perimeterFt: polygonPerimeter(outline),
+    voidPerimeterFt: voids.reduce((sum, ring) => sum + polygonPerimeter(ring), 0),
+    bounds: { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) },
+    lengthFt: Math.max(...xs) - Math.min(...xs),
+    widthFt: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+// Rings are separated by "/": the first is the outline, the rest are voids subtracted from it.
+export function parseGeometry(text) {
+  const rings = String(text ?? '')
+    .split('/')
+    .map((ring) => ring.trim());
+  if (!rings[0]) return { error: 'enter an outline' };
+  const parsed = [];
+  for (const [index, ring] of rings.entries()) {
+    const result = parseRing(ring, index === 0 ? 'outline' : `void ${index}`);
+    if (result.error) return result;
+    parsed.push(result.points);
+  }
+  const [outline, ...voids] = parsed;
+  const voidError = checkVoids(outline, voids);
+  if (voidError) return { error: voidError };
+  const geometry = buildGeometry(outline, voids);
+  if (geometry.areaSqFt <= 0) return { error: 'voids remove the whole outline' };
+  return { geometry };
+}
+
+// Lengths of the chords cut by parallel lines at the given spacing (even-odd fill, so voids split runs).
+export function scanlineRuns(geometry, spacingFt, axis = 'x') {
+  const rings = [geometry.outline, ...geometry.voids];
+  const across = axis === 'x' ? 1 : 0;
+  const along = 1 - across;
+  const min = axis === 'x' ? geometry.bounds.minY : geometry.bounds.minX;
+  const max = axis === 'x' ? geometry.bounds.maxY : geometry.bounds.maxX;
+  const count = Math.ceil(round((max - min) / spacingFt, 6)) + 1;
+  const runs = [];
+  for (let index = 0; index < count; index += 1) {
+    const position = Math.min(min + index * spacingFt, max - 1e-6);
+    const crossings = [];
+    for (const ring of rings) {
+      for (const [pointIndex, start] of ring.entries()) {
+        const end = ring[(pointIndex + 1) % ring.length];
+        const [a, b] = [start[across], end[across]];
+        if ((a <= position && position < b) || (b <= position && position < a)) {
+          crossings.push(start[along] + ((position - a) * (end[along] - start[along])) / (b - a));
+        }
+      }
+    }
+    crossings.sort((first, second) => first - second);
+    for (let pair = 0; pair + 1 < crossings.length; pair += 2) {
+      const length = crossings[pair + 1] - crossings[pair];
+      if (length > 1e-6) runs.push(length);
+    }
+  }
+  return { lines: count, runs };
+}
@@ -1,3 +1,5 @@
+import { parseGeometry } from './units.js';
+
 const validators = {
   number({ value, min, max, required }) {
     if (value === null || value === undefined || value === '') {
@@ -26,11 +28,154 @@ const validators = {
     }
     return { valid: true, value };
   },
+  polygon({ value, required }) {
+    const text = String(value ?? '').trim();
+    if (!text) {
+      if (required) return { valid: false, message: 'Required field' };
+      return { valid: true, value: null };
+    }
+    const { geometry, error } = parseGeometry(text);
+    if (error) return { valid: false, message: error.charAt(0).toUpperCase() + error.slice(1) };
+    return { valid: true, value: { ...geometry, text } };
+  },
   boolean({ value }) {
     return { valid: true, value: Boolean(value) };
+  },
+  table({ value, columns, required, maxRows = 200, rowCheck }) {
+    const lines = String(value ?? '')
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'));
+    if (lines.length && isHeaderRow(lines[0], columns)) {
+      lines.shift();
+    }
+    if (!lines.length) {
+      if (required) return { valid: false, message: 'Add at least one row' };
+      return { valid: true, value: [] };
+    }
+    if (lines.length > maxRows) {
+      return { valid: false, message: `Limit ${maxRows} rows` };
+    }
+    const rows = [];
+    for (const [index, line] of lines.entries()) {
+      const cells = splitCells(line);
+      const row = {};
+      for (const [position, column] of columns.entries()) {
+        const { valid, value: cellValue, message } = parseCell(cells[position] ?? '', column);
+        if (!valid) {
+          return { valid: false, message: `Row ${index + 1}, ${column.label}: ${message}` };
+        }
+        row[column.key] = cellValue;
+      }
+      const rowMessage = rowCheck?.(row);
+      if (rowMessage) {
+        return { valid: false, message: `Row ${index + 1}: ${rowMessage}` };
+      }
+      rows.push(row);
+    }
+    return { valid: true, value: rows };
   }
 };
 
+// RFC 4180 fields within a line: "…" may hold commas, and "" inside quotes is a literal quote.
+function splitCells(line) {
+  const cells = [];
+  let index = 0;
+  while (index <= line.length) {
+    while (line[index] === ' ' || line[index] === '\t') index += 1;
+    let cell = '';
+    if (line[index] === '"') {
+      index += 1;
+      while (index < line.length) {
+        if (line[index] === '"' && line[index + 1] === '"') {
+          cell += '"';
+          index += 2;
+        } else if (line[index] === '"') {
+          index += 1;
+          break;
+        } else {
+          cell += line[index];
+          index += 1;
+        }
+      }
+      const comma = line.indexOf(',', index);
+      index = comma === -1 ? line.length : comma;
+    } else {
+      const comma = line.indexOf(',', index);
+      const end = comma === -1 ? line.length : comma;
+      cell = line.slice(index, end).trim();
+      index = end;
+    }
+    cells.push(cell);
+    index += 1;
+  }
+  return cells;
+}
+
+function quoteCell(cell) {
+  const text = String(cell);
+  return /,|^\s*"/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function isHeaderRow(line, columns) {
+  const first = splitCells(line)[0].toLowerCase();
+  return first === columns[0].key.toLowerCase() || first === columns[0].label.toLowerCase();
+}
+
+function parseCell(raw, column) {
+  const parsed = parseCellValue(raw, column);
+  if (!parsed.valid || !column.check || raw === '') return parsed;
+  const message = column.check(parsed.value);
+  return message ? { valid: false, message } : parsed;
+}
+
+function parseCellValue(raw, column) {
+  if (raw === '') {
+    if (column.default !== undefined) return { valid: true, value: column.default };
+    if (column.required) return { valid: false, message: 'required' };
+    return { valid: true, value: column.type === 'list' ? [] : null };
+  }
+  if (column.type === 'number') {
+    const numeric = Number(raw);
+    if (!Number.isFinite(numeric)) return { valid: false, message: 'enter a number' };
+    if (column.min !== undefined && numeric < column.min) return { valid: false, message: `must be ≥ ${column.min}` };
+    if (column.max !== undefined && numeric > column.max) return { valid: false, message: `must be ≤ ${column.max}` };
+    return { valid: true, value: numeric };
+  }
+  if (column.type === 'select') {
+    const option = column.options.find((candidate) => candidate.toLowerCase() === raw.toLowerCase());
+    if (!option) return { valid: false, message: `use ${column.options.join(' / ')}` };
+    return { valid: true, value: option };
+  }
+  if (column.type === 'polygon') {
+    const { geometry, error } = parseGeometry(raw);
+    if (error) return { valid: false, message: error };
+    return { valid: true, value: { ...geometry, text: raw } };
+  }
+  if (column.type === 'list') {
+    const items = raw.split(';').map((item) => item.trim()).filter(Boolean);
+    const invalid = column.pattern ? items.find((item) => !column.pattern.test(item)) : undefined;
+    if (invalid !== undefined) return { valid: false, message: `“${invalid}” is not valid` };
+    return { valid: true, value: items };
+  }
+  return { valid: true, value: raw };
+}
+
+export function formatTable(columns, rows = []) {
+  return rows
+    .map((row) =>
+      columns
+        .map((column) => {
+          const cell = row[column.key];
+          if (Array.isArray(cell)) return quoteCell(cell.join('; '));
+          if (cell?.text) return quoteCell(cell.text);
+          return quoteCell(cell ?? '');
+        })
+        .join(', ')
+    )
+    .join('\n');
+}
+
 export function validate(schema, formData) {
   const state = {};
   const errors = [];
@@ -38,9 +183,11 @@ export function validate(schema, formData) {
   for (const [key, rules] of Object.entries(schema)) {
     const validator = validators[rules.type];
     if (!validator) continue;
+    const waived = rules.unlessFilled && String(formData.get(rules.unlessFilled) ?? '').trim() !== '';
     const { valid, value, message } = validator({
       value: formData.get(key),
-      ...rules
+      ...rules,
+      required: rules.required && !waived
     });
     if (!valid) {
       errors.push({ field: key, message });
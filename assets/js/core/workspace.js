@@ -0,0 +1,181 @@
+import { announce } from './a11y.js';
+import { exportCSV, exportPDF, exportXLSX } from './export.js';
+import { escapeHtml } from './html.js';
+import { formatNumber } from './units.js';
+import {
+  createEstimate,
+  deleteEstimate,
+  duplicateEstimate,
+  exportEstimate,
+  getActiveEstimate,
+  listEstimates,
+  removeLineItem,
+  renameEstimate,
+  rollupEstimate,
+  setActiveEstimate,
+  updateModifiers
+} from './estimate.js';
+
+const MODIFIER_FIELDS = ['contingencyRate', 'markupRate', 'taxRate'];
+
+function currency(value) {
+  return `$${formatNumber(value, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}`;
+}
+
+function percent(rate) {
+  return `${formatNumber(rate * 100, { maximumFractionDigits: 2 })}%`;
+}
+
+function renderTrade(group) {
+  const rows = group.lines
+    .map(
+      (line) => `<tr><td>${escapeHtml(line.costCode)}</td><th scope="row">${escapeHtml(line.description)}</th><td>${formatNumber(line.quantity, { maximumFractionDigits: 2 })} ${escapeHtml(line.unit)}</td><td>${currency(line.material)}</td><td>${currency(line.labor)}</td><td>${currency(line.equipment)}</td><td><button type="button" class="button button--ghost" data-remove-line="${escapeHtml(line.id)}" aria-label="Remove ${escapeHtml(line.description)}">Remove</button></td></tr>`
+    )
+    .join('');
+  return `<table class="table workspace__table"><caption>${escapeHtml(group.trade)} — ${currency(group.subtotal)}</caption><thead><tr><th scope="col">Cost Code</th><th scope="col">Line Item</th><th scope="col">Quantity</th><th scope="col">Material</th><th scope="col">Labor</th><th scope="col">Equipment</th><th scope="col"><span class="visually-hidden">Actions</span></th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function renderDivisions(rollup) {
+  const rows = rollup.divisions
+    .map(
+      (division) => `<tr><td>${division.division}</td><th scope="row">${escapeHtml(division.name)}</th><td>${currency(division.material)}</td><td>${currency(division.labor)}</td><td>${currency(division.equipment)}</td><td>${currency(division.subtotal)}</td></tr>`
+    )
+    .join('');
+  return `<table class="table workspace__table"><caption>Division summary</caption><thead><tr><th scope="col">Division</th><th scope="col">Name</th><th scope="col">Material</th><th scope="col">Labor</th><th scope="col">Equipment</th><th scope="col">Subtotal</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function renderTotals(rollup) {
+  const rows = [
+    ['Material', currency(rollup.material)],
+    ['Labor', currency(rollup.labor)],
+    ['Equipment', currency(rollup.equipment)],
+    ['Direct Cost Subtotal', currency(rollup.subtotal)],
+    [`Contingency (${percent(rollup.contingencyRate)})`, currency(rollup.contingencyAmount)],
+    [`GC / Markup (${percent(rollup.markupRate)})`, currency(rollup.markupAmount)],
+    [`Sales Tax (${percent(rollup.taxRate)})`, currency(rollup.taxAmount)],
+    ['Project Total', currency(rollup.total)]
+  ]
+    .map(([label, value]) => `<tr><th scope="row">${label}</th><td>${value}</td></tr>`)
+    .join('');
+  return `<table class="table"><thead><tr><th scope="col">Project Roll-up</th><th scope="col">Amount</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+export function initEstimateWorkspace() {
+  const root = document.querySelector('[data-estimate-workspace]');
+  if (!root) return;
+
+  const select = root.querySelector('[data-estimate-select]');
+  const nameInput = root.querySelector('[data-estimate-name]');
+  const modifierInputs = root.querySelectorAll('[data-estimate-modifier]');
+  const liveRegion = root.querySelector('[data-estimate-live]');
+  const summary = root.querySelector('[data-estimate-summary]');
+  const divisions = root.querySelector('[data-estimate-divisions]');
+  const lines = root.querySelector('[data-estimate-lines]');
+  const totals = root.querySelector('[data-estimate-totals]');
+  const exportButtons = root.querySelectorAll('[data-estimate-export]');
+
+  function render() {
+    const active = getActiveEstimate();
+    const estimates = listEstimates();
+    select.innerHTML = estimates
+      .map((estimate) => `<option value="${escapeHtml(estimate.id)}"${estimate.id === active?.id ? ' selected' : ''}>${escapeHtml(estimate.name)}</option>`)
+      .join('');
+    select.disabled = !estimates.length;
+    root.querySelectorAll('[data-estimate-action]:not([data-estimate-action="create"])').forEach((button) => {
+      button.disabled = !active;
+    });
+    modifierInputs.forEach((input) => {
+      input.disabled = !active;
+    });
+    exportButtons.forEach((button) => {
+      button.disabled = !active?.lines.length;
+    });
+
+    if (!active) {
+      nameInput.value = '';
+      summary.innerHTML = '<p>No estimates yet. Create one, then use <strong>Add to estimate</strong> on any calculator.</p>';
+      divisions.innerHTML = '';
+      lines.innerHTML = '';
+      totals.innerHTML = '';
+      return;
+    }
+
+    nameInput.value = active.name;
+    const rollup = rollupEstimate(active);
+    modifierInputs.forEach((input) => {
+      const rate = rollup[input.name];
+      input.value = formatNumber(rate * 100, { maximumFractionDigits: 4 }).replace(/,/g, '');
+    });
+
+    summary.innerHTML = `<div class="summary-box"><div class="summary-box__title">${escapeHtml(active.name)} · ${active.lines.length} line item(s) across ${rollup.trades.length} trade(s)</div><div class="summary-box__value">${currency(rollup.total)}</div></div>`;
+    divisions.innerHTML = rollup.divisions.length ? renderDivisions(rollup) : '';
+    lines.innerHTML = rollup.trades.length
+      ? rollup.trades.map(renderTrade).join('')
+      : '<p>This estimate is empty. Open a calculator, calculate, and choose <strong>Add to estimate</strong>.</p>';
+    totals.innerHTML = renderTotals(rollup);
+  }
+
+  select.addEventListener('change', () => {
+    setActiveEstimate(select.value);
+    render();
+  });
+
+  root.querySelectorAll('[data-estimate-action]').forEach((button) => {
+    button.addEventListener('click', () => {
+      const action = button.getAttribute('data-estimate-action');
+      const active = getActiveEstimate();
+      if (action === 'create') {
+        const estimate = createEstimate(`Estimate ${listEstimates().length + 1}`);
+        announce(liveRegion, `Created ${estimate.name}.`);
+      } else if (action === 'rename' && active) {
+        renameEstimate(active.id, nameInput.value);
+        announce(liveRegion, `Renamed to ${active.name}.`);
+      } else if (action === 'duplicate' && active) {
+        const copy = duplicateEstimate(active.id);
+        announce(liveRegion, `Duplicated as ${copy.name}.`);
+      } else if (action === 'delete' && active) {
+        if (!window.confirm(`Delete ${active.name}? This cannot be undone.`)) return;
+        deleteEstimate(active.id);
+        announce(liveRegion, `Deleted ${active.name}.`);
+      }
+      render();
+    });
+  });
+
+  modifierInputs.forEach((input) => {
+    input.addEventListener('change', () => {
+      const active = getActiveEstimate();
+      if (!active || !MODIFIER_FIELDS.includes(input.name) || input.value === '') return;
+      updateModifiers(active.id, { [input.name]: Number(input.value) / 100 });
+      render();
+      announce(liveRegion, 'Project modifiers updated.');
+    });
+  });
+
+  exportButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+      const active = getActiveEstimate();
+      if (!active?.lines.length) return;
+      const payload = exportEstimate(active);
+      const mode = button.getAttribute('data-estimate-export');
+      if (mode === 'csv') {
+        exportCSV(payload.csv.rows, payload.csv.filename);
+      } else if (mode === 'xlsx') {
+        exportXLSX(payload.xlsx.rows, payload.xlsx.filename);
+      } else if (mode === 'pdf') {
+        exportPDF(payload.pdf.lines, payload.pdf.filename);
+      }
+    });
+  });
+
+  lines.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-remove-line]');
+    const active = getActiveEstimate();
+    if (!button || !active) return;
+    removeLineItem(active.id, button.getAttribute('data-remove-line'));
+    render();
+    announce(liveRegion, 'Line item removed.');
+  });
+
+  render();
+}
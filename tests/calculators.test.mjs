@@ -1,7 +1,29 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import { readdir } from 'node:fs/promises';
 
 import { calculator as concrete } from '../assets/js/calculators/concrete-slab-pro.js';
+import { calculator as roofing } from '../assets/js/calculators/roofing.js';
+import { calculator as framing } from '../assets/js/calculators/framing-takeoff.js';
+import { calculator as drywall } from '../assets/js/calculators/drywall-act.js';
+import { calculator as paint } from '../assets/js/calculators/paint-coatings.js';
+import { calculator as flooring } from '../assets/js/calculators/flooring.js';
+import { calculator as earthwork } from '../assets/js/calculators/earthwork.js';
+import { calculator as masonry } from '../assets/js/calculators/masonry.js';
+import { calculator as steel } from '../assets/js/calculators/structural-steel.js';
+import { calculator as asphalt } from '../assets/js/calculators/asphalt-paving.js';
+import { calculator as electrical } from '../assets/js/calculators/electrical.js';
+import { calculator as hvac } from '../assets/js/calculators/hvac.js';
+import { calculator as plumbing } from '../assets/js/calculators/plumbing.js';
+import { calculator as contingency } from '../assets/js/calculators/contingency-fees.js';
+import { calculator as generalConditions } from '../assets/js/calculators/general-conditions.js';
+import { calculator as demolition } from '../assets/js/calculators/demolition.js';
+import { calculator as siteConcrete } from '../assets/js/calculators/site-concrete.js';
+import { calculator as doorsWindows } from '../assets/js/calculators/doors-windows.js';
+import { calculator as insulation } from '../assets/js/calculators/insulation.js';
+import { calculator as firestopping } from '../assets/js/calculators/firestopping.js';
+import { calculator as waterproofing } from '../assets/js/calculators/waterproofing.js';
+import { validate } from '../assets/js/core/validate.js';
 
 const baseState = {
   ...concrete.defaults,
@@ -33,3 +55,777 @@ test('Concrete Slab Pro explanation includes volume line', () => {
   assert.match(explanation, /Volume/);
   assert.match(explanation, /Total/);
 });
+
+test('Concrete Slab Pro cost table and export rows carry MasterFormat codes', () => {
+  const result = concrete.compute(baseState);
+  const table = concrete.costTable(result);
+  assert.equal(table[0].code, '03 30 00');
+  const exports = concrete.export(baseState, result);
+  assert.equal(exports.csv.rows[0][0], 'Cost Code');
+  assert.equal(exports.csv.rows[2][0], '03 21 00');
+});
+
+test('Concrete Slab Pro leaves thickened edges, footings, base, and vapor retarder off unless entered', () => {
+  const result = concrete.compute(baseState);
+  assert.equal(result.metrics.thickenedLf, 0);
+  assert.equal(result.metrics.footingFt3, 0);
+  assert.equal(result.metrics.baseTons, 0);
+  assert.equal(result.metrics.vaporRolls, 0);
+  assert.deepEqual(
+    result.lines.map((line) => line.code),
+    ['03 30 00', '03 21 00', '03 31 00', '03 35 00', '03 31 00']
+  );
+  assert.ok(concrete.assumptions(result).includes('No aggregate base'));
+});
+
+test('Concrete Slab Pro laps rebar from stock lengths and charges a pump per pour', () => {
+  const state = {
+    ...baseState,
+    length_ft: 60,
+    width_ft: 20,
+    waste_percent: 0,
+    edge_lf: 0,
+    base_thickness_in: 0,
+    vapor_barrier: 'none',
+    stock_length_ft: '20',
+    rebar_lap_in: 24,
+    pour_count: 3
+  };
+  const result = concrete.compute(state);
+  const [lengthBars, widthBars] = result.rebarGroups;
+  assert.equal(lengthBars.piecesPerBar, 4);
+  assert.equal(lengthBars.lf, 21 * 66);
+  assert.equal(widthBars.lapsPerBar, 0);
+  assert.ok(Math.abs(result.metrics.rebarTons - (2606 * 0.668) / 2000) < 1e-9);
+  const pump = result.lines.find((line) => line.item === 'Concrete pump (per pour)');
+  assert.equal(pump.quantity, 3);
+  assert.equal(result.lines.some((line) => line.code === '07 26 00'), false);
+  assert.deepEqual(result.cutPlan.purchases, [{ stock: 20, count: 124 + 7 }]);
+  assert.equal(result.cutPlan.dropLength, 7 * 2);
+  assert.ok(concrete.export(state, result).csv.rows.some((row) => row[0] === 'Rebar cut list (#4)'));
+
+  const mesh = concrete.compute({ ...state, reinforcement: 'wwm', edge_lf: null, edge_depth_in: 10 });
+  assert.equal(mesh.metrics.wwmSheets, 9);
+  assert.deepEqual(
+    mesh.rebarGroups.map((group) => group.label),
+    ['Thickened edge']
+  );
+  assert.ok(Math.abs(mesh.metrics.edgeFt3 - 160 * 1 * 0.5) < 1e-9);
+});
+
+test('Slab, flooring, and drywall take an L-shaped outline with a void in place of length × width', () => {
+  const form = new FormData();
+  form.set('rooms', 'Lobby, , , 6, 2, 0 0; 40 0; 40 20; 20 20; 20 35; 0 35 / @5 5; E 4; N 4; W 4; S 4');
+  const shape = validate({ rooms: flooring.schema.rooms }, form).state.rooms[0].shape;
+
+  const slab = concrete.compute({ ...baseState, length_ft: null, width_ft: null, shape, edge_lf: 0, stock_length_ft: '40', rebar_lap_in: 0 });
+  assert.equal(slab.metrics.areaSqFt, 1084);
+  assert.equal(slab.metrics.perimeterFt, 166);
+  assert.ok(Math.abs(slab.metrics.slabFt3 - 1084 / 3) < 1e-9);
+  assert.deepEqual(
+    slab.rebarGroups.filter((group) => group.label === 'Length direction').map((group) => [group.runFt, group.bars]),
+    [
+      [40, 16],
+      [31, 4],
+      [20, 16],
+      [5, 4]
+    ]
+  );
+  assert.match(concrete.assumptions(slab).join('\n'), /1,084 SF net of 1 void/);
+  assert.match(concrete.estimateLine(slab.inputs, slab).description, /^1,084 SF shaped slab/);
+
+  const floors = flooring.compute({ ...flooring.defaults, include_base: true, rooms: [{ name: 'Lobby', length_ft: null, width_ft: null, openings_ft: 6, transitions: 2, shape }] });
+  assert.equal(floors.metrics.totalSqFt, 1084);
+  assert.equal(floors.metrics.baseLf, 160);
+
+  const walls = drywall.compute({
+    ...drywall.defaults,
+    rooms: [{ name: 'Lobby', perimeter_ft: null, height_ft: 10, ceiling_sqft: null, openings_sqft: 0, ceiling: 'act', layers: 1, outside_corners: 0, shape }]
+  });
+  assert.equal(walls.metrics.wallBoardSqFt, 1660);
+  assert.equal(walls.metrics.actSqFt, 1084);
+  form.set('rooms', 'Lobby, , 10');
+  assert.equal(validate({ rooms: drywall.schema.rooms }, form).errors[0].message, 'Row 1: enter a perimeter or a shape');
+  form.set('rooms', 'Office, 48, 9, , 21, act');
+  assert.equal(validate({ rooms: drywall.schema.rooms }, form).errors[0].message, 'Row 1: enter a ceiling area or a shape for the act ceiling');
+  form.set('rooms', 'Stair, 44, 24, , 21, none');
+  assert.equal(validate({ rooms: drywall.schema.rooms }, form).valid, true);
+});
+
+test('Every calculator module declares a MasterFormat section code', async () => {
+  const files = (await readdir('assets/js/calculators')).filter((file) => !file.startsWith('_'));
+  for (const file of files) {
+    const { calculator } = await import(`../assets/js/calculators/${file}`);
+    assert.match(calculator.costCode ?? '', /^\d{2} \d{2} \d{2}$/, `${file} should declare costCode`);
+  }
+});
+
+test('Roofing applies pitch factor and derives steep-slope accessories', () => {
+  const state = { ...roofing.defaults, length_ft: 40, width_ft: 30, overhang_in: 0, pitch_rise: 12, waste_percent: 0, include_markup: true };
+  const result = roofing.compute(state);
+  assert.ok(Math.abs(result.metrics.roofAreaSqFt - 1200 * Math.SQRT2) < 1e-6, '12/12 pitch should scale area by √2');
+  assert.equal(result.metrics.shingleBundles, Math.ceil(result.metrics.squares * 3));
+  assert.equal(result.metrics.eaveLf, 80);
+  assert.equal(result.metrics.ridgeLf, 40);
+  assert.ok(result.metrics.laborFactor > 1, 'steep pitch should increase labor');
+  assert.ok(result.totals.total > result.totals.subtotal);
+  assert.equal(roofing.assumptions(result).some((line) => line.startsWith('Warning:')), false);
+
+  const lowPitch = roofing.compute({ ...state, pitch_rise: 3 });
+  assert.equal(lowPitch.metrics.underlaymentPlies, 2);
+  assert.ok(Math.abs(lowPitch.metrics.underlaymentSqFt - 2 * (lowPitch.metrics.roofAreaSqFt - lowPitch.metrics.iceWaterSqFt)) < 1e-9);
+  assert.equal(roofing.assumptions(lowPitch).some((line) => line.startsWith('Warning:')), false);
+  const flat = roofing.compute({ ...state, pitch_rise: 1 });
+  assert.match(roofing.assumptions(flat)[0], /^Warning: asphalt shingles need at least 2\/12; at 1\/12 switch to the low-slope membrane system/);
+});
+
+test('Roofing hip style produces hips and low-slope mode prices membrane and boards', () => {
+  const hip = roofing.compute({ ...roofing.defaults, roof_style: 'hip', overhang_in: 0, length_ft: 50, width_ft: 30 });
+  assert.equal(hip.metrics.rakeLf, 0);
+  assert.equal(hip.metrics.ridgeLf, 20);
+  assert.ok(hip.metrics.hipLf > 0);
+
+  const low = roofing.compute({ ...roofing.defaults, system: 'low', pitch_rise: 0.25, insulation_layers: 2 });
+  assert.equal(low.metrics.insulationBoards, low.metrics.boardsPerLayer * 2);
+  assert.ok(low.lines.some((line) => line.item === 'TPO membrane rolls' && line.quantity > 0));
+  assert.equal(roofing.estimateLine(low.inputs, low).costCode, '07 54 00');
+  assert.match(roofing.explain(low.inputs, low), /Membrane rolls/);
+});
+
+test('Framing takeoff counts studs, headers, and stock-length purchases per wall', () => {
+  const state = {
+    ...framing.defaults,
+    waste_percent: 0,
+    walls: [{ name: 'Test', length_ft: 12, height_ft: 8, spacing_in: 16, top_plates: 2, corners: 2, intersections: 1, openings: ['3x4', '5'], sheathed: 'yes' }]
+  };
+  const result = framing.compute(state);
+  const [wall] = result.walls;
+  assert.equal(wall.studs, 10 + 4 + 2 + 8);
+  assert.equal(wall.plateLf, 36);
+  assert.deepEqual(wall.headers.map((header) => header.size), ['2x6', '2x10']);
+  assert.equal(wall.sheathingSqFt, 96 - 12);
+  assert.ok(result.purchaseList.some((entry) => entry.size === '2x4' && entry.stockFt === 8 && entry.pieces === 24));
+  assert.ok(result.metrics.totalBoardFeet > 0);
+  const exported = framing.export(state, result);
+  assert.ok(exported.csv.rows.some((row) => row[0] === 'Stock-length purchase list'));
+  assert.ok(exported.csv.rows.some((row) => row[0] === '2x4 cut list (plates, blocking, headers)'));
+});
+
+test('Framing takeoff special-orders studs past 16 ft and flags headers past sawn-lumber spans', () => {
+  const state = {
+    ...framing.defaults,
+    waste_percent: 0,
+    walls: [{ name: 'Gym', length_ft: 12, height_ft: 20, spacing_in: 16, top_plates: 2, corners: 0, intersections: 0, openings: ['10x8'], sheathed: 'no' }]
+  };
+  const result = framing.compute(state);
+  const [wall] = result.walls;
+  assert.equal(wall.studStockFt, 20);
+  assert.ok(result.purchaseList.some((entry) => entry.size === '2x4' && entry.stockFt === 20 && entry.pieces === wall.studs && entry.specialOrder));
+  assert.equal(wall.headers[0].engineered, true);
+  const assumptions = framing.assumptions(result);
+  assert.ok(assumptions.some((line) => line.startsWith('Warning: studs longer than 16 ft') && line.includes('Gym (20 ft)')));
+  assert.ok(assumptions.some((line) => line.startsWith('Warning: openings over 8 ft') && line.includes('Gym (10 ft)')));
+});
+
+test('Framing takeoff buys headers longer than the longest stock as special order', () => {
+  const walls = [{ name: 'Garage', length_ft: 24, height_ft: 9, spacing_in: 16, top_plates: 2, corners: 0, intersections: 0, openings: ['18x8'], sheathed: 'no' }];
+  const state = { ...framing.defaults, waste_percent: 0, walls };
+  const result = framing.compute(state);
+  const header = result.cutPlans.find(({ size }) => size === '2x12').plan;
+  assert.deepEqual(header.oversize, [{ length: 18.25, quantity: 2 }]);
+  assert.ok(result.purchaseList.some((entry) => entry.size === '2x12' && entry.stockFt === 20 && entry.pieces === 2 && entry.specialOrder));
+  const lumber = result.lines.find((line) => line.item === '2x12 lumber');
+  assert.equal(lumber.quantity, 2 * ((2 * 12 * 20) / 12));
+  const withoutHeader = framing.compute({ ...state, walls: [{ ...walls[0], openings: [] }] });
+  assert.ok(result.metrics.laborHours > withoutHeader.metrics.laborHours);
+  assert.ok(framing.assumptions(result).some((line) => line.includes('2 × 2x12 at 18.25 ft (20 ft stock)')));
+});
+
+test('Drywall & ACT layers board by sheet size, scales finishing by level, and lays out ACT grid', () => {
+  const state = {
+    ...drywall.defaults,
+    waste_percent: 0,
+    sheet_size: '4x8',
+    act_layout: '2x2',
+    rooms: [
+      { name: 'Office', perimeter_ft: 40, height_ft: 8, ceiling_sqft: 96, openings_sqft: 0, ceiling: 'act', layers: 2, outside_corners: 1 }
+    ]
+  };
+  const result = drywall.compute(state);
+  assert.equal(result.metrics.boardSqFt, 640);
+  assert.equal(result.metrics.sheets, 20);
+  assert.equal(result.metrics.finishSqFt, 320);
+  assert.equal(result.metrics.cornerBeadLf, 8);
+  assert.equal(result.metrics.mains, 2);
+  assert.equal(result.metrics.crossTees4, 12);
+  assert.equal(result.metrics.crossTees2, 12);
+  assert.equal(result.metrics.tiles, 24);
+
+  const levelFive = drywall.compute({ ...state, finish_level: 5 });
+  const levelZero = drywall.compute({ ...state, finish_level: 0 });
+  assert.ok(levelFive.metrics.finishHours > result.metrics.finishHours);
+  assert.equal(levelZero.metrics.tapeRolls, 0);
+  assert.ok(!levelZero.lines.some((line) => line.item.startsWith('Joint')));
+  assert.ok(drywall.export(state, result).csv.rows.some((row) => row[0] === 'Per-room breakdown'));
+});
+
+test('Paint applies substrate spread rates and rounds gallons to purchasable containers', () => {
+  const state = {
+    ...paint.defaults,
+    waste_percent: 0,
+    surfaces: [{ name: 'Walls', surface: 'wall', quantity: 3000, substrate: 'drywall', primer: 'yes', coats: 2, prep: 'light' }]
+  };
+  const result = paint.compute(state);
+  const primer = result.products.find((product) => product.key === 'primer');
+  const finish = result.products.find((product) => product.key === 'interior');
+  assert.equal(primer.neededGal, 10);
+  assert.deepEqual([primer.pails, primer.cans], [2, 0]);
+  assert.equal(finish.neededGal, 16);
+  assert.deepEqual([finish.pails, finish.cans], [3, 1]);
+  assert.equal(result.metrics.prepSqFt.light, 3000);
+
+  const masonry = paint.compute({ ...state, surfaces: [{ ...state.surfaces[0], substrate: 'masonry' }] });
+  assert.ok(masonry.metrics.neededGal > result.metrics.neededGal);
+
+  const mixed = {
+    ...state,
+    surfaces: [...state.surfaces, { name: 'Doors', surface: 'door', quantity: 10, substrate: 'wood', primer: 'no', coats: 2, prep: 'none' }],
+    region: 'west'
+  };
+  const overridden = paint.compute({ ...mixed, interior_price_gal: 30, labor_rate: 40 });
+  const overriddenFinish = overridden.products.find((product) => product.key === 'interior');
+  assert.equal(overriddenFinish.prices.gallon, 30);
+  assert.ok(Math.abs(overriddenFinish.prices.pail - (30 * 165) / 38) < 1e-9);
+  assert.deepEqual([overriddenFinish.pails, overriddenFinish.cans], [3, 1]);
+  const regional = paint.compute(mixed).products.find((product) => product.key === 'enamel');
+  assert.deepEqual(overridden.products.find((product) => product.key === 'enamel').prices, regional.prices);
+  assert.deepEqual(overridden.overrides, ['materials.paint interior gal', 'labor.painter hr']);
+  assert.equal(overridden.lines.find((line) => line.item === 'Painter labor').rate, 40);
+});
+
+test('Flooring tile mode applies pattern waste and sizes thinset and grout', () => {
+  const rooms = [{ name: 'Hall', length_ft: 20, width_ft: 10, openings_ft: 3, transitions: 2 }];
+  const state = { ...flooring.defaults, rooms, tile_length_in: 12, tile_width_in: 12, tile_box_sqft: 10, include_base: true, include_transitions: true };
+  const straight = flooring.compute(state);
+  assert.equal(straight.metrics.boxes, 22);
+  assert.equal(straight.metrics.thinsetBags, 3);
+  assert.ok(Math.abs(straight.metrics.groutLbPerSqFt - 0.06525) < 1e-9);
+  assert.equal(straight.metrics.baseLf, 57);
+  assert.ok(straight.lines.some((line) => line.item === 'Transition strips' && line.quantity === 2));
+
+  const herringbone = flooring.compute({ ...state, tile_pattern: 'herringbone' });
+  assert.equal(herringbone.metrics.boxes, 24);
+  assert.ok(herringbone.metrics.installHours > straight.metrics.installHours);
+
+  const bare = flooring.compute({ ...state, include_base: false, include_transitions: false });
+  assert.ok(!bare.lines.some((line) => line.code === '09 65 13'));
+});
+
+test('Flooring carpet mode cuts 12 ft drops in the cheaper direction and counts seams', () => {
+  const state = {
+    ...flooring.defaults,
+    floor_type: 'carpet',
+    rooms: [{ name: 'Office', length_ft: 30, width_ft: 20, openings_ft: 0, transitions: 0 }]
+  };
+  const result = flooring.compute(state);
+  const [room] = result.rooms;
+  assert.deepEqual([room.carpet.drops, room.carpet.dropLengthFt, room.carpet.seams], [2, 30.5, 1]);
+  assert.ok(Math.abs(result.metrics.carpetSy - (61 * 12) / 9) < 1e-9);
+  assert.equal(flooring.estimateLine(state, result).costCode, '09 68 00');
+  assert.ok(flooring.export(state, result).csv.rows.some((row) => row[0] === 'Carpet cut list'));
+});
+
+test('Earthwork grid and end-area methods agree on a uniform cut and size export hauling', () => {
+  const points = [];
+  for (const y of [0, 30, 60]) {
+    for (const x of [0, 30, 60]) {
+      points.push({ x, y, existing: 101, proposed: 100 });
+    }
+  }
+  const state = { ...earthwork.defaults, points, swell_percent: 25, shrink_percent: 10, truck_capacity_lcy: 10, cycle_minutes: 30 };
+  const grid = earthwork.compute(state);
+  const endArea = earthwork.compute({ ...state, method: 'average-end-area' });
+  assert.equal(grid.metrics.cutBcy, 3600 / 27);
+  assert.ok(Math.abs(endArea.metrics.cutBcy - grid.metrics.cutBcy) < 1e-9);
+  assert.equal(grid.metrics.fillCcy, 0);
+  assert.ok(Math.abs(grid.metrics.exportLcy - (3600 / 27) * 1.25) < 1e-9);
+  assert.equal(grid.metrics.loads, 17);
+  assert.equal(grid.metrics.truckHours, 8.5);
+});
+
+test('Earthwork splits mixed cells, applies shrink to imports, and flags missing corners', () => {
+  const points = [
+    { x: 0, y: 0, existing: 99, proposed: 100 },
+    { x: 20, y: 0, existing: 101, proposed: 100 },
+    { x: 0, y: 20, existing: 99, proposed: 100 },
+    { x: 20, y: 20, existing: 99, proposed: 100 },
+    { x: 40, y: 0, existing: 98, proposed: 100 }
+  ];
+  const result = earthwork.compute({ ...earthwork.defaults, points, shrink_percent: 20, swell_percent: 0 });
+  const [cell, missing] = result.cells;
+  assert.equal(cell.cutFt3, (400 * 1) / (4 * 4));
+  assert.equal(cell.fillFt3, (400 * 9) / (4 * 4));
+  assert.equal(missing.missing, true);
+  assert.ok(result.metrics.importLcy > 0);
+  assert.ok(Math.abs(result.metrics.fillBcy - result.metrics.fillCcy / 0.8) < 1e-9);
+  assert.ok(earthwork.assumptions(result).some((line) => line.includes('1 grid cell(s) skipped')));
+  const [heatmap] = earthwork.details(result);
+  assert.deepEqual(heatmap.rows[0], ['0–20', '−0.5', '—']);
+  assert.equal(heatmap.heat[0][0], -1);
+});
+
+test('Masonry counts CMU, grouts partially or solid, and weighs reinforcing by lift', () => {
+  const state = {
+    ...masonry.defaults,
+    waste_percent: 0,
+    walls: [{ name: 'Test', length_ft: 40, height_ft: 10, openings_sqft: 0 }],
+    grout_spacing_in: 32,
+    bond_beam_courses: 0,
+    vertical_bar_spacing_in: 32,
+    bar_size: '#4',
+    lift_height_ft: 5
+  };
+  const partial = masonry.compute(state);
+  const [wall] = partial.walls;
+  assert.equal(partial.metrics.units, 450);
+  assert.equal(wall.groutedFraction, 0.25);
+  assert.ok(Math.abs(wall.groutCf - 400 * 0.258 * 0.25) < 1e-9);
+  assert.equal(wall.verticalBars, 16);
+  assert.equal(wall.lifts, 2);
+  assert.ok(Math.abs(wall.rebarLf - 16 * (10 + 2)) < 1e-9);
+  assert.equal(wall.jointReinforcementLf, 7 * 40 * 1.05);
+
+  const solid = masonry.compute({ ...state, grout: 'solid' });
+  assert.ok(Math.abs(solid.walls[0].groutCf - 400 * 0.258) < 1e-9);
+
+  const taller = masonry.compute({ ...state, lift_height_ft: 2.5 });
+  assert.ok(taller.metrics.crewHours > partial.metrics.crewHours);
+
+  const doubled = masonry.compute({ ...state, masons: state.masons * 2 });
+  const scaffoldHours = wall.lifts * 1.5;
+  assert.ok(Math.abs(doubled.metrics.crewHours - scaffoldHours - (partial.metrics.crewHours - scaffoldHours) / 2) < 1e-9);
+  assert.ok(doubled.metrics.crewRate > partial.metrics.crewRate);
+
+  const headers = masonry.compute({ ...state, bond: 'english' });
+  assert.equal(headers.metrics.units, partial.metrics.units);
+  assert.equal(headers.lines[0].item, '8″ CMU (8×8×16), running bond');
+  assert.match(masonry.assumptions(headers)[0], /^Warning: english bond needs brick headers/);
+  assert.equal(masonry.assumptions(partial).some((line) => line.startsWith('Warning:')), false);
+
+  const brick = masonry.compute({ ...state, unit_type: 'brick-modular', bond: 'english' });
+  assert.equal(brick.metrics.units, Math.ceil(400 * 6.86 * 1.5));
+  assert.equal(brick.metrics.groutCy, 0);
+  assert.equal(brick.metrics.rebarLb, 0);
+});
+
+test('Structural steel looks up shape weights, adds connections, and prices per ton by region', () => {
+  const state = {
+    ...steel.defaults,
+    members: [
+      { mark: 'B1', shape: 'w12x26', length_ft: 20, quantity: 10, role: 'beam' },
+      { mark: 'X1', shape: 'HSS6X6X3/8', length_ft: 10, quantity: 2, role: 'brace' }
+    ],
+    connections_percent: 10,
+    picks_per_day: 5
+  };
+  const result = steel.compute(state);
+  assert.equal(result.members[0].designation, 'W12X26');
+  assert.equal(result.metrics.memberTons, (26 * 200 + 27.48 * 20) / 2000);
+  assert.ok(Math.abs(result.metrics.totalTons - result.metrics.memberTons * 1.1) < 1e-9);
+  assert.equal(result.metrics.picks, 12);
+  assert.equal(result.metrics.craneDays, 3);
+
+  const west = steel.compute({ ...state, region: 'west' });
+  assert.ok(west.totals.subtotal > result.totals.subtotal);
+  const overridden = steel.compute({ ...state, fab_price_ton: 3000 });
+  assert.equal(overridden.lines[0].rate, 3000);
+
+  const { valid, errors } = validate(steel.schema, new Map([['members', 'B1, W99X1, 10']]));
+  assert.equal(valid, false);
+  assert.match(errors[0].message, /^Row 1, Shape: “W99X1” is not in the shape table/);
+});
+
+test('Asphalt paving tonnage by lift, base, tack, striping, and truck-limited production', () => {
+  const state = {
+    ...asphalt.defaults,
+    area_sqft: 9000,
+    lifts: [
+      { name: 'Base', mix: 'base', thickness_in: 2, density_pcf: 145 },
+      { name: 'Surface', mix: 'surface', thickness_in: 2, density_pcf: 145 }
+    ],
+    mix_waste_percent: 0,
+    base_thickness_in: 6,
+    base_density_pcf: 140,
+    stalls: 10,
+    stripe_lf_per_stall: 20,
+    extra_stripe_lf: 100,
+    trucks: 2,
+    truck_capacity_tons: 20,
+    truck_cycle_min: 60,
+    paver_tph: 150
+  };
+  const result = asphalt.compute(state);
+  assert.ok(Math.abs(result.lifts[0].tons - 108.75) < 1e-9);
+  assert.equal(result.lifts[0].loads, 6);
+  assert.ok(Math.abs(result.metrics.baseTons - 315) < 1e-9);
+  assert.ok(Math.abs(result.metrics.tackGallons - 50) < 1e-9);
+  assert.equal(result.metrics.stripeLf, 300);
+  assert.equal(result.metrics.pavingTph, 40);
+  assert.ok(Math.abs(result.metrics.pavingHours - 217.5 / 40) < 1e-9);
+  assert.equal(result.metrics.truckLimited, true);
+  assert.match(asphalt.assumptions(result)[0], /^Warning: 2 trucks/);
+
+  const fleet = asphalt.compute({ ...state, trucks: 10 });
+  assert.equal(fleet.metrics.pavingTph, 150);
+  assert.ok(fleet.metrics.crewHours < result.metrics.crewHours);
+
+  const overlay = asphalt.compute({ ...state, paving_type: 'overlay' });
+  assert.equal(overlay.metrics.baseTons, 0);
+  assert.equal(overlay.metrics.tackCoats, 2);
+  assert.ok(!overlay.lines.some((line) => line.item === 'Motor grader'));
+
+  const priced = asphalt.compute({ ...state, mix_price_ton: 100 });
+  assert.ok(priced.lines.filter((line) => line.item.startsWith('HMA')).every((line) => line.rate === 100));
+});
+
+test('Electrical derives circuits, runs, and panels from device counts with per-device labor units', () => {
+  const state = {
+    ...electrical.defaults,
+    area_sqft: 1000,
+    devices: [
+      { type: 'receptacle', quantity: 20, labor_hours: null },
+      { type: 'switch', quantity: 5, labor_hours: null },
+      { type: 'troffer', quantity: 10, labor_hours: 1.25 }
+    ],
+    circuits_per_home_run: 2,
+    home_run_ft: 50,
+    branch_ft: 10,
+    spare_percent: 20,
+    feeder_ft: 100
+  };
+  const result = electrical.compute(state);
+  assert.deepEqual(result.devices.map((device) => device.circuits), [3, 0, 1]);
+  assert.equal(result.metrics.homeRuns, 2);
+  assert.equal(result.metrics.conduitLf, 2 * 50 + 35 * 10);
+  assert.equal(result.metrics.wireLf, 50 * (2 * 4 + 2) + 350 * 3);
+  assert.equal(result.metrics.panels, 1);
+  assert.equal(result.devices[0].laborHours, 20 * 0.35);
+  assert.equal(result.devices[2].laborHours, 12.5);
+  assert.ok(Math.abs(result.metrics.costPerSqft - result.totals.subtotal / 1000) < 1e-9);
+
+  const big = electrical.compute({ ...state, devices: [{ type: 'equipment', quantity: 40, labor_hours: null }] });
+  assert.equal(big.metrics.panels, 2);
+  assert.match(electrical.assumptions(big)[0], /^Warning: .* above the typical office range/);
+
+  const west = electrical.compute({ ...state, region: 'west' });
+  assert.ok(west.metrics.range.high > result.metrics.range.high);
+});
+
+test('Electrical keeps per-row labor units when rows of one device type merge', () => {
+  const devices = [
+    { type: 'receptacle', quantity: 100, labor_hours: null },
+    { type: 'receptacle', quantity: 2, labor_hours: 4 }
+  ];
+  const result = electrical.compute({ ...electrical.defaults, devices });
+  const [receptacles] = result.devices;
+  assert.equal(receptacles.quantity, 102);
+  assert.ok(Math.abs(receptacles.laborHours - (100 * 0.35 + 2 * 4)) < 1e-9);
+  assert.ok(Math.abs(receptacles.laborHoursEach - 43 / 102) < 1e-9);
+  assert.equal(result.lines.find((line) => line.item === 'Duplex receptacle labor').quantity, 43);
+});
+
+test('HVAC sizes tonnage by occupancy and region climate, then prices packages separately', () => {
+  const state = { ...hvac.defaults, area_sqft: 7000, occupancy: 'office', system: 'rtu', unit_size_tons: 10, return_ratio: 0.5 };
+  const result = hvac.compute(state);
+  assert.equal(result.metrics.tons, 20);
+  assert.equal(result.metrics.units, 2);
+  assert.equal(result.metrics.ductLb, 7000);
+  assert.equal(result.metrics.supplyDiffusers, 47);
+  assert.equal(result.metrics.returnGrilles, 24);
+  assert.equal(result.metrics.controlsPoints, 2 * 12 + 9 * 3);
+  assert.deepEqual(result.packages.map((entry) => entry.name), ['Equipment', 'Sheet metal', 'Controls']);
+  const packaged = result.packages.reduce((sum, entry) => sum + entry.subtotal, 0);
+  assert.ok(Math.abs(packaged - result.totals.subtotal) < 1e-6);
+
+  const south = hvac.compute({ ...state, region: 'south' });
+  assert.ok(Math.abs(south.metrics.tons - 23) < 1e-9);
+  assert.equal(south.metrics.units, 3);
+  const manual = hvac.compute({ ...state, region: 'south', climate_factor: 1 });
+  assert.equal(manual.metrics.tons, 20);
+
+  const split = hvac.compute({ ...state, system: 'split', unit_size_tons: 10 });
+  assert.equal(split.metrics.unitSize, 5);
+  assert.equal(split.metrics.units, 4);
+  assert.match(hvac.assumptions(split)[0], /^Warning: split systems top out/);
+});
+
+test('Plumbing totals fixture units, sizes mains from the lookups, and counts carriers', () => {
+  const state = {
+    ...plumbing.defaults,
+    fixtures: [
+      { type: 'wc-valve', quantity: 10, mounting: 'wall' },
+      { type: 'lavatory', quantity: 4, mounting: 'floor' },
+      { type: 'shower', quantity: 1, mounting: 'wall' }
+    ],
+    drain_slope: '1/4'
+  };
+  const result = plumbing.compute(state);
+  assert.equal(result.metrics.dfu, 46);
+  assert.equal(result.metrics.wsfu, 112);
+  assert.equal(result.metrics.drainSizeIn, 4);
+  assert.equal(result.metrics.mainSize.label, '2');
+  assert.equal(result.metrics.carriers, 10);
+  assert.equal(result.metrics.dwvLf, 10 * 15 + 4 * 10 + 10);
+  assert.ok(result.lines.some((line) => line.item === 'Building drain (4 in)' && line.rate === 44));
+  assert.match(plumbing.explain(state, result), /\*\*Drain lookup\*\* \(IPC 710\.1\(1\) @ 1\/4 in\/ft\): 3 in ≤ 42, 4 in ≤ 216/);
+  assert.match(plumbing.assumptions(result)[0], /^Wall mounting ignored for shower/);
+
+  const small = plumbing.compute({ ...state, fixtures: [{ type: 'wc-tank', quantity: 2, mounting: 'floor' }] });
+  assert.equal(small.metrics.drainSizeIn, 3);
+  assert.equal(small.metrics.mainSize.label, '3/4');
+  assert.equal(small.metrics.carriers, 0);
+});
+
+test('Concrete Slab Pro takes markup and tax rates from the pricing base', () => {
+  const result = concrete.compute(baseState);
+  assert.equal(result.totals.markupRate, 0.1);
+  assert.equal(result.totals.taxRate, 0.0825);
+  assert.ok(Math.abs(result.totals.taxAmount - (result.totals.subtotal + result.totals.markupAmount) * 0.0825) < 1e-9);
+  const bare = concrete.compute({ ...baseState, include_markup: false, include_tax: false });
+  assert.equal(bare.totals.total, bare.totals.subtotal);
+});
+
+test('Contingency stack compounds in order, honors chosen bases, and escalates to midpoint', () => {
+  const state = {
+    base_cost: 1000,
+    escalation_months: 24,
+    steps: [
+      { kind: 'contingency', rate_percent: 10, basis: 'running', label: null },
+      { kind: 'escalation', rate_percent: 5, basis: 'running', label: null },
+      { kind: 'fee', rate_percent: 10, basis: 'direct', label: 'Fee on cost' },
+      { kind: 'bond', rate_percent: 1, basis: 'after-contingency', label: null },
+      { kind: 'tax', rate_percent: 5, basis: 'after-insurance', label: null }
+    ]
+  };
+  const result = contingency.compute(state);
+  const [design, escalation, fee, bond, tax] = result.steps;
+  assert.equal(design.runningTotal, 1100);
+  assert.ok(Math.abs(escalation.amount - 1100 * (1.05 ** 2 - 1)) < 1e-9);
+  assert.equal(fee.amount, 100);
+  assert.equal(fee.label, 'Fee on cost');
+  assert.equal(bond.basisAmount, 1100);
+  assert.equal(tax.basis, 'running');
+  assert.ok(Math.abs(tax.basisAmount - bond.runningTotal) < 1e-9);
+  assert.ok(Math.abs(result.totals.total - tax.runningTotal) < 1e-9);
+  assert.match(contingency.assumptions(result)[0], /^Warning: Step 5: no insurance step precedes it/);
+
+  const { valid, errors } = validate(contingency.schema, new Map([['base_cost', '1000'], ['escalation_months', '12'], ['steps', 'fee, 10, sideways']]));
+  assert.equal(valid, false);
+  assert.match(errors[0].message, /^Row 1, Basis:/);
+});
+
+test('General conditions spreads percent-allocated items across their months', () => {
+  const state = {
+    duration_months: 4,
+    items: [
+      { category: 'staff', description: 'PM', monthly_rate: 10000, allocation_percent: 50, start_month: 1, end_month: null, quantity: 1 },
+      { category: 'dumpster', description: 'Pulls', monthly_rate: 500, allocation_percent: 100, start_month: 2, end_month: 3, quantity: 2 },
+      { category: 'rental', description: 'Lift', monthly_rate: 3000, allocation_percent: 100, start_month: 3, end_month: 6, quantity: 1 }
+    ],
+    include_markup: false,
+    include_tax: false
+  };
+  const result = generalConditions.compute(state);
+  assert.deepEqual(
+    result.schedule.map((row) => row.total),
+    [5000, 6000, 9000, 8000]
+  );
+  assert.equal(result.schedule[3].cumulative, 28000);
+  assert.equal(result.totals.subtotal, 28000);
+  assert.equal(result.totals.laborCost, 20000);
+  assert.equal(result.totals.equipmentCost, 6000);
+  assert.equal(result.lines[0].quantity, 2);
+  assert.equal(result.metrics.peakMonth, 3);
+  assert.match(generalConditions.assumptions(result)[0], /^Warning: Row 3 \(Lift\) ends in month 6; clipped to month 4/);
+
+  const { valid, errors } = validate(generalConditions.schema, new Map([['duration_months', '6'], ['items', 'staff, Super, 15000, 100, 1.5']]));
+  assert.equal(valid, false);
+  assert.match(errors[0].message, /^Row 1, Start month: use a whole month/);
+});
+
+test('Demolition bulks debris, sizes dumpsters by volume or weight, and tracks diversion', () => {
+  const state = {
+    ...demolition.defaults,
+    items: [{ type: 'wall-gyp', quantity: 2700 }],
+    structure_type: 'concrete-frame',
+    building_volume_cf: 22500,
+    container_cy: '20',
+    truck_capacity_cy: 15,
+    diversion_gypsum: 0,
+    diversion_concrete: 100
+  };
+  const result = demolition.compute(state);
+  const [wall] = result.items;
+  assert.ok(Math.abs(wall.bankCy - 12) < 1e-9);
+  assert.ok(Math.abs(wall.looseCy - 19.2) < 1e-9);
+  assert.equal(result.metrics.dumpsters, 1);
+  assert.ok(Math.abs(result.structural.looseCy - 150) < 1e-9);
+  assert.equal(result.metrics.truckLoads, 10);
+  assert.ok(Math.abs(result.metrics.divertedTons - 180) < 1e-9);
+  assert.ok(Math.abs(result.metrics.landfillTons - 19.2 * 0.45) < 1e-9);
+
+  const heavy = demolition.compute({ ...state, items: [{ type: 'slab-on-grade', quantity: 2000 }], structure_type: 'none', building_volume_cf: 0 });
+  assert.ok(heavy.metrics.selectiveLcy < 40);
+  assert.equal(heavy.metrics.dumpsters, Math.ceil(heavy.metrics.selectiveTons / 10));
+  assert.equal(heavy.metrics.truckLoads, 0);
+});
+
+test('Site concrete totals yardage, forms, joints, and base across curbs, walks, pads, and ramps', () => {
+  const state = {
+    ...siteConcrete.defaults,
+    curbs: [{ profile: 'cg-24', length_ft: 100 }],
+    sidewalks: [{ length_ft: 54, width_ft: 5, thickness_in: 4, joint_spacing_ft: 5 }],
+    pads: [{ name: 'Pad', length_ft: 30, width_ft: 20, thickness_in: 6, quantity: 1 }],
+    ramps: [{ type: 'perpendicular', quantity: 2 }],
+    waste_percent: 0,
+    base_thickness_in: 0
+  };
+  const result = siteConcrete.compute(state);
+  const [curb, walk, pad, ramp] = result.elements;
+  assert.ok(Math.abs(curb.volumeYd3 - 162.5 / 27) < 1e-9);
+  assert.equal(curb.jointCount, 9);
+  assert.equal(curb.jointLf, 18);
+  assert.equal(walk.volumeYd3, 90 / 27);
+  assert.equal(walk.jointCount, 10);
+  assert.equal(walk.formLf, 108);
+  assert.equal(pad.jointCount, 2);
+  assert.equal(pad.jointLf, 20 + 30);
+  assert.equal(ramp.warningPanels, 2);
+  assert.equal(result.metrics.baseTons, 0);
+
+  const based = siteConcrete.compute({ ...state, base_thickness_in: 6, waste_percent: 10 });
+  assert.ok(Math.abs(based.elements[1].baseTons - (270 * 0.5 * 140) / 2000) < 1e-9);
+  assert.ok(Math.abs(based.metrics.volumeYd3Waste - result.metrics.volumeYd3 * 1.1) < 1e-9);
+});
+
+test('Doors and windows parse a pasted schedule and price openings by type, frame, and hardware', () => {
+  const { valid, state, errors } = validate(
+    doorsWindows.schema,
+    new Map([
+      ['openings', `Mark, Type, Size, Frame, Hardware, Qty\n101, hm, 6070, hm-welded, exit, 1\n110, wood, 3'-0" x 7'-0", hm-kd, lockset, 4\nW1, window-alum, 48x60`],
+      ['region', 'national']
+    ])
+  );
+  assert.equal(valid, true, JSON.stringify(errors));
+  const result = doorsWindows.compute({ ...state, include_markup: false, include_tax: false });
+  const [pair, office, window] = result.openings;
+  assert.equal(pair.widthIn, 72);
+  assert.equal(pair.leaves, 2);
+  assert.equal(office.widthIn, 36);
+  assert.equal(office.leaves, 1);
+  assert.equal(window.areaSf, 20);
+  assert.equal(window.frame, 'none');
+  assert.equal(result.metrics.doors, 5);
+  assert.equal(result.metrics.pairs, 1);
+  assert.equal(result.byType.find((entry) => entry.key === 'wood').openings, 4);
+  const extended = result.openings.reduce((sum, opening) => sum + opening.extended, 0);
+  assert.ok(Math.abs(extended - result.totals.subtotal) < 1e-6);
+
+  const bad = validate(doorsWindows.schema, new Map([['openings', '101, hm, three by seven'], ['region', 'national']]));
+  assert.equal(bad.valid, false);
+  assert.match(bad.errors[0].message, /^Row 1, Size: “three by seven” is not a size/);
+});
+
+test('Insulation picks thickness from R per inch or rated batt sizes and warns on shallow cavities', () => {
+  const result = insulation.compute({
+    ...insulation.defaults,
+    waste_percent: 0,
+    region: 'national',
+    assemblies: [
+      { name: 'Roof', assembly: 'roof', product: 'polyiso', quantity: 3200, target_r: 30, cavity_depth_in: null },
+      { name: '2x4 wall', assembly: 'cavity-wall', product: 'fiberglass-batt', quantity: 1000, target_r: 21, cavity_depth_in: 3.5 }
+    ]
+  });
+  const [roof, wall] = result.assemblies;
+  assert.equal(roof.layers, 2);
+  assert.equal(roof.thicknessIn, 2.5);
+  assert.equal(roof.units, 200);
+  assert.equal(wall.thicknessIn, 3.5);
+  assert.equal(wall.achievedR, 15);
+  assert.equal(wall.units, 12);
+  assert.ok(insulation.assumptions(result)[0].startsWith('Warning: 2x4 wall: a 3.5 in cavity of fiberglass batt reaches only R-15 of R-21'));
+  assert.ok(Math.abs(result.lines.at(-1).quantity - (3200 * 2 * 0.015 + 1000 * 0.01)) < 1e-9);
+
+  const standard = insulation.compute({
+    ...insulation.defaults,
+    assemblies: [
+      { name: '2x4 R-13', assembly: 'cavity-wall', product: 'fiberglass-batt', quantity: 1000, target_r: 13, cavity_depth_in: 3.5 },
+      { name: '2x4 R-15', assembly: 'cavity-wall', product: 'mineral-wool-batt', quantity: 1000, target_r: 15, cavity_depth_in: 3.5 },
+      { name: '2x6 R-21', assembly: 'cavity-wall', product: 'fiberglass-batt', quantity: 1000, target_r: 21, cavity_depth_in: 5.5 }
+    ]
+  });
+  assert.deepEqual(
+    standard.assemblies.map((entry) => [entry.thicknessIn, entry.achievedR]),
+    [
+      [3.5, 13],
+      [3.5, 15],
+      [5.5, 21]
+    ]
+  );
+  assert.equal(standard.metrics.shortfalls, 0);
+  assert.equal(insulation.assumptions(standard).some((line) => line.startsWith('Warning:')), false);
+});
+
+test('Firestopping maps penetrations to systems and sizes sealant, collars, and joints', () => {
+  const result = firestopping.compute({
+    ...firestopping.defaults,
+    region: 'national',
+    penetrations: [
+      { type: 'plastic-pipe', size_in: 2, assembly: '2hr-wall', quantity: 10 },
+      { type: 'metallic-pipe', size_in: 14, assembly: 'floor', quantity: 1 }
+    ],
+    head_of_wall_1hr_lf: 0,
+    head_of_wall_2hr_lf: 100
+  });
+  const byItem = Object.fromEntries(result.lines.map((line) => [line.item, line]));
+  assert.deepEqual(
+    result.systems.map((group) => group.system),
+    ['C-AJ-1xxx', 'W-L-2xxx']
+  );
+  assert.equal(byItem['Firestop sealant (10.1 oz tubes)'].quantity, 7);
+  assert.equal(byItem['Intumescent collar, 2 in pipe'].quantity, 20);
+  assert.equal(byItem['Head-of-wall joint spray (5 gal pails)'].quantity, 2);
+  assert.ok(Math.abs(byItem['Penetration firestopping labor'].quantity - 7.12) < 1e-9);
+  assert.ok(Math.abs(byItem['Head-of-wall joint labor'].quantity - 3) < 1e-9);
+  assert.ok(firestopping.assumptions(result)[0].startsWith('Warning: 14 in metallic pipe'));
+  assert.equal(firestopping.details(result)[0].rows.at(-1)[0], 'HW-D-1xxx');
+});
+
+test('Waterproofing counts rolls after laps and carries labor per system', () => {
+  const result = waterproofing.compute({
+    ...waterproofing.defaults,
+    waste_percent: 0,
+    region: 'national',
+    drainage_board: true,
+    protection_course: false,
+    areas: [
+      { name: 'Walls', system: 'sheet', surface: 'wall', area_sf: 1800, termination_lf: 120, penetrations: 5, inside_corners: 0, outside_corners: 0 },
+      { name: 'Pit', system: 'fluid', surface: 'slab', area_sf: 200, termination_lf: 0, penetrations: 0, inside_corners: 0, outside_corners: 0 }
+    ]
+  });
+  const [sheet, fluid] = result.systems;
+  const netRoll = (33.5 / 12) * (66.7 - 0.5);
+  assert.ok(Math.abs(sheet.netSf - netRoll) < 1e-9);
+  assert.equal(sheet.units, Math.ceil(1820 / netRoll));
+  assert.ok(Math.abs(sheet.laborHours - (1800 / 90 + 5 * 0.4)) < 1e-9);
+  assert.equal(fluid.units, 2);
+  const byItem = Object.fromEntries(result.lines.map((line) => [line.item, line]));
+  assert.equal(byItem['Drainage composite (4×50 rolls)'].quantity, 10);
+  assert.equal(byItem['Termination bar'].quantity, 120);
+  assert.equal(byItem['Protection course (4×8 boards)'], undefined);
+  assert.equal(byItem['Self-adhered sheet (rolls)'].code, '07 13 00');
+  assert.equal(byItem['Fluid-applied installation'].code, '07 14 00');
+  assert.equal(byItem['Termination bar'].code, '07 10 00');
+  const bentonite = waterproofing.compute({ ...waterproofing.defaults });
+  assert.ok(bentonite.lines.some((line) => line.item === 'Bentonite panels (panels)' && line.code === '07 17 00'));
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { optimizeCuts, splitRun } from '../assets/js/core/cutlist.js';
+
+test('splitRun lays full stock pieces and laps the remainder', () => {
+  assert.deepEqual(splitRun(60, 20, 2), [20, 20, 20, 6]);
+  assert.deepEqual(splitRun(20, 20, 2), [20]);
+  assert.deepEqual(splitRun(40, 16), [16, 16, 8]);
+});
+
+test('optimizeCuts combines short pieces and buys the shortest stock that holds each pattern', () => {
+  const plan = optimizeCuts(
+    [
+      { length: 12, quantity: 3 },
+      { length: 4, quantity: 3 },
+      { length: 5, quantity: 1 }
+    ],
+    [8, 10, 12, 14, 16]
+  );
+  assert.equal(plan.requiredLength, 53);
+  assert.deepEqual(plan.purchases, [
+    { stock: 8, count: 1 },
+    { stock: 10, count: 1 },
+    { stock: 12, count: 3 }
+  ]);
+  assert.equal(plan.purchasedLength, 54);
+  assert.equal(plan.dropLength, 1);
+  assert.deepEqual(
+    plan.patterns.map((pattern) => pattern.cuts),
+    [[12], [5, 4], [4, 4]]
+  );
+});
+
+test('optimizeCuts charges kerf per cut and reports oversize pieces', () => {
+  const plan = optimizeCuts(
+    [
+      { length: 5, quantity: 4 },
+      { length: 30, quantity: 1 }
+    ],
+    [20],
+    { kerf: 0.5 }
+  );
+  assert.deepEqual(plan.oversize, [{ length: 30, quantity: 1 }]);
+  assert.equal(plan.bars, 2);
+  assert.deepEqual(plan.patterns[0].cuts, [5, 5, 5]);
+  assert.equal(plan.patterns[0].drop, 4);
+});
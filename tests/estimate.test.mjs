@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculator as concrete } from '../assets/js/calculators/concrete-slab-pro.js';
+import { calculator as roofing } from '../assets/js/calculators/roofing.js';
+import { calculator as contingency } from '../assets/js/calculators/contingency-fees.js';
+import {
+  addCalculatorResult,
+  applyCalculatorModifiers,
+  createEstimate,
+  createLineItem,
+  deleteEstimate,
+  duplicateEstimate,
+  exportEstimate,
+  getActiveEstimate,
+  getEstimate,
+  listEstimates,
+  renameEstimate,
+  rollupEstimate,
+  updateModifiers
+} from '../assets/js/core/estimate.js';
+
+const concreteState = { ...concrete.defaults, include_markup: true, include_tax: true };
+const roofingState = { ...roofing.defaults, include_markup: true, include_tax: true };
+
+test('Estimate line items carry direct cost splits without calculator markup or tax', () => {
+  const result = concrete.compute(concreteState);
+  const line = createLineItem(concrete, concreteState, result);
+  assert.equal(line.calculatorId, 'concrete-slab-pro');
+  assert.equal(line.unit, 'yd³');
+  assert.equal(line.material + line.labor + line.equipment, result.totals.subtotal);
+});
+
+test('Estimate roll-up groups trades and applies project modifiers once', () => {
+  const estimate = createEstimate('Roll-up check');
+  addCalculatorResult(concrete, concreteState, concrete.compute(concreteState));
+  addCalculatorResult(concrete, concreteState, concrete.compute(concreteState));
+  addCalculatorResult(roofing, roofingState, roofing.compute(roofingState));
+  updateModifiers(estimate.id, { contingencyRate: 0.05, markupRate: 0.1, taxRate: 0 });
+
+  const rollup = rollupEstimate(getEstimate(estimate.id));
+  assert.equal(rollup.trades.length, 2);
+  assert.equal(rollup.trades[0].lines.length, 2);
+  const expectedSubtotal = rollup.trades.reduce((sum, trade) => sum + trade.subtotal, 0);
+  assert.ok(Math.abs(rollup.subtotal - expectedSubtotal) < 1e-6, 'trade subtotals should sum to the project subtotal');
+  assert.ok(Math.abs(rollup.total - expectedSubtotal * 1.05 * 1.1) < 1e-6, 'contingency then markup should compound once');
+});
+
+test('Contingency & Fees sets the estimate modifiers instead of adding a line, so add-ons apply once', () => {
+  const estimate = createEstimate('Stack check');
+  addCalculatorResult(concrete, concreteState, concrete.compute(concreteState));
+  const subtotal = rollupEstimate(getEstimate(estimate.id)).subtotal;
+  const state = { ...contingency.defaults, base_cost: subtotal };
+  const result = contingency.compute(state);
+  assert.equal(contingency.estimateLine, undefined);
+  assert.throws(() => createLineItem(contingency, state, result));
+
+  applyCalculatorModifiers(contingency, state, result);
+  const rollup = rollupEstimate(getEstimate(estimate.id));
+  assert.equal(getEstimate(estimate.id).lines.length, 1);
+  assert.ok(Math.abs(rollup.subtotal - subtotal) < 1e-6);
+  assert.ok(Math.abs(rollup.total - result.totals.total) < 1e-6, 'estimate total should match the stack total once');
+  assert.ok(Math.abs(rollup.taxAmount - result.steps.find((step) => step.kind === 'tax').amount) < 1e-6);
+});
+
+test('Estimates can be renamed, duplicated, and deleted', () => {
+  const estimate = createEstimate('Tower A');
+  addCalculatorResult(concrete, concreteState, concrete.compute(concreteState));
+  renameEstimate(estimate.id, '  Tower A – Podium  ');
+  assert.equal(getEstimate(estimate.id).name, 'Tower A – Podium');
+
+  const copy = duplicateEstimate(estimate.id);
+  assert.equal(copy.name, 'Tower A – Podium (copy)');
+  assert.equal(copy.lines.length, 1);
+  assert.notEqual(copy.lines[0].id, getEstimate(estimate.id).lines[0].id);
+  assert.equal(getActiveEstimate().id, copy.id);
+
+  const countBefore = listEstimates().length;
+  deleteEstimate(copy.id);
+  assert.equal(listEstimates().length, countBefore - 1);
+  assert.equal(getEstimate(copy.id), null);
+});
+
+test('Estimate roll-up and export group lines by MasterFormat division', () => {
+  const estimate = createEstimate('Division check');
+  addCalculatorResult(roofing, roofingState, roofing.compute(roofingState));
+  addCalculatorResult(concrete, concreteState, concrete.compute(concreteState));
+
+  const rollup = rollupEstimate(getEstimate(estimate.id));
+  assert.deepEqual(
+    rollup.divisions.map((division) => division.division),
+    ['03', '07']
+  );
+  assert.equal(rollup.divisions[0].name, 'Concrete');
+
+  const exports = exportEstimate(getEstimate(estimate.id));
+  assert.equal(exports.csv.filename, 'division-check.csv');
+  assert.deepEqual(exports.csv.rows[1].slice(0, 2), ['03', '03 Concrete']);
+  assert.equal(exports.csv.rows[2][0], '03 30 00');
+  assert.deepEqual(exports.csv.rows[3].slice(0, 2), ['07', '07 Thermal and Moisture Protection']);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseGeometry, polygonArea, polygonPerimeter, rectangleGeometry, scanlineRuns } from '../assets/js/core/units.js';
+
+const L_SHAPE = '0 0; 40 0; 40 20; 20 20; 20 35; 0 35';
+
+test('polygon area and perimeter follow the outline in either winding', () => {
+  const points = [
+    [0, 0],
+    [40, 0],
+    [40, 20],
+    [20, 20],
+    [20, 35],
+    [0, 35]
+  ];
+  assert.equal(polygonArea(points), 1100);
+  assert.equal(polygonArea([...points].reverse()), 1100);
+  assert.equal(polygonPerimeter(points), 150);
+});
+
+test('parseGeometry reads vertices or bearing segments and subtracts voids', () => {
+  const { geometry } = parseGeometry(L_SHAPE);
+  assert.equal(geometry.areaSqFt, 1100);
+  assert.equal(geometry.lengthFt, 40);
+  assert.equal(geometry.widthFt, 35);
+
+  const traversed = parseGeometry('E 40; N 20; W 20; N 15; W 20; S 35 / @5 5; E 4; N 4; W 4; S 4').geometry;
+  assert.equal(traversed.grossAreaSqFt, 1100);
+  assert.equal(traversed.voidAreaSqFt, 16);
+  assert.equal(traversed.areaSqFt, 1084);
+  assert.equal(traversed.voidPerimeterFt, 16);
+
+  const triangle = parseGeometry('@10 0; N45E 10; S45E 10; W 14.1421').geometry;
+  assert.ok(Math.abs(triangle.areaSqFt - 50) < 0.01);
+});
+
+test('parseGeometry reports open traverses and malformed rings', () => {
+  assert.equal(parseGeometry('E 40; N 20; W 30; S 20').error, 'outline does not close (off by 10 ft)');
+  assert.equal(parseGeometry('0 0; 1 1').error, 'outline needs at least 3 points');
+  assert.equal(parseGeometry(`${L_SHAPE} / 0 0; 4 x`).error, 'void 1: “4 x” is not an x y point');
+  assert.equal(parseGeometry('0 0; 4 0; 8 0').error, 'outline encloses no area');
+  assert.equal(parseGeometry('0 0; 40 0; 40 20; 20 -10; 0 20').error, 'outline crosses itself at segment 3');
+  assert.equal(parseGeometry(`${L_SHAPE} / 5 5; 9 5; 7 7; 9 9; 5 9; 7 7`).error, 'void 1 crosses itself at segment 5');
+  assert.equal(parseGeometry('0 0; 40 0; 40 20; 20 10; 0 20').geometry.areaSqFt, 600);
+});
+
+test('parseGeometry rejects voids outside the outline or overlapping each other', () => {
+  const square = '0 0; 10 0; 10 10; 0 10';
+  assert.equal(parseGeometry(`${square} / 50 50; 55 50; 55 55; 50 55`).error, 'void 1 extends outside the outline');
+  assert.equal(parseGeometry(`${square} / 8 2; 12 2; 12 6; 8 6`).error, 'void 1 extends outside the outline');
+  assert.equal(parseGeometry(`${L_SHAPE} / 15 15; 25 15; 25 19; 15 19 / 21 22; 22 22; 22 23; 21 23`).error, 'void 2 extends outside the outline');
+  assert.equal(parseGeometry(`${square} / 1 1; 5 1; 5 5; 1 5 / 3 3; 7 3; 7 7; 3 7`).error, 'void 2 overlaps void 1');
+  assert.equal(parseGeometry(`${square} / 2 2; 8 2; 8 8; 2 8 / 4 4; 5 4; 5 5; 4 5`).error, 'void 2 overlaps void 1');
+  assert.equal(parseGeometry(`${square} / 0 0; 5 0; 5 5; 0 5 / 5 0; 10 0; 10 5; 5 5`).geometry.areaSqFt, 50);
+});
+
+test('scanlineRuns cuts bars at the outline and around voids', () => {
+  const rectangle = scanlineRuns(rectangleGeometry(20, 10), 1, 'x');
+  assert.equal(rectangle.lines, 11);
+  assert.deepEqual([...new Set(rectangle.runs)], [20]);
+
+  const { geometry } = parseGeometry(`${L_SHAPE} / @5 5; E 4; N 4; W 4; S 4`);
+  const { runs } = scanlineRuns(geometry, 1, 'x');
+  assert.equal(runs.filter((run) => run === 40).length, 16);
+  assert.equal(runs.filter((run) => run === 20).length, 16);
+  assert.deepEqual(runs.slice(5, 7), [5, 31]);
+});
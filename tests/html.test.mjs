@@ -0,0 +1,11 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHtml } from '../assets/js/core/html.js';
+
+test('escapeHtml neutralizes markup pasted into schedule marks and names', () => {
+  assert.equal(escapeHtml('<img src=x onerror=alert(1)>'), '&lt;img src=x onerror=alert(1)&gt;');
+  assert.equal(escapeHtml(`Drywall & ACT "Lab" 'B'`), 'Drywall &amp; ACT &quot;Lab&quot; &#39;B&#39;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(12.5), '12.5');
+});
@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatTable, validate } from '../assets/js/core/validate.js';
+
+const schema = {
+  rows: {
+    type: 'table',
+    required: true,
+    columns: [
+      { key: 'name', label: 'Name', type: 'text', required: true },
+      { key: 'length', label: 'Length', type: 'number', min: 1, required: true },
+      { key: 'tags', label: 'Tags', type: 'list', pattern: /^[a-z]+$/ },
+      { key: 'kind', label: 'Kind', type: 'select', options: ['yes', 'no'], default: 'yes' }
+    ]
+  }
+};
+
+function formWith(value) {
+  const data = new FormData();
+  data.set('rows', value);
+  return data;
+}
+
+test('table fields parse rows, skip headers and comments, and apply defaults', () => {
+  const { valid, state } = validate(schema, formWith('name, length, tags, kind\n# comment\nA, 12, foo; bar, NO\nB, 3'));
+  assert.equal(valid, true);
+  assert.deepEqual(state.rows, [
+    { name: 'A', length: 12, tags: ['foo', 'bar'], kind: 'no' },
+    { name: 'B', length: 3, tags: [], kind: 'yes' }
+  ]);
+  assert.equal(formatTable(schema.rows.columns, state.rows), 'A, 12, foo; bar, no\nB, 3, , yes');
+});
+
+test('table fields read quoted CSV cells with commas and doubled quotes', () => {
+  const sized = {
+    rows: {
+      type: 'table',
+      columns: [
+        { key: 'mark', label: 'Mark', type: 'text', required: true },
+        { key: 'size', label: 'Size', type: 'text', required: true },
+        { key: 'quantity', label: 'Qty', type: 'number', default: 1 }
+      ]
+    }
+  };
+  const { valid, state } = validate(sized, formWith(`"102, 103","3'-0"" x 7'-0""",2\n104, 3'-0" x 7'-0"\n"105" , "36x84" `));
+  assert.equal(valid, true);
+  assert.deepEqual(state.rows, [
+    { mark: '102, 103', size: `3'-0" x 7'-0"`, quantity: 2 },
+    { mark: '104', size: `3'-0" x 7'-0"`, quantity: 1 },
+    { mark: '105', size: '36x84', quantity: 1 }
+  ]);
+  assert.equal(formatTable(sized.rows.columns, state.rows.slice(0, 2)), `"102, 103", 3'-0" x 7'-0", 2\n104, 3'-0" x 7'-0", 1`);
+});
+
+test('table fields report the failing row and column', () => {
+  const { valid, errors } = validate(schema, formWith('A, 12\nB, 0'));
+  assert.equal(valid, false);
+  assert.equal(errors[0].message, 'Row 2, Length: must be ≥ 1');
+  assert.equal(validate(schema, formWith('')).errors[0].message, 'Add at least one row');
+});
+
+test('table columns can reject parsed values with a custom check', () => {
+  const checked = {
+    rows: {
+      type: 'table',
+      columns: [{ key: 'shape', label: 'Shape', type: 'text', required: true, check: (value) => (value.startsWith('W') ? undefined : `unknown shape “${value}”`) }]
+    }
+  };
+  assert.equal(validate(checked, formWith('W12X26')).valid, true);
+  assert.equal(validate(checked, formWith('W12X26\nQ9')).errors[0].message, 'Row 2, Shape: unknown shape “Q9”');
+});
+
+test('polygon fields parse shapes, keep the source text, and can waive rectangle inputs', () => {
+  const shaped = {
+    length: { type: 'number', min: 1, required: true, unlessFilled: 'shape' },
+    shape: { type: 'polygon', required: false },
+    rooms: {
+      type: 'table',
+      columns: [
+        { key: 'name', label: 'Name', type: 'text', required: true },
+        { key: 'length', label: 'Length', type: 'number', min: 1 },
+        { key: 'shape', label: 'Shape', type: 'polygon' }
+      ],
+      rowCheck: (row) => (row.length === null && !row.shape ? 'enter a length or a shape' : null)
+    }
+  };
+  const data = new FormData();
+  data.set('shape', 'E 10; N 10; W 10; S 10');
+  data.set('rooms', 'A, 12\nB, , 0 0; 6 0; 6 6; 0 6');
+  const { valid, state } = validate(shaped, data);
+  assert.equal(valid, true);
+  assert.equal(state.length, null);
+  assert.equal(state.shape.areaSqFt, 100);
+  assert.equal(state.rooms[1].shape.areaSqFt, 36);
+  assert.equal(formatTable(shaped.rooms.columns, state.rooms), 'A, 12, \nB, , 0 0; 6 0; 6 6; 0 6');
+
+  data.delete('shape');
+  assert.equal(validate(shaped, data).errors[0].message, 'Required field');
+
+  data.set('shape', 'E 10; N 10; W 4');
+  data.set('rooms', 'A, 12\nB');
+  const { errors } = validate(shaped, data);
+  assert.deepEqual(
+    errors.map((error) => error.message),
+    ['Outline does not close (off by 11.66 ft)', 'Row 2: enter a length or a shape']
+  );
+});
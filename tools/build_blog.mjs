@@ -251,6 +251,7 @@ async function build() {
   <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
     <url><loc>https://costflow.ai/</loc></url>
     <url><loc>https://costflow.ai/calculators/</loc></url>
+    <url><loc>https://costflow.ai/estimates/</loc></url>
     <url><loc>https://costflow.ai/blog/</loc></url>
     ${sitemapUrls}
   </urlset>`;